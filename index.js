@@ -33,18 +33,31 @@ const path = require('path');
 const chalk = require('chalk')
 const fs2 = require('fs').promises;
 const { exec } = require('child_process');
+const { StringDecoder } = require('string_decoder');
 const { start, createNewVolume } = require('./routes/FTP.js')
 const { createDatabaseAndUser } = require('./routes/Database.js');
 const config = require('./config.json');
 const statsLogger = require('./routes/Stats.js');
+const { recoverJobs, events: jobEvents, listJobs, getJob } = require('./utils/JobQueue.js');
+const { ensureNetwork, syncAllocations } = require('./utils/Networking.js');
+const { getDiskUsage, startQuotaEnforcement } = require('./utils/DiskQuota.js');
+const { startScheduler } = require('./utils/Scheduler.js');
+const { startRetentionPruner } = require('./utils/Retention.js');
+const { startUploadSweeper } = require('./utils/Uploads.js');
+const { openConsole, sendCommand } = require('./utils/Console.js');
+const { lastLines, maxLines: maxHistoryLines, startConsoleRecorder } = require('./utils/ConsoleLog.js');
+const { handleShellConnection } = require('./utils/Shell.js');
+const { runPowerAction } = require('./utils/Power.js');
+const { startCrashWatcher } = require('./utils/CrashWatcher.js');
 
 const docker = new Docker({ socketPath: process.env.dockerSocket });
 
 /**
  * Initializes a WebSocket server tied to the HTTP server. This WebSocket server handles real-time
  * interactions such as authentication, container statistics reporting, logs streaming, and container
- * control commands (start, stop, restart). The WebSocket server checks for authentication on connection
- * and message reception, parsing messages as JSON and handling them according to their specified event type.
+ * control commands (start, stop, restart), plus operator shells on /shell/ (see utils/Shell.js). The WebSocket
+ * server checks for authentication on connection and message reception, parsing messages as JSON and handling
+ * them according to their specified event type.
  */
 const app = express();
 const server = http.createServer(app);
@@ -73,8 +86,30 @@ async function init() {
 
         log.init('volumes folder created successfully');
 
+        await ensureNetwork();
+        await syncAllocations();
+        log.init('instance network and port allocations ready');
+
         // Node Stats
         statsLogger.initLogger();
+
+        // Disk quotas
+        startQuotaEnforcement();
+
+        // Scheduled tasks
+        startScheduler();
+
+        // Archive retention
+        startRetentionPruner();
+
+        // Abandoned resumable uploads
+        startUploadSweeper();
+
+        // Console scrollback
+        startConsoleRecorder();
+
+        // Crash detection and automatic restarts
+        startCrashWatcher();
     } catch (error) {
         log.error('failed to retrieve image list from remote! the panel might be down. error:', error.message);
         process.exit();
@@ -190,6 +225,9 @@ function loadRouters() {
                 }
             }
         });
+
+        // Job types are registered by their routers, so unfinished jobs can only be picked up now
+        recoverJobs().catch(error => log.error(`Error recovering jobs: ${error.message}`));
     });
 }
 
@@ -199,8 +237,9 @@ loadRouters();
 /**
  * Initializes a WebSocket server tied to the HTTP server. This WebSocket server handles real-time
  * interactions such as authentication, container statistics reporting, logs streaming, and container
- * control commands (start, stop, restart). The WebSocket server checks for authentication on connection
- * and message reception, parsing messages as JSON and handling them according to their specified event type.
+ * control commands (start, stop, restart), plus operator shells on /shell/ (see utils/Shell.js). The WebSocket
+ * server checks for authentication on connection and message reception, parsing messages as JSON and handling
+ * them according to their specified event type.
  * 
  * @param {http.Server} server - The HTTP server to bind the WebSocket server to.
  */
@@ -208,7 +247,15 @@ function initializeWebSocketServer(server) {
     const wss = new WebSocket.Server({ server }); // use express-ws so you can have multiple ws's, api routes & that on 1 server.
 
     wss.on('connection', (ws, req) => {
+        // Shells authenticate with admin tokens rather than the node key, and speak their own protocol
+        if (req.url.startsWith('/shell/')) {
+            handleShellConnection(ws, req);
+            return;
+        }
+
         let isAuthenticated = false;
+        // The shared console of the container, once an /exec/ connection is set up
+        let consoleSession = null;
 
         ws.on('message', async (message) => {
             log.debug('got ' + message);
@@ -230,8 +277,10 @@ function initializeWebSocketServer(server) {
                         ws.close(1008, "Authentication failed");
                     }
                 });
+            } else if (isAuthenticated && req.url.startsWith('/deploy/')) {
+                ws.send('Unsupported event');
             } else if (isAuthenticated) {
-                const urlParts = req.url.split('/');
+                const urlParts = req.url.split('?')[0].split('/');
                 const containerId = urlParts[2];
 
                 if (!containerId) {
@@ -243,7 +292,9 @@ function initializeWebSocketServer(server) {
 
                 switch (msg.event) {
                     case 'cmd':
-                        // Do absolutely fucking nothing. Not handling it here.
+                        if (typeof msg.command === 'string' && msg.command) {
+                            executeCommand(ws, container, msg.command);
+                        }
                         break;
                     case 'power:start':
                         performPowerAction(ws, container, 'start');
@@ -268,7 +319,7 @@ function initializeWebSocketServer(server) {
             if (password === config.key) {
                 log.info('successful authentication on ws');
                 ws.send(`\r\n\u001b[33m[skyportd] \x1b[0mconnected!\r\n`);
-                const urlParts = req.url.split('/');
+                const urlParts = req.url.split('?')[0].split('/');
                 const containerId = urlParts[2];
                 const volumeId = urlParts[3] || 0;
 
@@ -286,6 +337,12 @@ function initializeWebSocketServer(server) {
         }
 
         function handleWebSocketConnection(ws, req, containerId, volumeId) {
+            // /deploy/:volumeId has no container to inspect yet, the ID in the URL is the volume's
+            if (req.url.startsWith('/deploy/')) {
+                setupDeployStreaming(ws, containerId);
+                return;
+            }
+
             const container = docker.getContainer(containerId);
             const volume = volumeId || 0;
 
@@ -296,38 +353,61 @@ function initializeWebSocketServer(server) {
                 }
 
                 if (req.url.startsWith('/exec/')) {
-                    setupExecSession(ws, container);
+                    setupExecSession(ws, container, data.Config.Labels || {});
                 } else if (req.url.startsWith('/stats/')) {
                     setupStatsStreaming(ws, container, volume);
                 } else {
-                    ws.close(1002, "URL must start with /exec/ or /stats/");
+                    ws.close(1002, "URL must start with /exec/, /stats/, /deploy/ or /shell/");
                 }
             });
         }
 
-        async function setupExecSession(ws, container) {
-            const logStream = await container.logs({
-                follow: true,
-                stdout: true,
-                stderr: true,
-                tail: 25
-            });
-
-            logStream.on('data', chunk => {
-                ws.send(chunk.toString());
-            });
+        /**
+         * Opens the container's console. The last lines of output are sent first, 25 by default or as
+         * many as the ?history=N query asks for, taken from the recorded scrollback when there is one.
+         */
+        async function setupExecSession(ws, container, labels) {
+            const query = new URLSearchParams(req.url.split('?')[1] || '');
+            const requested = parseInt(query.get('history'), 10);
+            const tail = Number.isInteger(requested) ? Math.min(Math.max(requested, 0), maxHistoryLines) : 25;
+            const volumeId = labels['skyport.volume'];
+
+            // Output chunks may split multi-byte characters
+            const decoder = new StringDecoder('utf8');
+            const send = (text) => {
+                if (ws.readyState === WebSocket.OPEN) ws.send(text);
+            };
 
-            ws.on('message', (msg) => {
-                if (isAuthenticated) {
-                    const command = JSON.parse(msg).command;
-                    if (command) {
-                        executeCommand(ws, container, command);
+            let session;
+            try {
+                session = await openConsole(container.id, {
+                    onOutput: data => send(decoder.write(data)),
+                    onStatus: status => send(status === 'attached'
+                        ? `\r\n\u001b[33m[skyportd] \x1b[0mconsole attached\r\n`
+                        : `\r\n\u001b[33m[skyportd] \x1b[0mconsole detached, container stopped\r\n`)
+                }, {
+                    tail,
+                    history: async (count) => {
+                        if (!volumeId) return null;
+                        const lines = await lastLines(volumeId, count).catch(() => []);
+                        return lines.length ? Buffer.from(lines.join('\r\n') + '\r\n') : null;
                     }
-                }
-            });
+                });
+            } catch (err) {
+                log.error('Failed to open console:', err.message);
+                send(`Failed to attach to container: ${err.message}`);
+                return;
+            }
+
+            if (ws.readyState !== WebSocket.OPEN) {
+                session.close();
+                return;
+            }
+            consoleSession = session;
 
             ws.on('close', () => {
-                logStream.destroy();
+                session.close();
+                consoleSession = null;
                 log.info('WebSocket client disconnected');
             });
         }
@@ -345,11 +425,10 @@ function initializeWebSocketServer(server) {
                         });
                     });
         
-                    // Calculate volume size
-                    const volumeSize = await getVolumeSize(volumeId);
-        
-                    // Add volume size to stats object
+                    // Add volume size (and limit, if any) to stats object
+                    const { volumeSize, volumeLimit } = await getVolumeSize(volumeId);
                     stats.volumeSize = volumeSize;
+                    if (volumeLimit) stats.volumeLimit = volumeLimit;
         
                     ws.send(JSON.stringify(stats));
                 } catch (error) {
@@ -367,33 +446,50 @@ function initializeWebSocketServer(server) {
             });
         }
 
+        /**
+         * Streams the progress of the deployment jobs of a volume: layer-by-layer image pull progress,
+         * install script downloads, variable replacement passes, step transitions and job log lines.
+         * The latest job of the volume is sent first so late subscribers can catch up.
+         */
+        function setupDeployStreaming(ws, volumeId) {
+            const send = (event, data) => {
+                if (ws.readyState === WebSocket.OPEN) {
+                    ws.send(JSON.stringify({ event, ...data }));
+                }
+            };
+
+            const [latestJob] = listJobs(volumeId);
+            if (latestJob) {
+                send('job', { job: getJob(latestJob.id) });
+            }
+
+            const listeners = {};
+            ['queued', 'running', 'completed', 'failed'].forEach(status => {
+                listeners[status] = (job) => {
+                    if (job.volumeId === volumeId) send(`job:${status}`, { job });
+                };
+            });
+            ['step', 'log', 'progress'].forEach(type => {
+                listeners[type] = (data) => {
+                    if (data.volumeId === volumeId) send(type, data);
+                };
+            });
+
+            Object.entries(listeners).forEach(([type, listener]) => jobEvents.on(type, listener));
+
+            ws.on('close', () => {
+                Object.entries(listeners).forEach(([type, listener]) => jobEvents.off(type, listener));
+                log.info('WebSocket client disconnected');
+            });
+        }
+
         async function executeCommand(ws, container, command) {
             try {
-                const stream = await container.attach({
-                    stream: true,
-                    stdin: true,
-                    stdout: true,
-                    stderr: true,
-                    hijack: true
-                });
-        
-                stream.on('data', (chunk) => {
-                    //ws.send(chunk.toString('utf8'));
-                });
-        
-                stream.on('end', () => {
-                    log.info('Attach stream ended');
-                    ws.send('\nCommand execution completed');
-                });
-        
-                stream.on('error', (err) => {
-                    log.error('Attach stream error:', err);
-                    ws.send(`Error in attach stream: ${err.message}`);
-                });
-        
-                // Write the command to the stream
-                stream.write(command + '\n'); // your not disattaching.
-        
+                if (consoleSession) {
+                    await consoleSession.write(command + '\n');
+                } else {
+                    await sendCommand(container, command);
+                }
             } catch (err) {
                 log.error('Failed to attach to container:', err);
                 ws.send(`Failed to attach to container: ${err.message}`);
@@ -401,13 +497,7 @@ function initializeWebSocketServer(server) {
         }
 
         async function performPowerAction(ws, container, action) {
-            const actionMap = {
-                'start': container.start.bind(container),
-                'stop': container.kill.bind(container),
-                'restart': container.restart.bind(container),
-            };
-        
-            if (!actionMap[action]) {
+            if (!['start', 'stop', 'restart'].includes(action)) {
                 ws.send(`\r\n\u001b[33m[skyportd] \x1b[0Invalid action: ${action}\r\n`);
                 return;
             }
@@ -415,7 +505,8 @@ function initializeWebSocketServer(server) {
             ws.send(`\r\n\u001b[33m[skyportd] \x1b[0mWorking on ${action}...\r\n`);
         
             try {
-                await actionMap[action]();
+                // Stops go through the instance's stop command and timeout, reporting each phase to the console
+                await runPowerAction(container.id, action);
             } catch (err) {
                 log.error(`Error performing ${action} action:`, err.message);
                 ws.send(`\r\n\u001b[33m[skyportd] \x1b[0mAction failed: ${err.message}\r\n`);
@@ -423,33 +514,12 @@ function initializeWebSocketServer(server) {
         }
 
         async function getVolumeSize(volumeId) {
-            const volumePath = path.join('./volumes', volumeId);
             try {
-                const totalSize = await calculateDirectorySize(volumePath);
-                return formatBytes(totalSize);
+                const { used, limit } = await getDiskUsage(String(volumeId));
+                return { volumeSize: formatBytes(used), volumeLimit: limit ? formatBytes(limit) : null };
             } catch (err) {
-                return 'Unknown';
-            }
-        }
-
-        function calculateDirectorySize(directoryPath, currentDepth) {
-            if (currentDepth >= 500) {
-                log.warn(`Maximum depth reached at ${directoryPath}`);
-                return 0;
-            }
-        
-            let totalSize = 0;
-            const files = fs.readdirSync(directoryPath);
-            for (const file of files) {
-                const filePath = path.join(directoryPath, file);
-                const stats = fs.statSync(filePath);
-                if (stats.isDirectory()) {
-                    totalSize += calculateDirectorySize(filePath, currentDepth + 1);
-                } else {
-                    totalSize += stats.size;
-                }
+                return { volumeSize: 'Unknown', volumeLimit: null };
             }
-            return totalSize;
         }
 
         // fixed in 0.2.2 sam
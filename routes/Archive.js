@@ -1,26 +1,24 @@
 const express = require('express');
 const router = express.Router();
-const fs = require('fs');
-const fsPromises = fs.promises;
-const path = require('path');
-const archiver = require('archiver');
-const unzipper = require('unzipper');
 const mime = require('mime-types');
-
-/**
- * Ensures the target path is within the specified base directory, preventing directory traversal attacks.
- * @param {string} base - The base directory path.
- * @param {string} target - The target directory or file path.
- * @returns {string} The absolute path that is confirmed to be within the base directory.
- * @throws {Error} If the resolved path attempts to escape the base directory.
- */
-function safePath(base, target) {
-    const fullPath = path.resolve(base, target);
-    if (!fullPath.startsWith(base)) {
-        throw new Error('Attempting to access outside of the volume');
-    }
-    return fullPath;
-}
+const {
+    createArchive,
+    listArchives,
+    readArchiveMetadata,
+    openArchive,
+    deleteArchive,
+    lockArchive,
+    isArchiveLocked
+} = require('../utils/Archives');
+const {
+    getArchiveStorage,
+    getDestinationName,
+    setDestination,
+    listDestinations
+} = require('../utils/ArchiveStorage');
+const { getPinned, setPinned } = require('../utils/Retention');
+const { formats, validateFilters } = require('../utils/ArchiveFormats');
+const { rollbackVolume, listArchiveContents, restorePaths, verifyArchive } = require('../utils/Rollback');
 
 /**
  * Formats file size into a human-readable string.
@@ -42,74 +40,50 @@ function formatFileSize(bytes) {
 
 /**
  * GET /:id/archives
- * Lists all archives for the specified volume, including their timestamp, size, and name.
+ * Lists all archives for the specified volume, including their timestamp, size, name, and whether they
+ * are pinned or locked (exempt from retention).
  */
 router.get('/archive/:id/archives', async (req, res) => {
     const { id } = req.params;
-    const archivePath = path.join(__dirname, '../archives', id);
 
     try {
-        await fsPromises.access(archivePath, fs.constants.F_OK);
-
-        const files = await fsPromises.readdir(archivePath, { withFileTypes: true });
-
-        const detailedFiles = await Promise.all(files.map(async (file) => {
-            const filePath = path.join(archivePath, file.name);
-            const stats = await fsPromises.stat(filePath);
-
-            return {
-                name: file.name,
-                size: formatFileSize(stats.size),
-                lastUpdated: stats.mtime.toISOString(),
-            };
+        const pinned = getPinned(id);
+        const archives = (await listArchives(id)).map(archive => ({
+            name: archive.name,
+            size: formatFileSize(archive.size),
+            lastUpdated: archive.createdAt.toISOString(),
+            encrypted: archive.encrypted,
+            pinned: pinned.includes(archive.name),
+            locked: isArchiveLocked(id, archive.name),
         }));
 
-        res.json({ archives: detailedFiles });
+        res.json({ archives, destination: getDestinationName(id) });
     } catch (err) {
-        if (err.code === 'ENOENT') {
-            res.json({ archives: [] });
-        } else {
-            res.status(500).json({ message: err.message });
-        }
+        res.status(500).json({ message: err.message });
     }
 });
 
 /**
  * POST /:id/archives/:volumeId/create
- * Creates an archive of the specified volume and stores it in the archives directory.
+ * Creates an archive of the specified volume and stores it in the instance's archive destination. The
+ * body may pick a format ("zip", the default, "tar.gz" or "tar.zst") and include/exclude glob lists
+ * relative to the volume root, e.g. { "format": "tar.zst", "exclude": ["logs", "cache/**"] }.
  */
 router.post('/archive/:id/archives/:volumeId/create', async (req, res) => {
     const { id, volumeId } = req.params;
-    const volumePath = path.join(__dirname, '../volumes', volumeId);
-    const archivePath = path.join(__dirname, '../archives', id);
+    const { format = 'zip', include, exclude } = req.body || {};
 
-    try {
-        await fsPromises.mkdir(archivePath, { recursive: true });
-        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-        const archiveName = `${id}-${timestamp}.zip`;
-        const archiveFullPath = path.join(archivePath, archiveName);
-
-        const output = fs.createWriteStream(archiveFullPath);
-        const archive = archiver('zip', {
-            zlib: { level: 9 },
-        });
-
-        output.on('close', () => {
-            res.json({ message: 'Archive created successfully', archiveName });
-        });
-
-        output.on('error', (err) => {
-            res.status(500).json({ message: err.message });
-        });
-
-        archive.on('error', (err) => {
-            output.destroy();
-            res.status(500).json({ message: err.message });
-        });
+    const errors = validateFilters({ include, exclude });
+    if (!formats.includes(format)) {
+        errors.push(`format must be one of ${formats.join(', ')}`);
+    }
+    if (errors.length > 0) {
+        return res.status(400).json({ message: 'Invalid archive options', errors });
+    }
 
-        archive.pipe(output);
-        archive.directory(volumePath, false);
-        await archive.finalize();
+    try {
+        const archiveName = await createArchive(id, volumeId, { format, include, exclude });
+        res.json({ message: 'Archive created successfully', archiveName });
     } catch (err) {
         res.status(500).json({ message: err.message });
     }
@@ -117,78 +91,163 @@ router.post('/archive/:id/archives/:volumeId/create', async (req, res) => {
 
 /**
  * GET /:id/archives/download/:archiveName
- * Allows downloading of the specified archive file.
+ * Allows downloading of the specified archive file. Encrypted archives are decrypted on the fly.
  */
 router.get('/archive/:id/archives/download/:archiveName', async (req, res) => {
     const { id, archiveName } = req.params;
-    const archivePath = path.join(__dirname, '../archives', id, archiveName);
+    const key = `${id}/${archiveName}`;
 
     try {
-        await fsPromises.access(archivePath, fs.constants.F_OK);
+        const { size } = await getArchiveStorage(id).stat(key);
+        const metadata = await readArchiveMetadata(id, archiveName);
+        const stream = await openArchive(id, archiveName);
 
-        const mimeType = mime.lookup(archivePath) || 'application/octet-stream';
+        const mimeType = mime.lookup(archiveName) || 'application/octet-stream';
 
         res.setHeader('Content-Disposition', `attachment; filename="${archiveName}"`);
         res.setHeader('Content-Type', mimeType);
+        if (!metadata || !metadata.encrypted) {
+            res.setHeader('Content-Length', size);
+        }
+
+        const release = lockArchive(id, archiveName);
+        res.on('close', () => {
+            release();
+            stream.destroy();
+        });
 
-        const fileStream = fs.createReadStream(archivePath);
-        fileStream.pipe(res);
+        stream.on('error', () => res.destroy());
+        stream.pipe(res);
     } catch (err) {
-        if (err.code === 'ENOENT') {
-            res.status(404).json({ message: 'Archive not found' });
-        } else {
-            res.status(500).json({ message: err.message });
-        }
+        res.status(err.statusCode || 500).json({ message: err.message });
     }
 });
 
 /**
  * POST /:id/archives/delete/:archiveName
- * Deletes the specified archive.
+ * Deletes the specified archive, unless it is in use.
  */
 router.post('/archive/:id/archives/delete/:archiveName', async (req, res) => {
     const { id, archiveName } = req.params;
-    const archivePath = path.join(__dirname, '../archives', id, archiveName);
+
+    if (isArchiveLocked(id, archiveName)) {
+        return res.status(409).json({ message: 'Archive is in use' });
+    }
 
     try {
-        await fsPromises.unlink(archivePath);
+        await deleteArchive(id, archiveName);
+        if (getPinned(id).includes(archiveName)) {
+            await setPinned(id, archiveName, false);
+        }
         res.json({ message: 'Archive deleted successfully' });
     } catch (err) {
-        if (err.code === 'ENOENT') {
-            res.status(404).json({ message: 'Archive not found' });
-        } else {
-            res.status(500).json({ message: err.message });
-        }
+        res.status(err.statusCode || 500).json({ message: err.message });
     }
 });
 
 /**
  * POST /:id/archives/rollback/:volumeId/:archiveName
- * Rolls back the specified volume to the state of the given archive.
+ * Rolls back the specified volume to the state of the given archive. The instance is stopped, a
+ * pre-rollback archive is taken, and the archive is extracted and verified in a staging directory before
+ * it replaces the volume; the instance is started again if it was running. A failed rollback leaves the
+ * volume as it was. Rejected with a 507 if the extracted archive would not fit in the volume's disk quota.
  */
 router.post('/archive/:id/archives/rollback/:volumeId/:archiveName', async (req, res) => {
     const { id, archiveName, volumeId } = req.params;
-    const volumePath = path.join(__dirname, '../volumes', volumeId);
-    const archivePath = path.join(__dirname, '../archives', id, archiveName);
 
     try {
-        const files = await fsPromises.readdir(volumePath);
-        await Promise.all(files.map(file => fsPromises.rm(path.join(volumePath, file), { recursive: true, force: true })));
+        const result = await rollbackVolume(id, volumeId, archiveName);
+        res.json({ message: 'Volume rolled back successfully', ...result });
+    } catch (err) {
+        res.status(err.statusCode || 500).json({ message: err.message });
+    }
+});
+
+/**
+ * GET /:id/archives/contents/:archiveName
+ * Lists the files and directories in the specified archive.
+ */
+router.get('/archive/:id/archives/contents/:archiveName', async (req, res) => {
+    const { id, archiveName } = req.params;
+
+    try {
+        res.json({ entries: await listArchiveContents(id, archiveName) });
+    } catch (err) {
+        res.status(err.statusCode || 500).json({ message: err.message });
+    }
+});
+
+/**
+ * POST /:id/archives/restore/:volumeId/:archiveName
+ * Restores selected files or directories from the specified archive, e.g. { "paths": ["world",
+ * "server.properties"], "target": "restored" }. Each path replaces what is at the same place in the
+ * volume, or under `target` when given; the rest of the volume is left alone. Rejected with a 507 if the
+ * selected files would not fit in the volume's disk quota.
+ */
+router.post('/archive/:id/archives/restore/:volumeId/:archiveName', async (req, res) => {
+    const { id, archiveName, volumeId } = req.params;
+    const { paths, target } = req.body || {};
+
+    if (!Array.isArray(paths) || paths.length === 0 || paths.some(entryPath => typeof entryPath !== 'string')) {
+        return res.status(400).json({ message: 'paths must be a non-empty array of archive paths' });
+    }
+    if (target !== undefined && typeof target !== 'string') {
+        return res.status(400).json({ message: 'target must be a path in the volume' });
+    }
+
+    try {
+        const result = await restorePaths(id, volumeId, archiveName, { paths, target });
+        res.json({ message: 'Files restored successfully', ...result });
+    } catch (err) {
+        res.status(err.statusCode || 500).json({ message: err.message });
+    }
+});
 
-        const zipStream = fs.createReadStream(archivePath);
-        const extractStream = unzipper.Extract({ path: volumePath });
+/**
+ * GET /:id/archives/verify/:archiveName
+ * Checks that the specified archive can be decrypted (if encrypted) and that every file in it matches
+ * its recorded size (and CRC, for zips).
+ */
+router.get('/archive/:id/archives/verify/:archiveName', async (req, res) => {
+    const { id, archiveName } = req.params;
 
-        zipStream.pipe(extractStream);
+    try {
+        res.json(await verifyArchive(id, archiveName));
+    } catch (err) {
+        res.status(err.statusCode || 500).json({ message: err.message });
+    }
+});
 
-        extractStream.on('close', () => {
-            res.json({ message: 'Volume rolled back successfully' });
-        });
+/**
+ * GET /archive/destinations
+ * Lists the archive destinations configured on this node (names and types only).
+ */
+router.get('/archive/destinations', (req, res) => {
+    res.json({ destinations: listDestinations() });
+});
 
-        extractStream.on('error', (err) => {
-            res.status(500).json({ message: err.message });
-        });
+/**
+ * GET /:id/destination
+ * Returns the destination the archives of the specified instance are stored in.
+ */
+router.get('/archive/:id/destination', (req, res) => {
+    res.json({ destination: getDestinationName(req.params.id) });
+});
+
+/**
+ * PUT /:id/destination
+ * Stores future archives of the specified instance in another configured destination, given as
+ * { "destination": "<name>" }, or in the node-wide default when destination is null. Existing archives
+ * are not moved.
+ */
+router.put('/archive/:id/destination', async (req, res) => {
+    const { destination = null } = req.body || {};
+
+    try {
+        await setDestination(req.params.id, destination);
+        res.json({ message: 'Archive destination updated successfully', destination: getDestinationName(req.params.id) });
     } catch (err) {
-        res.status(500).json({ message: err.message });
+        res.status(err.statusCode || 500).json({ message: err.message });
     }
 });
 
@@ -0,0 +1,88 @@
+const express = require('express');
+const router = express.Router();
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { safePath, resolveInVolume } = require('../utils/SafePath');
+const { assertDiskSpace, recordDiskWrite } = require('../utils/DiskQuota');
+const { formatOf, writeArchive } = require('../utils/ArchiveFormats');
+const { createStagingDirectory } = require('../utils/VolumeSwap');
+
+/**
+ * POST /:id/files/compress
+ * Bundles files and directories of a volume into a zip, tar.gz or tar.zst archive inside the volume. The
+ * body lists the paths to include and the archive name, e.g. { "paths": ["world", "server.properties"],
+ * "name": "world.zip" }; the format is taken from the name. Paths and the archive are relative to the
+ * subdirectory given in the path query parameter. Paths are resolved through symlinks and refused if
+ * they lead outside of it; a path that is a symlink is archived as one. The archive is built in tmp/ and
+ * only moved into the volume if it fits in the disk quota (507 otherwise).
+ *
+ * @param {string} id - The volume identifier.
+ * @param {string} [path] - Optional. A subdirectory within the volume the paths are relative to.
+ * @returns {Response} JSON response containing the archive name and size.
+ */
+router.post('/fs/:id/files/compress', async (req, res) => {
+    const { id } = req.params;
+    const { paths, name } = req.body || {};
+    const volumePath = path.join(__dirname, '../volumes', id);
+    const subPath = req.query.path || '';
+
+    if (!Array.isArray(paths) || paths.length === 0 || paths.some(entryPath => typeof entryPath !== 'string')) {
+        return res.status(400).json({ message: 'paths must be a non-empty array of file paths' });
+    }
+    if (typeof name !== 'string' || !name.trim()) {
+        return res.status(400).json({ message: 'An archive name is required' });
+    }
+
+    let stagingPath = null;
+    try {
+        const format = formatOf(name);
+        // Resolved through symlinks, so a linked directory can't pull in files from outside of the volume
+        const basePath = await resolveInVolume(volumePath, subPath);
+        const archivePath = await resolveInVolume(volumePath, safePath(basePath, name), { followLink: false });
+        const entries = [];
+        for (const entryPath of paths) {
+            const fullPath = await resolveInVolume(volumePath, safePath(basePath, entryPath), { followLink: false });
+            const relative = path.relative(basePath, fullPath);
+            if (!relative) {
+                throw Object.assign(new Error('Cannot compress the directory into itself'), { statusCode: 400 });
+            }
+            if (relative.split(path.sep)[0] === '..') {
+                throw Object.assign(new Error(`${entryPath} is outside of the directory being compressed`), { statusCode: 400 });
+            }
+            entries.push(relative.split(path.sep).join('/'));
+        }
+
+        try {
+            await fs.promises.lstat(archivePath);
+            return res.status(400).json({ message: 'A file with that name already exists' });
+        } catch (err) {
+            if (err.code !== 'ENOENT') throw err;
+        }
+
+        stagingPath = await createStagingDirectory(id, 'compress');
+        const tempPath = path.join(stagingPath, path.basename(archivePath));
+        await pipeline(writeArchive(basePath, format, { paths: entries }), fs.createWriteStream(tempPath));
+
+        const { size } = await fs.promises.stat(tempPath);
+        await assertDiskSpace(id, size);
+        await fs.promises.rename(tempPath, archivePath);
+        recordDiskWrite(id, size);
+
+        res.json({ message: 'Files compressed successfully', name: path.relative(volumePath, archivePath), size });
+    } catch (err) {
+        if (err.code === 'ENOENT') {
+            res.status(404).json({ message: 'Specified path not found' });
+        } else if (err.message.includes('Attempting to access outside of the volume')) {
+            res.status(400).json({ message: err.message });
+        } else {
+            res.status(err.statusCode || 500).json({ message: err.message });
+        }
+    } finally {
+        if (stagingPath) {
+            await fs.promises.rm(stagingPath, { recursive: true, force: true });
+        }
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,77 @@
+const express = require('express');
+const router = express.Router();
+const fs = require('fs');
+const { pipeline } = require('stream/promises');
+const { resolveVolume, queryLogs, listLogFiles } = require('../utils/ConsoleLog');
+
+/**
+ * GET /instances/:id/logs
+ * Searches the recorded console output of an instance, including output from before the container
+ * was last recreated. Returns the newest matching lines, oldest first; pass `nextBefore` back as
+ * `before` to get the page before them.
+ *
+ * @param {string} id - The container ID, or the volume ID of an instance without a container.
+ * @param {string} [from] - Optional. Only lines at or after this time (ISO date or milliseconds).
+ * @param {string} [to] - Optional. Only lines at or before this time.
+ * @param {string} [before] - Optional. The page cursor, the `nextBefore` of the previous page.
+ * @param {string} [grep] - Optional. Only lines containing this text.
+ * @param {string} [regex] - Optional. "true" to treat grep as a regular expression (refused with a 400
+ * if it takes too long to run).
+ * @param {string} [case] - Optional. "true" for a case-sensitive grep.
+ * @param {number} [limit] - Optional. The maximum number of lines (default 500).
+ * @returns {Response} JSON response containing the volume ID, the lines ({ time, text }) and nextBefore.
+ */
+router.get('/instances/:id/logs', async (req, res) => {
+    const { from, to, before, grep, regex, limit } = req.query;
+
+    try {
+        const volumeId = await resolveVolume(req.params.id);
+        const result = await queryLogs(volumeId, {
+            from: typeof from === 'string' ? from : undefined,
+            to: typeof to === 'string' ? to : undefined,
+            before: typeof before === 'string' ? before : undefined,
+            grep: typeof grep === 'string' ? grep : undefined,
+            regex: regex === 'true',
+            caseSensitive: req.query.case === 'true',
+            limit: limit === undefined ? undefined : Number(limit)
+        });
+        res.json({ volumeId, ...result });
+    } catch (err) {
+        res.status(err.statusCode || 500).json({ message: err.message });
+    }
+});
+
+/**
+ * GET /instances/:id/logs/download
+ * Downloads the whole recorded console output of an instance as a text file, one
+ * "<timestamp> <text>" line per line of output.
+ *
+ * @param {string} id - The container ID, or the volume ID of an instance without a container.
+ * @returns {Response} The log file as an attachment.
+ */
+router.get('/instances/:id/logs/download', async (req, res) => {
+    try {
+        const volumeId = await resolveVolume(req.params.id);
+        const files = await listLogFiles(volumeId);
+
+        res.attachment(`${volumeId}-console.log`);
+        res.type('text/plain');
+        for (const file of files) {
+            try {
+                await pipeline(fs.createReadStream(file), res, { end: false });
+            } catch (err) {
+                // Rotated away since the listing
+                if (err.code !== 'ENOENT') throw err;
+            }
+        }
+        res.end();
+    } catch (err) {
+        if (res.headersSent) {
+            res.destroy();
+        } else {
+            res.status(err.statusCode || 500).json({ message: err.message });
+        }
+    }
+});
+
+module.exports = router;
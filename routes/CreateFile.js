@@ -3,11 +3,13 @@ const router = express.Router();
 const fs = require('fs').promises;
 const path = require('path');
 const { safePath } = require('../utils/SafePath');
+const { assertDiskSpace, recordDiskWrite, replacedSize } = require('../utils/DiskQuota');
 
 /**
  * POST /:id/files/create/:filename
  * Creates a file with the specified filename and content within a volume, optionally within a subdirectory.
- * The path to the subdirectory can be provided via a query parameter.
+ * The path to the subdirectory can be provided via a query parameter. Files that would take the volume
+ * over its disk quota are rejected with a 507.
  * 
  * @param {string} id - The volume identifier.
  * @param {string} filename - The name of the file to create.
@@ -23,13 +25,18 @@ router.post('/fs/:id/files/create/:filename', async (req, res) => {
     try {
         const fullPath = safePath(path.join(volumePath, subPath), filename);
 
+        // Overwriting a file only adds the difference in size
+        const delta = Buffer.byteLength(content || '') - await replacedSize(fullPath);
+        await assertDiskSpace(id, delta);
+
         await fs.writeFile(fullPath, content);
+        recordDiskWrite(id, delta);
         res.json({ message: 'File created successfully' });
     } catch (err) {
         if (err.code === 'ENOENT') {
             res.status(404).json({ message: 'Specified path not found' });
         } else {
-            res.status(500).json({ message: err.message });
+            res.status(err.statusCode || 500).json({ message: err.message });
         }
     }
 });
@@ -0,0 +1,119 @@
+const express = require('express');
+const router = express.Router();
+const fs = require('fs').promises;
+const path = require('path');
+const { safePath, resolveInVolume } = require('../utils/SafePath');
+const { assertDiskSpace, refreshDiskUsage } = require('../utils/DiskQuota');
+const { detectFormat, listEntries, extractArchive } = require('../utils/ArchiveFormats');
+const { createStagingDirectory } = require('../utils/VolumeSwap');
+
+function isInside(root, fullPath) {
+    return fullPath === root || fullPath.startsWith(root + path.sep);
+}
+
+/**
+ * Moves an extracted tree into the volume, merging it with the directories already there and replacing
+ * files with the same name. Symlinks that would point outside of the volume are left behind.
+ * @param {string} source - The staging directory the archive was extracted into.
+ * @param {string} target - The directory to move the tree into.
+ * @param {string} volumePath - The (real) volume root.
+ * @param {string[]} skipped - Collects the paths of the symlinks that were left behind.
+ */
+async function moveInto(source, target, volumePath, skipped) {
+    for (const entry of await fs.readdir(source, { withFileTypes: true })) {
+        const from = path.join(source, entry.name);
+        const to = path.join(target, entry.name);
+        const existing = await fs.lstat(to).catch(() => null);
+
+        if (entry.isDirectory()) {
+            // A symlink is replaced rather than followed, so nothing is written outside of the volume
+            if (!existing || !existing.isDirectory()) {
+                if (existing) await fs.rm(to, { recursive: true, force: true });
+                await fs.mkdir(to);
+            }
+            await moveInto(from, to, volumePath, skipped);
+            continue;
+        }
+
+        if (entry.isSymbolicLink() && !isInside(volumePath, path.resolve(target, await fs.readlink(from)))) {
+            skipped.push(path.relative(volumePath, to));
+            continue;
+        }
+
+        if (existing) await fs.rm(to, { recursive: true, force: true });
+        await fs.rename(from, to);
+    }
+}
+
+/**
+ * POST /:id/files/decompress/:filename
+ * Extracts a zip, tar, tar.gz, tar.zst or 7z archive in the volume, into the directory it is in or into
+ * the directory given as `destination` in the body. Existing directories are merged and existing files
+ * with the same name are replaced. The archive is extracted and verified in tmp/ first; entries that
+ * point outside of the destination are refused (as are symlinks in 7z archives), symlinks that do are
+ * left out, and the extraction is rejected with a 507 if it would take the volume over its disk quota,
+ * or stopped with a 400 if it writes more than the archive declares.
+ *
+ * @param {string} id - The volume identifier.
+ * @param {string} filename - The name of the archive to extract.
+ * @param {string} [path] - Optional. A subdirectory within the volume where the archive is located.
+ * @returns {Response} JSON response containing the number of extracted entries and the skipped symlinks.
+ */
+router.post('/fs/:id/files/decompress/:filename', async (req, res) => {
+    const { id, filename } = req.params;
+    const { destination = '' } = req.body || {};
+    const volumePath = path.join(__dirname, '../volumes', id);
+    const subPath = req.query.path || '';
+
+    if (typeof destination !== 'string') {
+        return res.status(400).json({ message: 'destination must be a directory path' });
+    }
+
+    let stagingPath = null;
+    try {
+        const basePath = safePath(volumePath, subPath);
+        const archivePath = await resolveInVolume(volumePath, safePath(basePath, filename));
+        const format = detectFormat(filename);
+        // Checked before anything is created, so a symlinked parent can't get directories made outside
+        const destinationPath = await resolveInVolume(volumePath, safePath(basePath, destination));
+        await fs.access(archivePath);
+
+        let entries;
+        try {
+            entries = await listEntries(archivePath, format);
+        } catch (err) {
+            if (err.code === 'ENOENT' || err.statusCode) throw err;
+            return res.status(400).json({ message: `Archive is unreadable: ${err.message}` });
+        }
+        const declaredSize = entries.reduce((total, entry) => total + entry.size, 0);
+        await assertDiskSpace(id, declaredSize);
+
+        await fs.mkdir(destinationPath, { recursive: true });
+        const realVolumePath = await fs.realpath(volumePath);
+        // Again now that it exists, in case a directory on the way was swapped for a link meanwhile
+        const realDestinationPath = await resolveInVolume(volumePath, destinationPath);
+
+        stagingPath = await createStagingDirectory(id, 'decompress');
+        const { extracted, skipped: skippedLinks } = await extractArchive(archivePath, format, stagingPath, { maxBytes: declaredSize });
+
+        const skipped = skippedLinks.map(entryPath => path.relative(realVolumePath, path.join(realDestinationPath, entryPath)));
+        await moveInto(stagingPath, realDestinationPath, realVolumePath, skipped);
+        refreshDiskUsage(id).catch(() => {});
+
+        res.json({ message: 'Archive extracted successfully', extracted, skipped });
+    } catch (err) {
+        if (err.code === 'ENOENT') {
+            res.status(404).json({ message: 'Specified path not found' });
+        } else if (err.message.includes('Attempting to access outside of the volume') || err.message.startsWith('Archive entry ')) {
+            res.status(400).json({ message: err.message });
+        } else {
+            res.status(err.statusCode || 500).json({ message: err.message });
+        }
+    } finally {
+        if (stagingPath) {
+            await fs.rm(stagingPath, { recursive: true, force: true });
+        }
+    }
+});
+
+module.exports = router;
@@ -3,6 +3,7 @@ const router = express.Router();
 const fs = require('fs').promises;
 const path = require('path');
 const { safePath } = require('../utils/SafePath');
+const { refreshDiskUsage } = require('../utils/DiskQuota');
 
 /**
  * DELETE /:id/files/delete/:filename
@@ -27,6 +28,7 @@ router.delete('/fs/:id/files/delete/:filename', async (req, res) => {
             await fs.unlink(filePath);
         }
 
+        refreshDiskUsage(id).catch(() => {});
         res.json({ message: 'File deleted successfully' });
     } catch (err) {
         res.status(500).json({ message: err.message });
@@ -7,39 +7,21 @@ const path = require('path');
 const CatLoggr = require('cat-loggr');
 const log = new CatLoggr();
 const https = require('https');
+const readline = require('readline');
+const { PassThrough } = require('stream');
 const { pipeline } = require('stream/promises');
+const daemonConfig = require('../config.json');
+const { readStates, updateState, patchState } = require('../utils/States');
+const { registerJobType, enqueueJob, waitForJob } = require('../utils/JobQueue');
+const { buildResourceLimits, describeLimits, validateResourceLimits, limitsLabels, readRequestedLimits } = require('../utils/ResourceLimits');
+const { networkName, ensureNetwork, allocatePorts, releasePorts, getVolumeId } = require('../utils/Networking');
+const { setDiskLimit } = require('../utils/DiskQuota');
+const { stopGracefully, normalizeStopConfig, stopContainerOptions, currentStopConfig } = require('../utils/Power');
+const { normalizeRestartPolicy, restartLabels, currentRestartPolicy } = require('../utils/CrashWatcher');
 
 const docker = new Docker({ socketPath: process.env.dockerSocket });
 
-/* utils */
-const statesFilePath = path.join(__dirname, '../storage/states.json');
-
-// Utility function to read states
-const readStates = async () => {
-    try {
-        const data = await fs.readFile(statesFilePath, 'utf8');
-        return JSON.parse(data);
-    } catch (error) {
-        if (error.code === 'ENOENT') {
-            return {};
-        }
-        throw error;
-    }
-};
-
-// Utility function to write states
-const writeStates = async (states) => {
-    await fs.writeFile(statesFilePath, JSON.stringify(states, null, 2));
-};
-
-// Utility function to update state
-const updateState = async (volumeId, state, containerId = null) => {
-    const states = await readStates();
-    states[volumeId] = { state, containerId };
-    await writeStates(states);
-};
-
-const downloadFile = async (url, dir, filename) => {
+const downloadFile = async (url, dir, filename, onProgress = () => {}) => {
     const filePath = path.join(dir, filename);
     const writeStream = fsSync.createWriteStream(filePath);
     
@@ -65,7 +47,19 @@ const downloadFile = async (url, dir, filename) => {
                 throw new Error(`Failed to download ${filename}: HTTP status code ${response.statusCode} on the URL ${url}`);
             }
 
+            const total = parseInt(response.headers['content-length'], 10) || null;
+            let received = 0;
+            let lastReport = 0;
+            response.on('data', (chunk) => {
+                received += chunk.length;
+                if (Date.now() - lastReport >= 500) {
+                    lastReport = Date.now();
+                    onProgress({ received, total });
+                }
+            });
+
             await pipeline(response, writeStream);
+            onProgress({ received, total });
             log.info(`Downloaded ${filename} successfully.`);
             break;
         } catch (err) {
@@ -78,7 +72,7 @@ const downloadFile = async (url, dir, filename) => {
     }
 };
 
-const downloadInstallScripts = async (installScripts, dir, variables) => {
+const downloadInstallScripts = async (installScripts, dir, variables, ctx) => {
     const parsedVariables = typeof variables === 'string' ? JSON.parse(variables) : variables;
 
     for (const script of installScripts) {
@@ -87,17 +81,22 @@ const downloadInstallScripts = async (installScripts, dir, variables) => {
             for (const [key, value] of Object.entries(parsedVariables)) {
                 const regex = new RegExp(`{{${key}}}`, 'g');
                 updatedUri = updatedUri.replace(regex, value);
-                log.info(updatedUri);
             }
-            await downloadFile(updatedUri, dir, script.Path);
-            log.info(`Successfully downloaded ${script.Path}`);
+            log.info(updatedUri);
+            ctx.progress('scripts', { file: script.Path, status: 'downloading' });
+            await downloadFile(updatedUri, dir, script.Path, ({ received, total }) => {
+                ctx.progress('scripts', { file: script.Path, status: 'downloading', received, total });
+            });
+            ctx.progress('scripts', { file: script.Path, status: 'downloaded' });
+            ctx.log(`Successfully downloaded ${script.Path}`);
         } catch (err) {
-            log.error(`Failed to download ${script.Path}: ${err.message}`);
+            ctx.progress('scripts', { file: script.Path, status: 'failed', error: err.message });
+            ctx.error(`Failed to download ${script.Path}: ${err.message}`);
         }
     }
 };
 
-const replaceVariables = async (dir, variables) => {
+const replaceVariables = async (dir, variables, ctx) => {
     const files = await fs.readdir(dir);
     for (const file of files) {
         const filePath = path.join(dir, file);
@@ -109,36 +108,303 @@ const replaceVariables = async (dir, variables) => {
                 content = content.replace(regex, value);
             }
             await fs.writeFile(filePath, content, 'utf8');
-            log.info(`Variables replaced in ${file}`);
+            ctx.progress('replace', { file });
+            ctx.log(`Variables replaced in ${file}`);
         }
     }
 };
 
 const objectToEnv = (obj) => Object.entries(obj).map(([key, value]) => `${key}=${value}`);
 
-const createContainerOptions = (config, volumePath) => ({
-    name: config.Id,
-    Image: config.Image,
-    ExposedPorts: config.Ports,
-    AttachStdout: true,
-    AttachStderr: true,
-    AttachStdin: true,
-    Tty: true,
-    OpenStdin: true,
-    HostConfig: {
-        PortBindings: config.PortBindings,
-        Binds: [`${volumePath}:/app/data`],
-        Memory: config.Memory * 1024 * 1024,
-        CpuCount: config.Cpu,
-        NetworkMode: 'host'
+const env2json = (env) => env.reduce((obj, item) => {
+    const [key, value] = item.split('=');
+    obj[key] = value;
+    return obj;
+}, {});
+
+const createContainerOptions = (config, volumePath) => {
+    const { Labels: stopLabels, ...stopSettings } = stopContainerOptions(config.Stop);
+    return {
+        name: config.Id,
+        Image: config.Image,
+        ExposedPorts: config.Ports,
+        AttachStdout: true,
+        AttachStderr: true,
+        AttachStdin: true,
+        Tty: true,
+        OpenStdin: true,
+        Labels: {
+            'skyport.volume': path.basename(volumePath),
+            ...stopLabels,
+            ...restartLabels(config.Restart),
+            ...limitsLabels(config.Memory, config.Cpu, config.Limits)
+        },
+        // StopSignal and StopTimeout, the stop command is in the labels
+        ...stopSettings,
+        HostConfig: {
+            PortBindings: config.PortBindings,
+            Binds: [`${volumePath}:/app/data`],
+            ...buildResourceLimits(config.Memory, config.Cpu, config.Limits),
+            NetworkMode: networkName
+        },
+        Env: config.Env,
+        ...(config.Cmd && { Cmd: config.Cmd })
+    };
+};
+
+/* job steps */
+
+const pullImage = async (image, ctx, step = 'pull') => {
+    ctx.log(`Pulling image: ${image}`);
+    const stream = await docker.pull(image);
+    await new Promise((resolve, reject) => {
+        docker.modem.followProgress(stream, (err, result) => {
+            if (err) {
+                return reject(new Error(`Failed to pull image: ${err.message}`));
+            }
+            resolve(result);
+        }, (event) => {
+            // One event per layer status change (Downloading, Extracting, Pull complete...)
+            ctx.progress(step, {
+                image,
+                layer: event.id || null,
+                status: event.status,
+                current: event.progressDetail ? event.progressDetail.current : undefined,
+                total: event.progressDetail ? event.progressDetail.total : undefined
+            });
+        });
+    });
+    ctx.log(`Image ${image} pulled successfully.`);
+};
+
+// Stops and removes a container, tolerating one that is already gone (e.g. when a job is resumed)
+const removeContainer = async (id, ctx) => {
+    const container = docker.getContainer(id);
+    try {
+        const containerInfo = await container.inspect();
+        if (containerInfo.State.Running) {
+            ctx.log(`Stopping container ${id}`);
+            await stopGracefully(id, (phase, message) => ctx.log(message));
+        }
+        ctx.log(`Removing container ${id}`);
+        await container.remove();
+    } catch (err) {
+        if (err.statusCode !== 404) {
+            throw err;
+        }
+    }
+};
+
+const createInstanceContainer = async (ctx, options, volumePath) => {
+    // A container left over from an interrupted attempt would clash with the name
+    if (ctx.data.containerId) {
+        await removeContainer(ctx.data.containerId, ctx);
+    }
+    await fs.mkdir(volumePath, { recursive: true });
+    await ensureNetwork();
+    const container = await docker.createContainer(createContainerOptions(options, volumePath));
+    await ctx.set('containerId', container.id);
+    ctx.log('Container created: ' + container.id);
+};
+
+const runInstallScripts = async (ctx, installScripts, dir, variables, primaryPort) => {
+    if (!Array.isArray(installScripts)) {
+        await ctx.skip('scripts');
+        await ctx.skip('replace');
+        return;
+    }
+
+    await ctx.step('scripts', () => downloadInstallScripts(installScripts, dir, variables || {}, ctx));
+    await ctx.step('replace', () => replaceVariables(dir, {
+        primaryPort: primaryPort,
+        containerName: ctx.data.containerId.substring(0, 12),
+        timestamp: new Date().toISOString(),
+        randomString: Math.random().toString(36).substring(7)
+    }, ctx));
+};
+
+const isInstallerScript = (installer) => typeof installer.Script === 'string' && installer.Script.trim() !== '';
+
+/**
+ * Runs the install phase of an image in a throwaway installer container. The instance volume is
+ * mounted at /app/data, the script's output is streamed to the job log, and the phase only succeeds
+ * if the script exits with code 0. The installer container gets the instance's resource limits and is
+ * always removed afterwards.
+ */
+const runInstaller = async (ctx, installer, volumePath, env, { Memory, Cpu, Limits } = {}) => {
+    if (!isInstallerScript(installer)) {
+        throw new Error('Installer script must be a non-empty string');
+    }
+    const installerConfig = daemonConfig.installer || {};
+    const image = installer.Image || installerConfig.image || 'alpine:latest';
+    const entrypoint = installer.Entrypoint || installerConfig.entrypoint || 'sh';
+    const timeout = (installerConfig.timeout || 1800) * 1000;
+
+    await pullImage(image, ctx, 'install');
+    await ensureNetwork();
+
+    // An installer left over from an interrupted attempt
+    if (ctx.data.installerId) {
+        await docker.getContainer(ctx.data.installerId).remove({ force: true }).catch(() => {});
+    }
+
+    const container = await docker.createContainer({
+        Image: image,
+        Cmd: [entrypoint, '-c', installer.Script],
+        WorkingDir: '/app/data',
+        Env: env,
+        AttachStdout: true,
+        AttachStderr: true,
+        Tty: false,
+        HostConfig: {
+            ...buildResourceLimits(Memory, Cpu, Limits),
+            Binds: [`${volumePath}:/app/data`],
+            NetworkMode: networkName
+        }
+    });
+    await ctx.set('installerId', container.id);
+    ctx.log(`Running install script in ${image} (${container.id.substring(0, 12)})`);
+
+    let timer;
+    try {
+        const stream = await container.attach({ stream: true, stdout: true, stderr: true });
+        const output = new PassThrough();
+        docker.modem.demuxStream(stream, output, output);
+        stream.on('end', () => output.end());
+        readline.createInterface({ input: output }).on('line', (line) => {
+            ctx.log(`[installer] ${line}`);
+            ctx.progress('install', { line });
+        });
+
+        await container.start();
+        const result = await Promise.race([
+            container.wait(),
+            new Promise((resolve, reject) => {
+                timer = setTimeout(() => reject(new Error(`Install script timed out after ${timeout / 1000} seconds`)), timeout);
+            })
+        ]);
+
+        if (result.StatusCode !== 0) {
+            throw new Error(`Install script exited with code ${result.StatusCode}`);
+        }
+        ctx.log('Install script finished successfully');
+    } finally {
+        clearTimeout(timer);
+        await container.remove({ force: true }).catch(err => ctx.error(`Failed to remove installer container: ${err.message}`));
+        await ctx.set('installerId', null);
+    }
+};
+
+const startInstanceContainer = async (ctx) => {
+    ctx.progress('start', { containerId: ctx.data.containerId, status: 'starting' });
+    try {
+        await docker.getContainer(ctx.data.containerId).start();
+    } catch (err) {
+        // 304: already started before the daemon went down
+        if (err.statusCode !== 304) {
+            throw err;
+        }
+    }
+    ctx.progress('start', { containerId: ctx.data.containerId, status: 'started' });
+    await updateState(ctx.job.volumeId, 'READY', ctx.data.containerId, { jobId: ctx.job.id });
+};
+
+const markFailed = (job) => updateState(job.volumeId, 'FAILED', null, { jobId: job.id });
+
+registerJobType('deploy', {
+    steps: ['pull', 'create', 'scripts', 'replace', 'install', 'start'],
+    resumable: true,
+    // A failed deployment gives its ports back; redeploying it allocates them again
+    onFailed: async (job) => {
+        await releasePorts(job.volumeId);
+        await markFailed(job);
     },
-    Env: config.Env,
-    ...(config.Cmd && { Cmd: config.Cmd })
+    run: async (ctx) => {
+        const { Image, Id, Cmd, Env, Ports, Scripts, Memory, Cpu, Limits, PortBindings, Stop, Restart, variables, primaryPort } = ctx.payload;
+        const volumePath = path.join(__dirname, '../volumes', Id);
+
+        await ctx.step('pull', () => pullImage(Image, ctx));
+        await ctx.step('create', () => createInstanceContainer(ctx, {
+            Image, Id, Cmd, Ports, Memory, Cpu, Limits, PortBindings, Env, Stop, Restart
+        }, volumePath));
+        await runInstallScripts(ctx, Scripts && Scripts.Install, volumePath, variables, primaryPort);
+        if (Scripts && Scripts.Installer) {
+            await ctx.step('install', () => runInstaller(ctx, Scripts.Installer, volumePath, Env, { Memory, Cpu, Limits }));
+        } else {
+            await ctx.skip('install');
+        }
+        await ctx.step('start', () => startInstanceContainer(ctx));
+        ctx.log('Deployment completed successfully');
+    }
+});
+
+registerJobType('redeploy', {
+    steps: ['pull', 'remove', 'create', 'start'],
+    resumable: true,
+    onFailed: markFailed,
+    run: async (ctx) => {
+        const { containerId, Image, Id, Ports, Memory, Cpu, Limits, PortBindings, Env, Stop, Restart } = ctx.payload;
+        const volumePath = path.join(__dirname, '../volumes', Id);
+
+        await ctx.step('pull', () => pullImage(Image, ctx));
+        await ctx.step('remove', () => removeContainer(containerId, ctx));
+        await ctx.step('create', () => createInstanceContainer(ctx, {
+            Image, Id, Ports, Memory, Cpu, Limits, PortBindings, Env, Stop, Restart
+        }, volumePath));
+        await ctx.step('start', () => startInstanceContainer(ctx));
+        ctx.log('Redeployment completed successfully');
+    }
+});
+
+registerJobType('reinstall', {
+    steps: ['pull', 'remove', 'create', 'scripts', 'replace', 'install', 'start'],
+    resumable: true,
+    onFailed: markFailed,
+    run: async (ctx) => {
+        const { containerId, Image, Id, Ports, Memory, Cpu, Limits, PortBindings, Env, Scripts, Stop, Restart } = ctx.payload;
+        const volumePath = path.join(__dirname, '../volumes', Id);
+
+        await ctx.step('pull', () => pullImage(Image, ctx));
+        await ctx.step('remove', () => removeContainer(containerId, ctx));
+        await ctx.step('create', () => createInstanceContainer(ctx, {
+            Image, Id, Ports, Memory, Cpu, Limits, PortBindings, Env, Stop, Restart
+        }, volumePath));
+        await runInstallScripts(ctx, Scripts && Scripts.Install, volumePath, env2json(Env || []),
+            Object.values(PortBindings)[0][0].HostPort);
+        if (Scripts && Scripts.Installer) {
+            await ctx.step('install', () => runInstaller(ctx, Scripts.Installer, volumePath, Env, { Memory, Cpu, Limits }));
+        } else {
+            await ctx.skip('install');
+        }
+        await ctx.step('start', () => startInstanceContainer(ctx));
+        ctx.log('Reinstall completed successfully');
+    }
 });
 
+/* routes */
+
+// Validates the requested limits against the host, responding with a 400 if they don't fit
+const checkResourceLimits = async (res, Memory, Cpu, Limits) => {
+    const errors = await validateResourceLimits(buildResourceLimits(Memory, Cpu, Limits));
+    if (errors.length > 0) {
+        res.status(400).json({ message: 'Invalid resource limits', errors });
+        return false;
+    }
+    return true;
+};
+
+// Responds with a 400 if the image has an installer without a script to run
+const checkInstaller = (res, Scripts) => {
+    if (Scripts && Scripts.Installer && !isInstallerScript(Scripts.Installer)) {
+        res.status(400).json({ message: 'Scripts.Installer.Script must be a non-empty string' });
+        return false;
+    }
+    return true;
+};
+
 const createContainer = async (req, res) => {
     log.info('Deployment in progress...');
-    let { Image, Id, Cmd, Env, Ports, Scripts, Memory, Cpu, PortBindings } = req.body;
+    let { Image, Id, Cmd, Env, Ports, Scripts, Memory, Cpu, Limits, Disk, PortBindings, Stop, Restart } = req.body;
     let variables = req.body.variables || {};
 
     if (typeof variables !== 'string') {
@@ -151,7 +417,17 @@ const createContainer = async (req, res) => {
         }
     }
 
+    let portsAllocated = false;
+    let job = null;
     try {
+        Stop = normalizeStopConfig(Stop);
+        Restart = normalizeRestartPolicy(Restart);
+        if (!checkInstaller(res, Scripts)) return;
+        if (!await checkResourceLimits(res, Memory, Cpu, Limits)) return;
+        await allocatePorts(Id, PortBindings);
+        portsAllocated = true;
+        if (Disk !== undefined) await setDiskLimit(Id, Disk);
+
         const volumePath = path.join(__dirname, '../volumes', Id);
         await fs.mkdir(volumePath, { recursive: true });
         const primaryPort = Object.values(PortBindings)[0][0].HostPort;
@@ -165,72 +441,39 @@ const createContainer = async (req, res) => {
             ...variablesEnv,
             `PRIMARY_PORT=${primaryPort}`
         ];
-        
-        // Update state to INSTALLING
-        await updateState(Id, 'INSTALLING');
 
-        log.info(`Pulling image: ${Image}`);
-        try {
-            const stream = await docker.pull(Image);
-            await new Promise((resolve, reject) => {
-                docker.modem.followProgress(stream, (err, result) => {
-                    if (err) {
-                        return reject(new Error(`Failed to pull image: ${err.message}`));
-                    }
-                    log.info(`Image ${Image} pulled successfully.`);
-                    resolve(result);
-                });
-            });
-        } catch (err) {
-            log.error(`Error pulling image ${Image}:`, err);
-            return res.status(500).json({ message: err.message });
-        }
+        job = await enqueueJob('deploy', Id, {
+            Image, Id, Cmd, Ports, Scripts, Memory, Cpu, Limits, PortBindings, Stop, Restart,
+            Env: environmentVariables,
+            variables,
+            primaryPort
+        });
+
+        // Update state to INSTALLING
+        await updateState(Id, 'INSTALLING', null, { jobId: job.id });
 
-        // Respond immediately with volumeId
+        // Respond immediately with volumeId, progress is tracked through the job
         res.status(202).json({ 
             message: 'Deployment started', 
             Env: environmentVariables,
-            volumeId: Id
+            volumeId: Id,
+            jobId: job.id,
+            Limits: describeLimits(buildResourceLimits(Memory, Cpu, Limits))
         });
-
-        const containerOptions = createContainerOptions({
-            Image, Id, Cmd, Ports, Memory, Cpu, PortBindings,
-            Env: environmentVariables
-        }, volumePath);
-
-        const container = await docker.createContainer(containerOptions);
-        log.info('Container created: ' + container.id);
-        
-        if (Scripts && Scripts.Install && Array.isArray(Scripts.Install)) {
-            const dir = path.join(__dirname, '../volumes', Id);
-            await downloadInstallScripts(Scripts.Install, dir, variables || {});
-
-            const replaceVars = {
-                primaryPort: primaryPort,
-                containerName: container.id.substring(0, 12),
-                timestamp: new Date().toISOString(),
-                randomString: Math.random().toString(36).substring(7)
-            };
-
-            await replaceVariables(dir, replaceVars);
-        }
-
-        await container.start();
-
-        // Update state to READY
-        await updateState(Id, 'READY', container.id);
-
-        log.info('Deployment completed successfully');
     } catch (err) {
         log.error('Deployment failed: ' + err.message);
-        await updateState(Id, 'FAILED');
+        // Ports of a deployment that never got queued would otherwise stay taken
+        if (portsAllocated && !job) await releasePorts(Id).catch(() => {});
+        res.status(err.statusCode || 500).json({ message: err.message });
     }
 };
 
 const deleteContainer = async (req, res) => {
     const container = docker.getContainer(req.params.id);
     try {
+        const containerInfo = await container.inspect();
         await container.remove();
+        await releasePorts(getVolumeId(containerInfo));
         res.status(200).json({ message: 'Container removed successfully' });
     } catch (err) {
         res.status(500).json({ message: err.message });
@@ -238,157 +481,133 @@ const deleteContainer = async (req, res) => {
 };
 
 const redeployContainer = async (req, res) => {
-    const { id } = req.params;
-    const container = docker.getContainer(id);
-    try {
-        const { Idd } = req.params;
-        await updateState(Idd, 'INSTALLING');
-        const containerInfo = await container.inspect();
-        if (containerInfo.State.Running) {
-            log.info(`Stopping container ${id}`);
-            await container.stop();
-        }
-        log.info(`Removing container ${id}`);
-        await container.remove();
-
-        const { Image, Id, Ports, Memory, Cpu, PortBindings, Env } = req.body;
-        const volumePath = path.join(__dirname, '../volumes', Id);
-        try {
-            const stream = await docker.pull(Image);
-            await new Promise((resolve, reject) => {
-                docker.modem.followProgress(stream, (err, result) => {
-                    if (err) {
-                        return reject(new Error(`Failed to pull image: ${err.message}`));
-                    }
-                    log.info(`Image ${Image} pulled successfully.`);
-                    resolve(result);
-                });
-            });
-        } catch (err) {
-            log.error(`Error pulling image ${Image}:`, err);
-            return res.status(500).json({ message: err.message });
-        }
+    const { id, Idd } = req.params;
+    const { Image, Id, Ports, Memory, Cpu, Limits, Disk, PortBindings, Env } = req.body;
 
-        const containerOptions = createContainerOptions({
-            Image, Id, Ports, Memory, Cpu, PortBindings, Env
-        }, volumePath);
+    try {
+        // Without a new stop configuration or restart policy, those of the current container are kept
+        const Stop = req.body.Stop !== undefined ? normalizeStopConfig(req.body.Stop) : await currentStopConfig(id);
+        const Restart = req.body.Restart !== undefined ? normalizeRestartPolicy(req.body.Restart) : await currentRestartPolicy(id);
+        if (!await checkResourceLimits(res, Memory, Cpu, Limits)) return;
+        await allocatePorts(Id, PortBindings);
+        if (Disk !== undefined) await setDiskLimit(Id, Disk);
+
+        const job = await enqueueJob('redeploy', Idd, {
+            containerId: id, Image, Id, Ports, Memory, Cpu, Limits, PortBindings, Env, Stop, Restart
+        });
+        await updateState(Idd, 'INSTALLING', null, { jobId: job.id });
 
-        const newContainer = await docker.createContainer(containerOptions);
-        await newContainer.start();
-        res.status(200).json({ message: 'Container redeployed successfully', containerId: newContainer.id });
-        await updateState(Idd, 'READY', newContainer.id);
+        const finishedJob = await waitForJob(job.id);
+        res.status(200).json({ message: 'Container redeployed successfully', containerId: finishedJob.context.containerId, jobId: job.id });
     } catch (err) {
-        res.status(500).json({ message: err.message });
+        res.status(err.statusCode || 500).json({ message: err.message });
     }
 };
 
 const reinstallContainer = async (req, res) => {
-    const { id } = req.params;
-    const container = docker.getContainer(id);
+    const { id, Idd } = req.params;
+    const { Image, Id, Ports, Memory, Cpu, Limits, Disk, PortBindings, Env, imageData } = req.body;
 
     try {
-        const { Idd } = req.params;
-        await updateState(Idd, 'INSTALLING');
-        const containerInfo = await container.inspect();
-        if (containerInfo.State.Running) {
-            log.info(`Stopping container ${id}`);
-            await container.stop();
-        }
-        log.info(`Removing container ${id}`);
-        await container.remove();
-
-        const env2json = (env) => env.reduce((obj, item) => {
-            const [key, value] = item.split('=');
-            obj[key] = value;
-            return obj;
-        }, {});
-
-        const { Image, Id, Ports, Memory, Cpu, PortBindings, Env, imageData } = req.body;
-        const volumePath = path.join(__dirname, '../volumes', Id);
-
-        try {
-            const stream = await docker.pull(Image);
-            await new Promise((resolve, reject) => {
-                docker.modem.followProgress(stream, (err, result) => {
-                    if (err) {
-                        return reject(new Error(`Failed to pull image: ${err.message}`));
-                    }
-                    log.info(`Image ${Image} pulled successfully.`);
-                    resolve(result);
-                });
-            });
-        } catch (err) {
-            log.error(`Error pulling image ${Image}:`, err);
-            return res.status(500).json({ message: err.message });
-        }
-
-        const containerOptions = createContainerOptions({
-            Image, Id, Ports, Memory, Cpu, PortBindings, Env
-        }, volumePath);
-
-        const newContainer = await docker.createContainer(containerOptions);
-        if (imageData && imageData.Scripts && imageData.Scripts.Install && Array.isArray(imageData.Scripts.Install)) {
-            const dir = path.join(__dirname, '../volumes', Id);
-
-            await downloadInstallScripts(imageData.Scripts.Install, dir, env2json(Env));
-
-            const variables = {
-                primaryPort: Object.values(PortBindings)[0][0].HostPort,
-                containerName: newContainer.id.substring(0, 12),
-                timestamp: new Date().toISOString(),
-                randomString: Math.random().toString(36).substring(7)
-            };
-            await replaceVariables(dir, variables);
-        }
+        const Stop = req.body.Stop !== undefined ? normalizeStopConfig(req.body.Stop) : await currentStopConfig(id);
+        const Restart = req.body.Restart !== undefined ? normalizeRestartPolicy(req.body.Restart) : await currentRestartPolicy(id);
+        if (!checkInstaller(res, imageData && imageData.Scripts)) return;
+        if (!await checkResourceLimits(res, Memory, Cpu, Limits)) return;
+        await allocatePorts(Id, PortBindings);
+        if (Disk !== undefined) await setDiskLimit(Id, Disk);
+
+        const job = await enqueueJob('reinstall', Idd, {
+            containerId: id, Image, Id, Ports, Memory, Cpu, Limits, PortBindings, Env, Stop, Restart,
+            Scripts: imageData && imageData.Scripts
+        });
+        await updateState(Idd, 'INSTALLING', null, { jobId: job.id });
 
-        await newContainer.start();
-        res.status(200).json({ message: 'Container reinstalled successfully', containerId: newContainer.id });
-        await updateState(Idd, 'READY', newContainer.id);
+        const finishedJob = await waitForJob(job.id);
+        res.status(200).json({ message: 'Container reinstalled successfully', containerId: finishedJob.context.containerId, jobId: job.id });
     } catch (err) {
         log.error('Error reinstalling instance:', err);
-        res.status(500).json({ message: err.message });
+        res.status(err.statusCode || 500).json({ message: err.message });
     }
 };
 
+// The limits of a container created before they were kept in its labels, read back from its HostConfig.
+// Docker reports MemorySwap as twice Memory when only Memory was set, that isn't a swap limit of its own
+const legacyLimits = (hostConfig) => {
+    const { Memory, Cpus, ...limits } = describeLimits(hostConfig);
+    if (limits.MemorySwap === Memory * 2) {
+        delete limits.MemorySwap;
+    }
+    return { Memory, Cpu: hostConfig.NanoCpus ? undefined : hostConfig.CpuCount, Limits: limits };
+};
+
 const editContainer = async (req, res) => {
     const { id } = req.params;
-    const { Image, Memory, Cpu, VolumeId } = req.body;
+    const { Image, Memory, Cpu, Limits, Disk, VolumeId } = req.body;
 
     try {
+        const Stop = req.body.Stop !== undefined ? normalizeStopConfig(req.body.Stop) : await currentStopConfig(id);
+        const Restart = req.body.Restart !== undefined ? normalizeRestartPolicy(req.body.Restart) : await currentRestartPolicy(id);
         log.info(`Editing container: ${id}`);
         const container = docker.getContainer(id);
         const containerInfo = await container.inspect();
         const existingConfig = containerInfo.Config;
         const existingHostConfig = containerInfo.HostConfig;
 
+        // Keep the current limits unless they are overridden; a new Cpu replaces any CPU limit
+        const current = readRequestedLimits(existingConfig.Labels) || legacyLimits(existingHostConfig);
+        const existingLimits = current.Limits;
+        if (Cpu) {
+            delete existingLimits.NanoCpus;
+            delete existingLimits.CpuQuota;
+            delete existingLimits.CpuPeriod;
+        }
+        const newMemory = Memory || current.Memory;
+        // An explicit swap limit keeps its amount of swap on top of the new Memory
+        if (existingLimits.MemorySwap !== undefined && existingLimits.MemorySwap !== -1) {
+            existingLimits.MemorySwap += newMemory - current.Memory;
+        }
+        const newLimits = { ...existingLimits, ...(Limits || {}) };
+        const newCpu = Cpu || current.Cpu;
+
+        if (!await checkResourceLimits(res, newMemory, newCpu, newLimits)) return;
+        await allocatePorts(VolumeId, existingHostConfig.PortBindings);
+        if (Disk !== undefined) await setDiskLimit(VolumeId, Disk);
+
         const newContainerOptions = createContainerOptions({
             Image: Image || existingConfig.Image,
             Id: id,
             Ports: existingConfig.ExposedPorts,
-            Memory: Memory || existingHostConfig.Memory / (1024 * 1024),
-            Cpu: Cpu || existingHostConfig.CpuCount,
+            Memory: newMemory,
+            Cpu: newCpu,
+            Limits: newLimits,
             PortBindings: existingHostConfig.PortBindings,
             Env: existingConfig.Env,
-            Cmd: existingConfig.Cmd
+            Cmd: existingConfig.Cmd,
+            Stop,
+            Restart
         }, path.join(__dirname, '../volumes', VolumeId));
 
         log.info(`Stopping container: ${id}`);
-        await container.stop();
+        await stopGracefully(id).catch((err) => {
+            if (err.statusCode !== 304) throw err;
+        });
         log.info(`Removing container: ${id}`);
         await container.remove();
         log.info('Creating new container with updated configuration');
         const newContainer = await docker.createContainer(newContainerOptions);
         await newContainer.start();
+        await patchState(VolumeId, { containerId: newContainer.id });
 
         log.info(`Edit completed! New container ID: ${newContainer.id}`);
         res.status(200).json({ 
             message: 'Container edited successfully', 
             oldContainerId: id, 
-            newContainerId: newContainer.id 
+            newContainerId: newContainer.id,
+            Limits: describeLimits(newContainerOptions.HostConfig)
         });
     } catch (err) {
         log.error(`Edit failed: ${err.message}`);
-        res.status(500).json({ message: err.message });
+        res.status(err.statusCode || 500).json({ message: err.message });
     }
 };
 
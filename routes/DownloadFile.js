@@ -0,0 +1,92 @@
+const express = require('express');
+const router = express.Router();
+const fs = require('fs').promises;
+const path = require('path');
+const { resolveInVolume } = require('../utils/SafePath');
+const { formats, formatExtension, writeArchive } = require('../utils/ArchiveFormats');
+
+function sendError(res, err) {
+    if (err.code === 'ENOENT') {
+        res.status(404).json({ message: 'File not found' });
+    } else if (err.message.includes('Attempting to access outside of the volume')) {
+        res.status(400).json({ message: err.message });
+    } else {
+        res.status(err.statusCode || 500).json({ message: err.message });
+    }
+}
+
+/**
+ * GET /:id/files/download/:filename
+ * Downloads any file within a volume as-is, streamed from disk. The response carries the file's
+ * Content-Type, Content-Length, ETag and Last-Modified, and supports Range requests (so downloads can be
+ * resumed and media can be seeked) as well as If-None-Match/If-Modified-Since.
+ *
+ * @param {string} id - The volume identifier.
+ * @param {string} filename - The name of the file to download.
+ * @param {string} [path] - Optional. A subdirectory within the volume where the file is located.
+ */
+router.get('/fs/:id/files/download/:filename', async (req, res) => {
+    const { id, filename } = req.params;
+    const volumePath = path.join(__dirname, '../volumes', id);
+    const subPath = req.query.path || '';
+
+    try {
+        const filePath = await resolveInVolume(volumePath, path.join(subPath, filename));
+        const stats = await fs.stat(filePath);
+        if (!stats.isFile()) {
+            return res.status(400).json({ message: 'Not a file, use /fs/:id/folders/download to download a folder' });
+        }
+
+        res.attachment(filename);
+        res.sendFile(filePath, { dotfiles: 'allow', lastModified: true, etag: true }, (err) => {
+            if (!err) return;
+            if (res.headersSent) {
+                res.destroy();
+            } else {
+                res.status(err.status || err.statusCode || 500).json({ message: err.message });
+            }
+        });
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+/**
+ * GET /:id/folders/download/:foldername
+ * Downloads a folder within a volume as an archive that is built while it streams, without writing a
+ * temporary file. The format defaults to zip; tar.gz and tar.zst can be requested with ?format=.
+ *
+ * @param {string} id - The volume identifier.
+ * @param {string} foldername - The name of the folder to download.
+ * @param {string} [path] - Optional. A subdirectory within the volume where the folder is located.
+ * @param {string} [format] - Optional. zip (default), tar.gz or tar.zst.
+ */
+router.get('/fs/:id/folders/download/:foldername', async (req, res) => {
+    const { id, foldername } = req.params;
+    const volumePath = path.join(__dirname, '../volumes', id);
+    const subPath = req.query.path || '';
+    const format = req.query.format || 'zip';
+
+    if (!formats.includes(format)) {
+        return res.status(400).json({ message: `format must be one of ${formats.join(', ')}` });
+    }
+
+    try {
+        const folderPath = await resolveInVolume(volumePath, path.join(subPath, foldername));
+        const stats = await fs.stat(folderPath);
+        if (!stats.isDirectory()) {
+            return res.status(400).json({ message: 'Not a folder' });
+        }
+
+        const archive = writeArchive(folderPath, format);
+        res.attachment(`${path.basename(folderPath)}${formatExtension(format)}`);
+        res.on('close', () => archive.destroy());
+        // The size isn't known up front; a failure halfway can only be reported by cutting the response
+        archive.on('error', () => res.destroy());
+        archive.pipe(res);
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+module.exports = router;
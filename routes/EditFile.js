@@ -2,37 +2,77 @@ const express = require('express');
 const router = express.Router();
 const fs = require('fs').promises;
 const path = require('path');
-const { safePath } = require('../utils/SafePath');
-const { isEditable } = require('../utils/FileType');
+const { resolveInVolume } = require('../utils/SafePath');
+const { detectFileType, isEditable, notEditableReason, encodeText } = require('../utils/FileType');
+const { assertDiskSpace, recordDiskWrite } = require('../utils/DiskQuota');
+const { writeFileAtomic } = require('../utils/AtomicFile');
 
 /**
  * POST /:id/files/edit/:filename
- * Modifies the content of a specific file within a volume. The file must be of a type that is editable.
- * Receives the new content in the request body and overwrites the file with this content.
+ * Modifies the content of a specific file within a volume. The file must be of a type that is editable,
+ * judged by its content for existing files. Receives the new content in the request body and overwrites
+ * the file with it, in the encoding the file was in (byte order mark included).
+ * Edits that would take the volume over its disk quota are rejected with a 507.
+ *
+ * When `version` (as returned by the view route) is given, the edit is rejected with a 409 if the file
+ * has changed or been deleted since; the response then carries the file's current version. The file is
+ * replaced atomically and keeps its mode and ownership.
  *
  * @param {string} id - The volume identifier.
  * @param {string} filename - The name of the file to edit.
  * @param {string} content - The new content to write to the file.
- * @returns {Response} JSON response indicating the result of the file update operation.
+ * @param {string} [version] - The version of the file the edit is based on.
+ * @returns {Response} JSON response containing the new version of the file.
  */
 router.post('/fs/:id/files/edit/:filename', async (req, res) => {
     const { id, filename } = req.params;
-    const { content } = req.body;
+    const { content, version } = req.body;
     const volumePath = path.join(__dirname, '../volumes', id);
 
     const dirPath = req.query.path;
     
     let formattedPath = dirPath ? path.join(dirPath, filename) : filename;
     
+    if (version !== undefined && typeof version !== 'string') {
+        return res.status(400).json({ message: 'version must be the token returned when viewing the file' });
+    }
+
     try {
-        const filePath = safePath(volumePath, formattedPath);
-        if (!isEditable(filePath)) {
-            return res.status(400).json({ message: 'File type not supported for editing' });
+        // Edits go to the file a symlink points at, rather than replacing the link, as long as it's in the volume
+        const filePath = await resolveInVolume(volumePath, formattedPath);
+        // Reading a FIFO or a device would hang or never end
+        const stats = await fs.lstat(filePath).catch((err) => {
+            if (err.code === 'ENOENT') return null;
+            throw err;
+        });
+        if (stats && !stats.isFile()) {
+            return res.status(400).json({ message: 'Only regular files can be edited' });
         }
-        await fs.writeFile(filePath, content);
-        res.json({ message: 'File updated successfully' });
+        const type = await detectFileType(filePath).catch((err) => {
+            if (err.code === 'ENOENT') return null;
+            throw err;
+        });
+        const reason = type ? notEditableReason(filePath, type) : (isEditable(filePath) ? null : 'File type not supported for editing');
+        if (reason) {
+            return res.status(400).json({ message: reason });
+        }
+        const data = type ? encodeText(content || '', type.encoding, type.bom) : encodeText(content || '');
+        const sizeDelta = data.length - (type ? type.size : 0);
+        await assertDiskSpace(id, sizeDelta);
+
+        const newVersion = await writeFileAtomic(filePath, data, { expectedVersion: version });
+        recordDiskWrite(id, sizeDelta);
+        res.json({ message: 'File updated successfully', version: newVersion });
     } catch (err) {
-        res.status(500).json({ message: err.message });
+        if (err.statusCode === 409) {
+            res.status(409).json({ message: err.message, version: err.currentVersion });
+        } else if (err.code === 'ENOENT') {
+            res.status(404).json({ message: 'Specified path not found' });
+        } else if (err.message.includes('Attempting to access outside of the volume')) {
+            res.status(400).json({ message: err.message });
+        } else {
+            res.status(err.statusCode || 500).json({ message: err.message });
+        }
     }
 });
 
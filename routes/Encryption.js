@@ -0,0 +1,161 @@
+/**
+ * @fileoverview Routes to manage archive encryption: turning on a per-instance key, rotating instance
+ * and node keys, and re-encrypting existing archives with the active key. Re-encryption runs as a job
+ * so it can be followed on /jobs and resumed after a daemon restart.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { registerJobType, enqueueJob } = require('../utils/JobQueue');
+const { listAllBuckets } = require('../utils/ArchiveStorage');
+const { reencryptArchives } = require('../utils/Archives');
+const {
+    NODE_SCOPE,
+    nodeEncryptionEnabled,
+    createKey,
+    disableInstanceKey,
+    describeEncryption
+} = require('../utils/ArchiveEncryption');
+
+registerJobType('archive-reencrypt', {
+    steps: ['reencrypt'],
+    // Archives already on the active key are skipped, so a resumed job picks up where it stopped
+    resumable: true,
+    run: async (ctx) => {
+        const { buckets } = ctx.payload;
+
+        await ctx.step('reencrypt', async () => {
+            for (const id of buckets) {
+                const { reencrypted, skipped } = await reencryptArchives(id, (archiveName, done, total) => {
+                    ctx.progress('reencrypt', { bucket: id, archive: archiveName, done, total });
+                });
+                ctx.log(`${id}: re-encrypted ${reencrypted.length} archive(s), skipped ${skipped.length}`);
+            }
+        });
+    }
+});
+
+async function startReencryption(volumeId, buckets) {
+    const job = await enqueueJob('archive-reencrypt', volumeId, { buckets });
+    return job.id;
+}
+
+/**
+ * GET /archive/:id/encryption
+ * Returns whether archives of an instance are encrypted and with which key.
+ *
+ * @param {string} id - The archive bucket identifier.
+ * @returns {Response} JSON response containing the encryption status.
+ */
+router.get('/archive/:id/encryption', (req, res) => {
+    res.json(describeEncryption(req.params.id));
+});
+
+/**
+ * POST /archive/:id/encryption/enable
+ * Gives an instance its own encryption key; new archives are encrypted with it. Does nothing if the
+ * instance already has one.
+ *
+ * @param {string} id - The archive bucket identifier.
+ * @returns {Response} JSON response containing the encryption status.
+ */
+router.post('/archive/:id/encryption/enable', async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        if (describeEncryption(id).scope !== 'instance') {
+            await createKey(id);
+        }
+        res.json({ message: 'Archive encryption enabled', ...describeEncryption(id) });
+    } catch (err) {
+        res.status(500).json({ message: err.message });
+    }
+});
+
+/**
+ * POST /archive/:id/encryption/disable
+ * Stops using the instance's own key for new archives (the node key still applies if node-wide
+ * encryption is on). Existing archives stay encrypted and readable.
+ *
+ * @param {string} id - The archive bucket identifier.
+ * @returns {Response} JSON response containing the encryption status.
+ */
+router.post('/archive/:id/encryption/disable', async (req, res) => {
+    try {
+        await disableInstanceKey(req.params.id);
+        res.json({ message: 'Instance archive key disabled', ...describeEncryption(req.params.id) });
+    } catch (err) {
+        res.status(500).json({ message: err.message });
+    }
+});
+
+/**
+ * POST /archive/:id/encryption/rotate
+ * Replaces the instance's key with a new one and starts a job re-encrypting its existing archives.
+ * The old key is kept so archives stay readable while the job runs.
+ *
+ * @param {string} id - The archive bucket identifier.
+ * @returns {Response} JSON response containing the new key ID and the re-encryption job ID.
+ */
+router.post('/archive/:id/encryption/rotate', async (req, res) => {
+    const { id } = req.params;
+    if (describeEncryption(id).scope !== 'instance') {
+        return res.status(400).json({ message: 'This instance has no key of its own; rotate the node key instead' });
+    }
+
+    try {
+        const keyId = await createKey(id);
+        const jobId = await startReencryption(id, [id]);
+        res.status(202).json({ message: 'Key rotated, re-encrypting archives', keyId, jobId });
+    } catch (err) {
+        res.status(500).json({ message: err.message });
+    }
+});
+
+/**
+ * POST /archive/:id/encryption/reencrypt
+ * Starts a job re-encrypting every archive of an instance that isn't on its active key yet, including
+ * archives that were stored unencrypted.
+ *
+ * @param {string} id - The archive bucket identifier.
+ * @returns {Response} JSON response containing the re-encryption job ID.
+ */
+router.post('/archive/:id/encryption/reencrypt', async (req, res) => {
+    const { id } = req.params;
+    if (!describeEncryption(id).enabled) {
+        return res.status(400).json({ message: 'Encryption is not enabled for these archives' });
+    }
+
+    try {
+        const jobId = await startReencryption(id, [id]);
+        res.status(202).json({ message: 'Re-encrypting archives', jobId });
+    } catch (err) {
+        res.status(500).json({ message: err.message });
+    }
+});
+
+/**
+ * POST /archive/encryption/rotate
+ * Replaces the node key with a new one and starts a job re-encrypting the archives of every instance
+ * that uses the node key.
+ *
+ * @returns {Response} JSON response containing the new key ID and the re-encryption job ID.
+ */
+router.post('/archive/encryption/rotate', async (req, res) => {
+    if (!nodeEncryptionEnabled) {
+        return res.status(400).json({ message: 'Node-wide archive encryption is not enabled' });
+    }
+
+    try {
+        const keyId = await createKey(NODE_SCOPE);
+        const buckets = (await listAllBuckets())
+            .map(bucket => bucket.id)
+            .filter(id => describeEncryption(id).scope === NODE_SCOPE);
+        const jobId = await startReencryption(NODE_SCOPE, buckets);
+        res.status(202).json({ message: 'Node key rotated, re-encrypting archives', keyId, jobId, buckets });
+    } catch (err) {
+        res.status(500).json({ message: err.message });
+    }
+});
+
+module.exports = router;
@@ -3,6 +3,8 @@ const fs = require('fs').promises;
 const path = require('path');
 const config = require('../config.json');
 const logger = require('cat-loggr');
+const { createQuotaFs } = require('../utils/DiskQuota');
+const { ftpPassivePorts } = require('../utils/Networking');
 
 const log = new logger();
 
@@ -106,8 +108,8 @@ const createServer = () => {
       const user = users[connection.username];
       user ? callback(null, user.root) : callback(new Error('No such user'));
     },
-    pasvPortRangeStart: 1025,
-    pasvPortRangeEnd: 1050,
+    pasvPortRangeStart: ftpPassivePorts.start,
+    pasvPortRangeEnd: ftpPassivePorts.end,
     tlsOptions: options.tls,
     allowUnauthorizedTls: true,
     useWriteFile: false,
@@ -137,7 +139,8 @@ const createServer = () => {
         log.info(`Password attempt for user ${currentUser}: ${pass}`);
         const user = users[currentUser];
         if (user.password === pass) {
-          success(currentUser);
+          // STOR goes through a quota-aware fs so uploads can't take the volume over its disk limit
+          success(currentUser, createQuotaFs(currentUser.replace(/^user-/, '')));
         } else {
           log.warn(`Failed login attempt for user ${currentUser}. Wrong password`);
           failure();
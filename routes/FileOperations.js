@@ -0,0 +1,240 @@
+const express = require('express');
+const router = express.Router();
+const fs = require('fs').promises;
+const path = require('path');
+const { safePath, resolveInVolume } = require('../utils/SafePath');
+const { calculateDirectorySize, assertDiskSpace, recordDiskWrite, refreshDiskUsage } = require('../utils/DiskQuota');
+
+const maxItems = 1000;
+
+/**
+ * Turns a move or copy request into a list of { from, to } pairs. Either `items` lists the pairs
+ * explicitly, which allows renaming while moving, or `paths` are moved into the `destination` directory
+ * under their own names.
+ */
+function parseTransfers(body) {
+    const { items, paths, destination } = body || {};
+
+    if (Array.isArray(items)) {
+        if (items.some(item => !item || typeof item.from !== 'string' || typeof item.to !== 'string')) {
+            return { error: 'items must be { from, to } path pairs' };
+        }
+        return { transfers: items };
+    }
+
+    if (Array.isArray(paths) && typeof destination === 'string') {
+        if (paths.some(entryPath => typeof entryPath !== 'string')) {
+            return { error: 'paths must be file paths' };
+        }
+        return { transfers: paths.map(entryPath => ({ from: entryPath, to: path.join(destination, path.basename(entryPath)) })) };
+    }
+
+    return { error: 'Either items or paths and destination are required' };
+}
+
+function parsePaths(body) {
+    const { paths } = body || {};
+    if (!Array.isArray(paths) || paths.some(entryPath => typeof entryPath !== 'string')) {
+        return { error: 'paths must be an array of file paths' };
+    }
+    return { paths };
+}
+
+function itemError(err) {
+    if (err.code === 'ENOENT') return 'File not found';
+    if (err.code === 'EEXIST') return 'Destination already exists';
+    if (err.code === 'EINVAL' || err.code === 'ERR_FS_CP_EINVAL') return 'Cannot move or copy a folder into itself';
+    return err.message;
+}
+
+/**
+ * Runs an operation for every item and reports the outcome of each. Items are processed one by one, in
+ * order, so later items see the effect of earlier ones.
+ */
+async function runItems(res, items, operation) {
+    if (items.length === 0 || items.length > maxItems) {
+        return res.status(400).json({ message: `Between 1 and ${maxItems} items are required` });
+    }
+
+    const results = [];
+    for (const item of items) {
+        try {
+            results.push({ ...item, success: true, ...(await operation(item)) });
+        } catch (err) {
+            results.push({ ...item, success: false, message: itemError(err) });
+        }
+    }
+
+    const failed = results.filter(result => !result.success).length;
+    res.status(failed > 0 ? 207 : 200).json({
+        message: failed > 0 ? `${failed} of ${results.length} item(s) failed` : 'All items processed successfully',
+        results
+    });
+}
+
+// Resolves an item path without following the item itself if it's a symlink, so links are moved, copied
+// and deleted as links, but refuses paths going through a directory that is a link out of the volume
+function resolveItem(volumePath, basePath, entryPath) {
+    return resolveInVolume(volumePath, safePath(basePath, entryPath), { followLink: false });
+}
+
+async function assertMissing(filePath) {
+    try {
+        await fs.lstat(filePath);
+    } catch (err) {
+        if (err.code === 'ENOENT') return;
+        throw err;
+    }
+    throw Object.assign(new Error('Destination already exists'), { code: 'EEXIST' });
+}
+
+/**
+ * POST /:id/files/move
+ * Moves files and folders, across directories if needed. The body is either { "paths": [...],
+ * "destination": "dir" } or { "items": [{ "from": "a/x", "to": "b/y" }] }. Missing destination folders
+ * are created and existing destinations are never overwritten. All paths are relative to the
+ * subdirectory given in the path query parameter.
+ *
+ * @param {string} id - The volume identifier.
+ * @param {string} [path] - Optional. A subdirectory within the volume the paths are relative to.
+ * @returns {Response} JSON response with the outcome of every item (207 if some failed).
+ */
+router.post('/fs/:id/files/move', async (req, res) => {
+    const volumePath = path.join(__dirname, '../volumes', req.params.id);
+    const { transfers, error } = parseTransfers(req.body);
+    if (error) return res.status(400).json({ message: error });
+
+    try {
+        const basePath = safePath(volumePath, req.query.path || '');
+        await runItems(res, transfers, async ({ from, to }) => {
+            if (safePath(basePath, from) === volumePath) throw new Error('Cannot move the volume root');
+            const sourcePath = await resolveItem(volumePath, basePath, from);
+            const targetPath = await resolveItem(volumePath, basePath, to);
+
+            await fs.lstat(sourcePath);
+            await assertMissing(targetPath);
+            await fs.mkdir(path.dirname(targetPath), { recursive: true });
+            await fs.rename(sourcePath, targetPath);
+        });
+    } catch (err) {
+        res.status(400).json({ message: err.message });
+    }
+});
+
+/**
+ * POST /:id/files/copy
+ * Copies files and folders (recursively), taking the same body as the move route. Symlinks are copied
+ * as links. Every copy is checked against the disk quota before it starts (507 for that item otherwise).
+ *
+ * @param {string} id - The volume identifier.
+ * @param {string} [path] - Optional. A subdirectory within the volume the paths are relative to.
+ * @returns {Response} JSON response with the outcome of every item (207 if some failed).
+ */
+router.post('/fs/:id/files/copy', async (req, res) => {
+    const { id } = req.params;
+    const volumePath = path.join(__dirname, '../volumes', id);
+    const { transfers, error } = parseTransfers(req.body);
+    if (error) return res.status(400).json({ message: error });
+
+    try {
+        const basePath = safePath(volumePath, req.query.path || '');
+        await runItems(res, transfers, async ({ from, to }) => {
+            const sourcePath = await resolveItem(volumePath, basePath, from);
+            const targetPath = await resolveItem(volumePath, basePath, to);
+
+            const stats = await fs.lstat(sourcePath);
+            const size = stats.isDirectory() ? await calculateDirectorySize(sourcePath) : stats.size;
+            await assertDiskSpace(id, size);
+
+            await assertMissing(targetPath);
+            await fs.mkdir(path.dirname(targetPath), { recursive: true });
+            await fs.cp(sourcePath, targetPath, { recursive: true, errorOnExist: true, force: false, verbatimSymlinks: true });
+            recordDiskWrite(id, size);
+            return { size };
+        });
+    } catch (err) {
+        res.status(400).json({ message: err.message });
+    }
+});
+
+/**
+ * POST /:id/files/delete
+ * Deletes many files and folders at once. The body is { "paths": [...] }.
+ *
+ * @param {string} id - The volume identifier.
+ * @param {string} [path] - Optional. A subdirectory within the volume the paths are relative to.
+ * @returns {Response} JSON response with the outcome of every item (207 if some failed).
+ */
+router.post('/fs/:id/files/delete', async (req, res) => {
+    const { id } = req.params;
+    const volumePath = path.join(__dirname, '../volumes', id);
+    const { paths, error } = parsePaths(req.body);
+    if (error) return res.status(400).json({ message: error });
+
+    try {
+        const basePath = safePath(volumePath, req.query.path || '');
+        await runItems(res, paths.map(entryPath => ({ path: entryPath })), async (item) => {
+            if (safePath(basePath, item.path) === volumePath) throw new Error('Cannot delete the volume root');
+            const filePath = await resolveItem(volumePath, basePath, item.path);
+
+            await fs.lstat(filePath);
+            await fs.rm(filePath, { recursive: true, force: true });
+        });
+        refreshDiskUsage(id).catch(() => {});
+    } catch (err) {
+        res.status(400).json({ message: err.message });
+    }
+});
+
+/**
+ * POST /:id/files/chmod
+ * Changes the permissions of files and folders, in the same Unix notation ListFiles reports, e.g.
+ * { "paths": ["start.sh"], "permissions": "755" }. With "recursive": true the permissions are applied
+ * to everything inside the given folders too. Symlinks are skipped, as their permissions mean nothing
+ * and changing them would change whatever they point at.
+ *
+ * @param {string} id - The volume identifier.
+ * @param {string} [path] - Optional. A subdirectory within the volume the paths are relative to.
+ * @returns {Response} JSON response with the outcome of every item (207 if some failed).
+ */
+router.post('/fs/:id/files/chmod', async (req, res) => {
+    const volumePath = path.join(__dirname, '../volumes', req.params.id);
+    const { paths, error } = parsePaths(req.body);
+    if (error) return res.status(400).json({ message: error });
+
+    const { permissions, recursive = false } = req.body;
+    // Permission bits only: setuid, setgid and sticky (a leading 1-7) can't be set through the API
+    if (typeof permissions !== 'string' || !/^0?[0-7]{3}$/.test(permissions)) {
+        return res.status(400).json({ message: 'permissions must be an octal mode such as "644" or "0755", without setuid, setgid or sticky bits' });
+    }
+    const mode = parseInt(permissions, 8);
+
+    const applyMode = async (filePath, descend) => {
+        const stats = await fs.lstat(filePath);
+        if (stats.isSymbolicLink()) return 0;
+
+        await fs.chmod(filePath, mode);
+        let changed = 1;
+        if (descend && stats.isDirectory()) {
+            for (const entry of await fs.readdir(filePath)) {
+                changed += await applyMode(path.join(filePath, entry), true);
+            }
+        }
+        return changed;
+    };
+
+    try {
+        const basePath = safePath(volumePath, req.query.path || '');
+        await runItems(res, paths.map(entryPath => ({ path: entryPath })), async (item) => {
+            const filePath = await resolveItem(volumePath, basePath, item.path);
+            if ((await fs.lstat(filePath)).isSymbolicLink()) {
+                throw new Error('Symlinks have no permissions of their own');
+            }
+            return { changed: await applyMode(filePath, recursive === true) };
+        });
+    } catch (err) {
+        res.status(400).json({ message: err.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,37 @@
+/**
+ * @fileoverview Exposes the deployment job queue. Deployments, redeploys and reinstalls run as jobs
+ * with ordered steps; these routes let the panel follow a job's progress, step timings, errors and log.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getJob, listJobs } = require('../utils/JobQueue');
+
+/**
+ * GET /jobs
+ * Lists known jobs, newest first, without their logs. Can be narrowed down to a single volume
+ * with the volumeId query parameter.
+ *
+ * @param {string} [volumeId] - Optional query parameter. Only list jobs for this volume.
+ * @returns {Response} JSON response containing the job summaries.
+ */
+router.get('/jobs', (req, res) => {
+    res.json({ jobs: listJobs(req.query.volumeId) });
+});
+
+/**
+ * GET /jobs/:id
+ * Retrieves a single job, including its steps, context and log.
+ *
+ * @param {string} id - The job identifier.
+ * @returns {Response} JSON response containing the job, or a 404 if it doesn't exist.
+ */
+router.get('/jobs/:id', (req, res) => {
+    const job = getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ message: 'Job not found' });
+    }
+    res.json(job);
+});
+
+module.exports = router;
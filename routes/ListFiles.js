@@ -2,13 +2,31 @@ const express = require('express');
 const router = express.Router();
 const fs = require('fs').promises;
 const path = require('path');
-const { safePath } = require('../utils/SafePath');
-const { getFilePurpose, isEditable, formatFileSize } = require('../utils/FileType');
+const { resolveInVolume } = require('../utils/SafePath');
+const { detectFileType, formatFileSize } = require('../utils/FileType');
+
+// Files sniffed at the same time, so a large directory doesn't open thousands of files at once
+const sniffConcurrency = 16;
+
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index]);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
 
 /**
  * GET /:id/files
  * Retrieves a list of files and directories within a specified volume, optionally within a subdirectory.
  * Provides enhanced details about each file or directory, including its type, editability, size, last updated timestamp, and purpose.
+ * File types are detected from their content, so extensionless text files are editable and binaries are not.
+ * Symlinks are listed as links (`isSymlink`) without being followed or sniffed.
  *
  * @param {string} id - The volume identifier.
  * @param {string} [path] - Optional. A subdirectory within the volume to list files from.
@@ -22,29 +40,38 @@ router.get('/fs/:id/files', async (req, res) => {
     if (!volumeId) return res.status(400).json({ message: 'No volume ID' });
 
     try {
-        const fullPath = safePath(volumePath, subPath);
+        const fullPath = await resolveInVolume(volumePath, subPath);
         const files = await fs.readdir(fullPath, { withFileTypes: true });
         
-        const detailedFiles = await Promise.all(files.map(async (file) => {
+        const detailedFiles = await mapWithConcurrency(files, sniffConcurrency, async (file) => {
             const filePath = path.join(fullPath, file.name);
-            const stats = await fs.stat(filePath);
-            
+            const stats = await fs.lstat(filePath).catch(() => null);
+            // Removed since the directory was read
+            if (!stats) return null;
+            // Only regular files are sniffed; opening a FIFO or device would block or have side effects
+            const type = stats.isFile() ? await detectFileType(filePath).catch(() => null) : null;
+
             return {
                 name: file.name,
                 isDirectory: file.isDirectory(),
-                isEditable: isEditable(file.name),
+                isSymlink: stats.isSymbolicLink(),
+                isEditable: type ? type.isEditable : false,
                 size: formatFileSize(stats.size),
                 lastUpdated: stats.mtime.toISOString(),
-                purpose: file.isDirectory() ? 'folder' : getFilePurpose(file.name),
+                purpose: file.isDirectory() ? 'folder' : (type ? type.purpose : 'other'),
+                mimeType: type ? type.mimeType : null,
+                encoding: type ? type.encoding : null,
                 extension: path.extname(file.name).toLowerCase(),
                 permissions: stats.mode.toString(8).slice(-3) // Unix-style permissions
             };
-        }));
+        });
         
-        res.json({ files: detailedFiles });
+        res.json({ files: detailedFiles.filter(Boolean) });
     } catch (err) {
         if (err.message.includes('Attempting to access outside of the volume')) {
             res.status(400).json({ message: err.message });
+        } else if (err.code === 'ENOENT') {
+            res.status(404).json({ message: 'Specified path not found' });
         } else {
             res.status(500).json({ message: err.message });
         }
@@ -0,0 +1,26 @@
+/**
+ * @fileoverview Exposes the node's port allocation table. Instances run on the daemon-owned bridge
+ * network and only their allocated ports are published, so the panel can look up which host ports are
+ * free, used (and by which instance) or reserved before assigning them.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { listPorts } = require('../utils/Networking');
+
+/**
+ * GET /network/ports
+ * Lists the free ports in the configured allocation range, the used ports with the volume they are
+ * allocated to, and the ports reserved on the node (daemon, FTP and configured reservations).
+ *
+ * @returns {Response} JSON response containing the port overview.
+ */
+router.get('/network/ports', async (req, res) => {
+    try {
+        res.json(await listPorts());
+    } catch (err) {
+        res.status(500).json({ message: err.message });
+    }
+});
+
+module.exports = router;
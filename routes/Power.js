@@ -7,16 +7,16 @@
 
 const express = require('express');
 const router = express.Router();
-const Docker = require('dockerode');
-
-const docker = new Docker({ socketPath: process.env.dockerSocket });
+const { powerActions, runPowerAction } = require('../utils/Power');
 
 /**
  * POST /:id/:power
  * Manages the power state of a Docker container based on the action specified in the URL. Supports actions
  * like start, stop, restart, pause, unpause, and kill. Each action is directly invoked on the container
  * object from Dockerode based on the specified container ID and action parameter. Responses include
- * success messages or error handling for invalid actions or execution failures.
+ * success messages or error handling for invalid actions or execution failures. stop and restart are
+ * graceful: the instance's stop command, then its stop signal, then SIGKILL once the grace timeout has
+ * passed, with each phase shown on the instance's console.
  *
  * @param {Object} req - The HTTP request object, containing the container ID and the power action as URL parameters.
  * @param {Object} res - The HTTP response object used to return success or error messages.
@@ -24,21 +24,12 @@ const docker = new Docker({ socketPath: process.env.dockerSocket });
  */
 router.post('/instances/:id/:power', async (req, res) => {
     const { power } = req.params;
-    const container = docker.getContainer(req.params.id);
     try {
-        switch (power) {
-            case 'start':
-            case 'stop':
-            case 'restart':
-            case 'pause':
-            case 'unpause':
-            case 'kill':
-                await container[power]();
-                res.status(200).json({ message: `Container ${power}ed successfully` });
-                break;
-            default:
-                res.status(400).json({ message: 'Invalid power action' });
+        if (!powerActions.includes(power)) {
+            return res.status(400).json({ message: 'Invalid power action' });
         }
+        await runPowerAction(req.params.id, power);
+        res.status(200).json({ message: `Container ${power}ed successfully` });
     } catch (err) {
         if (err.statusCode === 304) {
             res.status(304).json({ message: err.message });
@@ -3,6 +3,7 @@ const router = express.Router();
 const fs = require('fs-extra');
 const path = require('path');
 const Docker = require('dockerode');
+const { expectStop } = require('../utils/ExpectedStops');
 
 const STRATEGIES_DIR = path.join(__dirname, '../storage/strategies');
 const FLAGGED_CONTAINERS_FILE = path.join(__dirname, '../storage/flagged.json');
@@ -63,9 +64,12 @@ async function checkVolume(containerId, strategies) {
   }
 
   if (flags.length > 0) {
+    // Flagged instances stay stopped, this isn't a crash
+    const unmark = expectStop(containerId);
     try {
       await container.stop();
     } catch (error) {
+      unmark();
       console.error(`Error stopping container ${containerId}:`, error);
     }
   }
@@ -0,0 +1,111 @@
+const express = require('express');
+const router = express.Router();
+const { createUpload, getUpload, writeChunk, completeUpload, abortUpload } = require('../utils/Uploads');
+
+function sendError(res, err) {
+    const body = { message: err.message };
+    if (err.offset !== undefined) body.offset = err.offset;
+    if (err.message.includes('Attempting to access outside of the volume')) {
+        return res.status(400).json(body);
+    }
+    res.status(err.statusCode || 500).json(body);
+}
+
+/**
+ * POST /:id/uploads
+ * Starts a resumable upload, e.g. { "filename": "world.zip", "size": 4294967296, "path": "backups" }.
+ * The file is checked against the disk quota up front, together with the uploads still open (507), and
+ * the size limit (413). A volume can only have so many uploads open at once (429).
+ *
+ * @param {string} id - The volume identifier.
+ * @returns {Response} JSON response containing the upload session, including its uploadId, the offset
+ * to send the first chunk at and the maximum chunk size.
+ */
+router.post('/fs/:id/uploads', async (req, res) => {
+    try {
+        res.status(201).json(await createUpload(req.params.id, req.body || {}));
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+/**
+ * GET /:id/uploads/:uploadId
+ * Returns the progress of an upload; `offset` is where the next chunk has to start, so a client that
+ * lost its connection resumes from there.
+ *
+ * @param {string} id - The volume identifier.
+ * @param {string} uploadId - The upload identifier.
+ * @returns {Response} JSON response containing the upload session.
+ */
+router.get('/fs/:id/uploads/:uploadId', async (req, res) => {
+    try {
+        res.json(await getUpload(req.params.id, req.params.uploadId));
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+/**
+ * PUT /:id/uploads/:uploadId?offset=N
+ * Sends the next chunk of an upload as the raw request body (application/octet-stream). The offset
+ * must match the upload's current offset (409 with the current offset otherwise).
+ *
+ * @param {string} id - The volume identifier.
+ * @param {string} uploadId - The upload identifier.
+ * @param {number} offset - The byte offset the chunk starts at.
+ * @returns {Response} JSON response containing the upload session with its new offset.
+ */
+router.put('/fs/:id/uploads/:uploadId', async (req, res) => {
+    const offset = Number(req.query.offset);
+    if (!Number.isInteger(offset) || offset < 0) {
+        return res.status(400).json({ message: 'offset must be the byte offset the chunk starts at' });
+    }
+
+    try {
+        res.json(await writeChunk(req.params.id, req.params.uploadId, offset, req));
+    } catch (err) {
+        // Stop reading a chunk that was refused, the client will have to resend it anyway
+        req.unpipe();
+        req.resume();
+        sendError(res, err);
+    }
+});
+
+/**
+ * POST /:id/uploads/:uploadId/complete
+ * Finishes an upload once every byte has been received, e.g. { "checksum": "<sha256 hex>" }. The file
+ * is moved into the volume if the checksum matches; on a mismatch the upload is discarded (422).
+ *
+ * @param {string} id - The volume identifier.
+ * @param {string} uploadId - The upload identifier.
+ * @returns {Response} JSON response containing the path and size of the uploaded file.
+ */
+router.post('/fs/:id/uploads/:uploadId/complete', async (req, res) => {
+    try {
+        const result = await completeUpload(req.params.id, req.params.uploadId, (req.body || {}).checksum);
+        res.json({ message: 'File uploaded successfully', ...result });
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+/**
+ * DELETE /:id/uploads/:uploadId
+ * Cancels an upload and discards what was received.
+ *
+ * @param {string} id - The volume identifier.
+ * @param {string} uploadId - The upload identifier.
+ * @returns {Response} JSON response indicating the result of the operation.
+ */
+router.delete('/fs/:id/uploads/:uploadId', async (req, res) => {
+    try {
+        await getUpload(req.params.id, req.params.uploadId);
+        await abortUpload(req.params.id, req.params.uploadId);
+        res.json({ message: 'Upload cancelled' });
+    } catch (err) {
+        sendError(res, err);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,130 @@
+/**
+ * @fileoverview Routes to manage the retention policy of an archive bucket, pin archives so they are
+ * never pruned, and preview or apply the policy.
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+    validatePolicy,
+    getPolicy,
+    setPolicy,
+    getPinned,
+    setPinned,
+    evaluateRetention,
+    applyRetention
+} = require('../utils/Retention');
+const { getArchiveStorage } = require('../utils/ArchiveStorage');
+
+/**
+ * GET /archive/:id/retention
+ * Returns the retention policy of a bucket and its pinned archives.
+ *
+ * @param {string} id - The archive bucket identifier.
+ * @returns {Response} JSON response containing the policy (null when archives are kept forever).
+ */
+router.get('/archive/:id/retention', (req, res) => {
+    res.json({ policy: getPolicy(req.params.id), pinned: getPinned(req.params.id) });
+});
+
+/**
+ * PUT /archive/:id/retention
+ * Sets the retention policy of a bucket, e.g. { "keepLast": 3, "keepDaily": 7, "keepWeekly": 4,
+ * "maxTotalSizeMb": 10240 }. Every rule is optional.
+ *
+ * @param {string} id - The archive bucket identifier.
+ * @returns {Response} JSON response containing the policy, or the validation errors.
+ */
+router.put('/archive/:id/retention', async (req, res) => {
+    const errors = validatePolicy(req.body);
+    if (errors.length > 0) {
+        return res.status(400).json({ message: 'Invalid retention policy', errors });
+    }
+
+    try {
+        await setPolicy(req.params.id, req.body);
+        res.json({ message: 'Retention policy updated successfully', policy: getPolicy(req.params.id) });
+    } catch (err) {
+        res.status(500).json({ message: err.message });
+    }
+});
+
+/**
+ * DELETE /archive/:id/retention
+ * Removes the retention policy of a bucket, falling back to the node-wide default if there is one.
+ *
+ * @param {string} id - The archive bucket identifier.
+ * @returns {Response} JSON response indicating the result of the delete operation.
+ */
+router.delete('/archive/:id/retention', async (req, res) => {
+    try {
+        await setPolicy(req.params.id, null);
+        res.json({ message: 'Retention policy removed successfully', policy: getPolicy(req.params.id) });
+    } catch (err) {
+        res.status(500).json({ message: err.message });
+    }
+});
+
+/**
+ * POST /archive/:id/retention/dry-run
+ * Shows which archives the bucket's policy, or the policy in the body if one is given, would delete
+ * and why every other archive is kept. Nothing is deleted.
+ *
+ * @param {string} id - The archive bucket identifier.
+ * @returns {Response} JSON response containing every archive with its keep decision and reasons.
+ */
+router.post('/archive/:id/retention/dry-run', async (req, res) => {
+    const policy = req.body && Object.keys(req.body).length > 0 ? req.body : undefined;
+    if (policy) {
+        const errors = validatePolicy(policy);
+        if (errors.length > 0) {
+            return res.status(400).json({ message: 'Invalid retention policy', errors });
+        }
+    }
+
+    try {
+        const result = await evaluateRetention(req.params.id, policy);
+        res.json({ ...result, wouldDelete: result.archives.filter(archive => !archive.keep).map(archive => archive.name) });
+    } catch (err) {
+        res.status(500).json({ message: err.message });
+    }
+});
+
+/**
+ * POST /archive/:id/retention/apply
+ * Applies the bucket's policy right away instead of waiting for the background pruner.
+ *
+ * @param {string} id - The archive bucket identifier.
+ * @returns {Response} JSON response containing the deleted archives.
+ */
+router.post('/archive/:id/retention/apply', async (req, res) => {
+    try {
+        res.json({ message: 'Retention policy applied successfully', deleted: await applyRetention(req.params.id) });
+    } catch (err) {
+        res.status(500).json({ message: err.message });
+    }
+});
+
+/**
+ * POST /archive/:id/archives/pin/:archiveName
+ * Pins an archive so retention never deletes it. POST .../unpin/:archiveName reverses it.
+ *
+ * @param {string} id - The archive bucket identifier.
+ * @param {string} archiveName - The archive file name.
+ * @returns {Response} JSON response indicating the result of the operation.
+ */
+router.post('/archive/:id/archives/:action(pin|unpin)/:archiveName', async (req, res) => {
+    const { id, action, archiveName } = req.params;
+
+    try {
+        if (action === 'pin') {
+            await getArchiveStorage(id).stat(`${id}/${archiveName}`);
+        }
+        await setPinned(id, archiveName, action === 'pin');
+        res.json({ message: `Archive ${action}ned successfully`, pinned: getPinned(id) });
+    } catch (err) {
+        res.status(err.statusCode || 500).json({ message: err.message });
+    }
+});
+
+module.exports = router;
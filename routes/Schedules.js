@@ -0,0 +1,124 @@
+/**
+ * @fileoverview Routes to manage the scheduled tasks of an instance. A schedule pairs a cron expression
+ * with an ordered list of actions (console command, power action or backup, each with an optional delay
+ * in seconds) and reports its last-run and next-run status.
+ */
+
+const express = require('express');
+const router = express.Router();
+const {
+    validateSchedule,
+    listSchedules,
+    getSchedule,
+    createSchedule,
+    updateSchedule,
+    deleteSchedule,
+    runSchedule
+} = require('../utils/Scheduler');
+
+/**
+ * GET /schedules/:volumeId
+ * Lists the schedules of an instance with their last-run and next-run status.
+ *
+ * @param {string} volumeId - The volume identifier.
+ * @returns {Response} JSON response containing the schedules.
+ */
+router.get('/schedules/:volumeId', (req, res) => {
+    res.json({ schedules: listSchedules(req.params.volumeId) });
+});
+
+/**
+ * POST /schedules/:volumeId
+ * Creates a schedule. The body holds the name, cron expression, enabled flag and actions, e.g.
+ * { "cron": "0 4 * * *", "actions": [{ "type": "command", "command": "say Restarting" },
+ * { "type": "power", "action": "restart", "delay": 30 }] }.
+ *
+ * @param {string} volumeId - The volume identifier.
+ * @returns {Response} JSON response containing the created schedule, or the validation errors.
+ */
+router.post('/schedules/:volumeId', async (req, res) => {
+    const errors = validateSchedule(req.body);
+    if (errors.length > 0) {
+        return res.status(400).json({ message: 'Invalid schedule', errors });
+    }
+
+    try {
+        const schedule = await createSchedule(req.params.volumeId, req.body);
+        res.status(201).json({ message: 'Schedule created successfully', schedule });
+    } catch (err) {
+        res.status(500).json({ message: err.message });
+    }
+});
+
+/**
+ * PUT /schedules/:volumeId/:scheduleId
+ * Updates the name, cron expression, enabled flag or actions of a schedule.
+ *
+ * @param {string} volumeId - The volume identifier.
+ * @param {string} scheduleId - The schedule identifier.
+ * @returns {Response} JSON response containing the updated schedule.
+ */
+router.put('/schedules/:volumeId/:scheduleId', async (req, res) => {
+    const { volumeId, scheduleId } = req.params;
+    const existing = getSchedule(volumeId, scheduleId);
+    if (!existing) {
+        return res.status(404).json({ message: 'Schedule not found' });
+    }
+
+    const errors = validateSchedule({ ...existing, ...req.body });
+    if (errors.length > 0) {
+        return res.status(400).json({ message: 'Invalid schedule', errors });
+    }
+
+    try {
+        const schedule = await updateSchedule(volumeId, scheduleId, req.body);
+        res.json({ message: 'Schedule updated successfully', schedule });
+    } catch (err) {
+        res.status(500).json({ message: err.message });
+    }
+});
+
+/**
+ * DELETE /schedules/:volumeId/:scheduleId
+ * Deletes a schedule.
+ *
+ * @param {string} volumeId - The volume identifier.
+ * @param {string} scheduleId - The schedule identifier.
+ * @returns {Response} JSON response indicating the result of the delete operation.
+ */
+router.delete('/schedules/:volumeId/:scheduleId', async (req, res) => {
+    try {
+        const deleted = await deleteSchedule(req.params.volumeId, req.params.scheduleId);
+        if (!deleted) {
+            return res.status(404).json({ message: 'Schedule not found' });
+        }
+        res.json({ message: 'Schedule deleted successfully' });
+    } catch (err) {
+        res.status(500).json({ message: err.message });
+    }
+});
+
+/**
+ * POST /schedules/:volumeId/:scheduleId/run
+ * Runs a schedule right away. Responds once the run has started; its outcome shows up in the
+ * schedule's last-run status.
+ *
+ * @param {string} volumeId - The volume identifier.
+ * @param {string} scheduleId - The schedule identifier.
+ * @returns {Response} JSON response indicating the run has started.
+ */
+router.post('/schedules/:volumeId/:scheduleId/run', (req, res) => {
+    const { volumeId, scheduleId } = req.params;
+    const schedule = listSchedules(volumeId).find(s => s.id === scheduleId);
+    if (!schedule) {
+        return res.status(404).json({ message: 'Schedule not found' });
+    }
+    if (schedule.running) {
+        return res.status(409).json({ message: 'Schedule is already running' });
+    }
+
+    runSchedule(volumeId, scheduleId).catch(() => {});
+    res.status(202).json({ message: 'Schedule run started' });
+});
+
+module.exports = router;
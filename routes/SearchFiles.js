@@ -0,0 +1,68 @@
+const express = require('express');
+const router = express.Router();
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { parseSearch, searchVolume } = require('../utils/Search');
+
+/**
+ * GET /:id/search
+ * Searches a volume by file name and/or content and streams the results as newline-delimited JSON, one
+ * object per line, ending with a { "type": "done" } summary that says whether the search hit its limit
+ * or timed out. Regular expressions run in a worker and end the search (with an `error` in the summary)
+ * if they take too long.
+ *
+ * @param {string} id - The volume identifier.
+ * @param {string} [name] - Optional. A glob matched against file names, or against paths if it contains a slash.
+ * @param {string} [query] - Optional. Text to search for in text files.
+ * @param {string} [regex] - Optional. "true" to treat the query as a regular expression.
+ * @param {string} [case] - Optional. "true" for a case-sensitive search.
+ * @param {number} [limit] - Optional. The maximum number of results (default 500).
+ * @param {string} [path] - Optional. A subdirectory within the volume to search in.
+ * @returns {Response} NDJSON stream of results.
+ */
+router.get('/fs/:id/search', async (req, res) => {
+    const { name, query, regex, limit } = req.query;
+
+    let options;
+    try {
+        options = parseSearch({
+            name: typeof name === 'string' ? name : undefined,
+            query: typeof query === 'string' ? query : undefined,
+            regex: regex === 'true',
+            caseSensitive: req.query.case === 'true',
+            limit: limit === undefined ? undefined : Number(limit),
+            path: typeof req.query.path === 'string' ? req.query.path : ''
+        });
+    } catch (err) {
+        return res.status(err.statusCode || 500).json({ message: err.message });
+    }
+
+    const controller = new AbortController();
+    res.on('close', () => controller.abort());
+
+    const results = searchVolume(req.params.id, options, controller.signal);
+    try {
+        // The first result (or the summary) is awaited before the headers go out, so a missing
+        // directory can still be answered with a proper error
+        const first = await results.next();
+        res.setHeader('Content-Type', 'application/x-ndjson');
+        res.write(`${JSON.stringify(first.value)}\n`);
+
+        const lines = Readable.from((async function* () {
+            for await (const result of results) yield `${JSON.stringify(result)}\n`;
+        })());
+        await pipeline(lines, res);
+    } catch (err) {
+        if (res.headersSent) {
+            res.destroy();
+        } else if (err.code === 'ENOENT') {
+            res.status(404).json({ message: 'Specified path not found' });
+        } else if (err.message.includes('Attempting to access outside of the volume')) {
+            res.status(400).json({ message: err.message });
+        } else {
+            res.status(500).json({ message: err.message });
+        }
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,127 @@
+/**
+ * @fileoverview Routes for the incremental backup store. Snapshots live next to the zip archives under
+ * the /archive/:id prefix; unlike archives they only store chunks that changed since earlier snapshots.
+ */
+
+const express = require('express');
+const router = express.Router();
+const Docker = require('dockerode');
+const { getContainerId } = require('../utils/States');
+const { getDiskUsage, assertDiskSpace, refreshDiskUsage } = require('../utils/DiskQuota');
+const {
+    createSnapshot,
+    listSnapshots,
+    getSnapshotSize,
+    restoreSnapshot,
+    pruneSnapshots,
+    verifySnapshots
+} = require('../utils/BackupStore');
+
+const docker = new Docker({ socketPath: process.env.dockerSocket });
+
+/**
+ * GET /archive/:id/snapshots
+ * Lists the snapshots of a backup store, oldest first.
+ *
+ * @param {string} id - The backup store identifier.
+ * @returns {Response} JSON response containing the snapshots and their statistics.
+ */
+router.get('/archive/:id/snapshots', async (req, res) => {
+    try {
+        res.json({ snapshots: await listSnapshots(req.params.id) });
+    } catch (err) {
+        res.status(500).json({ message: err.message });
+    }
+});
+
+/**
+ * POST /archive/:id/snapshots/:volumeId/create
+ * Takes a snapshot of a volume. Files unchanged since the previous snapshot are not read again, and
+ * chunks already in the store are not stored twice.
+ *
+ * @param {string} id - The backup store identifier.
+ * @param {string} volumeId - The volume identifier.
+ * @returns {Response} JSON response containing the snapshot.
+ */
+router.post('/archive/:id/snapshots/:volumeId/create', async (req, res) => {
+    try {
+        const snapshot = await createSnapshot(req.params.id, req.params.volumeId);
+        res.json({ message: 'Snapshot created successfully', snapshot });
+    } catch (err) {
+        res.status(err.statusCode || 500).json({ message: err.message });
+    }
+});
+
+/**
+ * POST /archive/:id/snapshots/restore/:volumeId/:snapshotId
+ * Restores a volume to the exact tree of a snapshot. The instance has to be stopped, since its
+ * volume directory is swapped out.
+ *
+ * @param {string} id - The backup store identifier.
+ * @param {string} volumeId - The volume identifier.
+ * @param {string} snapshotId - The snapshot identifier.
+ * @returns {Response} JSON response indicating the result of the restore.
+ */
+router.post('/archive/:id/snapshots/restore/:volumeId/:snapshotId', async (req, res) => {
+    const { id, volumeId, snapshotId } = req.params;
+
+    try {
+        try {
+            const { State } = await docker.getContainer(await getContainerId(volumeId)).inspect();
+            if (State.Running) {
+                return res.status(409).json({ message: 'Stop the instance before restoring a snapshot' });
+            }
+        } catch (err) {
+            if (err.statusCode !== 404) throw err;
+        }
+
+        const { used } = await getDiskUsage(volumeId);
+        await assertDiskSpace(volumeId, await getSnapshotSize(id, snapshotId) - used);
+
+        const snapshot = await restoreSnapshot(id, volumeId, snapshotId);
+        refreshDiskUsage(volumeId).catch(() => {});
+        res.json({ message: 'Volume restored successfully', snapshot });
+    } catch (err) {
+        res.status(err.statusCode || 500).json({ message: err.message });
+    }
+});
+
+/**
+ * POST /archive/:id/snapshots/prune
+ * Deletes snapshots, either the ones listed in `snapshots` or all but the `keepLast` most recent ones,
+ * then frees the chunks no remaining snapshot uses.
+ *
+ * @param {string} id - The backup store identifier.
+ * @returns {Response} JSON response containing the deleted snapshots and the space freed.
+ */
+router.post('/archive/:id/snapshots/prune', async (req, res) => {
+    const { snapshots, keepLast } = req.body || {};
+    if (!Array.isArray(snapshots) && !(Number.isInteger(keepLast) && keepLast >= 0)) {
+        return res.status(400).json({ message: 'Provide either a snapshots array or a non-negative keepLast' });
+    }
+
+    try {
+        const result = await pruneSnapshots(req.params.id, { snapshots, keepLast });
+        res.json({ message: 'Snapshots pruned successfully', ...result });
+    } catch (err) {
+        res.status(500).json({ message: err.message });
+    }
+});
+
+/**
+ * GET /archive/:id/snapshots/verify
+ * Checks that every chunk of every snapshot is present and intact. Pass ?snapshot=<id> to only
+ * verify one snapshot.
+ *
+ * @param {string} id - The backup store identifier.
+ * @returns {Response} JSON response containing the verification report.
+ */
+router.get('/archive/:id/snapshots/verify', async (req, res) => {
+    try {
+        res.json(await verifySnapshots(req.params.id, req.query.snapshot));
+    } catch (err) {
+        res.status(err.statusCode || 500).json({ message: err.message });
+    }
+});
+
+module.exports = router;
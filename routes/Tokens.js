@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const { issueToken } = require('../utils/Tokens');
+
+/**
+ * POST /tokens
+ * Issues a short-lived token carrying a subset of the node's permissions, to hand to a browser, e.g.
+ * { "subject": "admin@example.com", "scopes": ["admin"], "containerId": "abc123", "ttlSeconds": 60 }.
+ * A token with the admin scope opens /shell/ sockets, in its container only if containerId is set.
+ *
+ * @returns {Response} JSON response containing the token and when it expires.
+ */
+router.post('/tokens', (req, res) => {
+    try {
+        res.status(201).json(issueToken(req.body || {}));
+    } catch (err) {
+        res.status(err.statusCode || 500).json({ message: err.message });
+    }
+});
+
+module.exports = router;
@@ -3,33 +3,60 @@ const router = express.Router();
 const fs = require('fs').promises;
 const path = require('path');
 const multer = require('multer');
-const upload = multer({ dest: 'tmp/' });
 const { safePath } = require('../utils/SafePath');
+const { assertDiskSpace, recordDiskWrite } = require('../utils/DiskQuota');
+const { uploadsPath, maxFileSize, moveFile, resolveUploadTarget } = require('../utils/Uploads');
+
+// Files are staged per volume, next to the resumable uploads, rather than in a shared directory
+const upload = multer({
+    storage: multer.diskStorage({
+        destination: (req, file, callback) => {
+            const directory = path.join(safePath(uploadsPath, req.params.id), 'multipart');
+            fs.mkdir(directory, { recursive: true }).then(() => callback(null, directory), callback);
+        }
+    }),
+    limits: { fileSize: maxFileSize }
+}).array('files');
+
+function receiveFiles(req, res, next) {
+    upload(req, res, (err) => {
+        if (!err) return next();
+        if (err.code === 'LIMIT_FILE_SIZE') {
+            return res.status(413).json({ message: `Files larger than ${maxFileSize / 1024 / 1024} MB can't be uploaded, use a resumable upload` });
+        }
+        res.status(err instanceof multer.MulterError ? 400 : 500).json({ message: err.message });
+    });
+}
 
 /**
  * POST /:id/files/upload
  * Uploads one or more files to a specified volume, optionally within a subdirectory.
+ * The upload is rejected with a 507 if it would take the volume over its disk quota, and with a 413 if
+ * a file is over `uploads.maxFileSizeMb`. Large files are better sent through /fs/:id/uploads, which
+ * can resume after a dropped connection.
  * 
  * @param {string} id - The volume identifier.
  * @param {string} [path] - Optional. A subdirectory within the volume where files should be stored.
  */
-router.post('/fs/:id/files/upload', upload.array('files'), async (req, res) => {
+router.post('/fs/:id/files/upload', receiveFiles, async (req, res) => {
     const { id } = req.params;
     const volumePath = path.join(__dirname, '../volumes', id);
     const subPath = req.query.path || '';
 
     try {
-        const fullPath = safePath(volumePath, subPath);
+        const uploadSize = req.files.reduce((total, file) => total + file.size, 0);
+        await assertDiskSpace(id, uploadSize);
 
-        await Promise.all(req.files.map(file => {
-            const destPath = path.join(fullPath, file.originalname);
-            return fs.rename(file.path, destPath);
+        await Promise.all(req.files.map(async (file) => {
+            const destPath = await resolveUploadTarget(volumePath, path.join(subPath, path.basename(file.originalname)));
+            return moveFile(file.path, destPath);
         }));
+        recordDiskWrite(id, uploadSize);
 
         res.json({ message: 'Files uploaded successfully' });
     } catch (err) {
-        req.files.forEach(file => fs.unlink(file.path)); // Cleanup any saved files in case of failure
-        res.status(500).json({ message: err.message });
+        req.files.forEach(file => fs.unlink(file.path).catch(() => {})); // Cleanup any saved files in case of failure
+        res.status(err.statusCode || 500).json({ message: err.message });
     }
 });
 
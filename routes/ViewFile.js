@@ -2,13 +2,17 @@ const express = require('express');
 const router = express.Router();
 const fs = require('fs').promises;
 const path = require('path');
-const { safePath } = require('../utils/SafePath');
-const { isEditable } = require('../utils/FileType');
+const { resolveInVolume } = require('../utils/SafePath');
+const { detectFileType, notEditableReason, decodeText } = require('../utils/FileType');
+const { contentVersion } = require('../utils/AtomicFile');
 
 /**
  * GET /:id/files/view/:filename
  * Retrieves the content of a specific file within a volume, provided the file type is supported for viewing.
- * This endpoint checks if the file is editable to determine if its content can be viewed.
+ * The file's content decides: it must be text (in any of the detected encodings) and within the editable
+ * size limit. The content is returned decoded, along with the detected encoding and MIME type and a
+ * version token to pass back to the edit route so it can detect conflicting changes. Only regular
+ * files can be viewed, not FIFOs or devices; symlinks are followed as long as they stay in the volume.
  *
  * @param {string} id - The volume identifier.
  * @param {string} filename - The name of the file to view.
@@ -25,14 +29,32 @@ router.get('/fs/:id/files/view/:filename', async (req, res) => {
     let formattedPath = dirPath ? path.join(dirPath, filename) : filename;
 
     try {
-        const filePath = safePath(volumePath, formattedPath);
-        if (!isEditable(filePath)) {
-            return res.status(400).json({ message: 'File type not supported for viewing' });
+        // A symlink (or a directory on the way that is one) is followed as long as it stays in the volume
+        const filePath = await resolveInVolume(volumePath, formattedPath);
+        // Reading a FIFO or a device would hang or never end
+        if (!(await fs.lstat(filePath)).isFile()) {
+            return res.status(400).json({ message: 'Only regular files can be viewed' });
         }
-        const content = await fs.readFile(filePath, 'utf8');
-        res.json({ content });
+        const type = await detectFileType(filePath);
+        const reason = notEditableReason(filePath, type, 'viewing');
+        if (reason) {
+            return res.status(400).json({ message: reason });
+        }
+        const data = await fs.readFile(filePath);
+        res.json({
+            content: decodeText(data, type.encoding),
+            encoding: type.encoding,
+            mimeType: type.mimeType,
+            version: contentVersion(data)
+        });
     } catch (err) {
-        res.status(500).json({ message: err.message });
+        if (err.code === 'ENOENT') {
+            res.status(404).json({ message: 'File not found' });
+        } else if (err.message.includes('Attempting to access outside of the volume')) {
+            res.status(400).json({ message: err.message });
+        } else {
+            res.status(500).json({ message: err.message });
+        }
     }
 });
 
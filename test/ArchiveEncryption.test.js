@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Readable, Writable } = require('stream');
+const { pipeline } = require('stream/promises');
+
+const keysFilePath = path.join(__dirname, '../storage/keys.json');
+const { createKey, createEncryptStream, createDecryptStream } = require('../utils/ArchiveEncryption');
+
+function chunks(data, size) {
+    const parts = [];
+    for (let offset = 0; offset < data.length; offset += size) parts.push(data.subarray(offset, offset + size));
+    return parts;
+}
+
+async function run(data, transform) {
+    const output = [];
+    await pipeline(Readable.from(chunks(data, 10000)), transform, new Writable({
+        write(chunk, encoding, callback) {
+            output.push(chunk);
+            callback();
+        }
+    }));
+    return Buffer.concat(output);
+}
+
+test('archive encryption', async (t) => {
+    const previousKeys = fs.existsSync(keysFilePath) ? fs.readFileSync(keysFilePath) : null;
+    t.after(() => {
+        if (previousKeys) fs.writeFileSync(keysFilePath, previousKeys);
+        else fs.rmSync(keysFilePath, { force: true });
+    });
+
+    const keyId = await createKey('test-instance');
+    // Spans several 64 KiB segments and ends partway through one
+    const data = crypto.randomBytes(200000);
+    const encrypted = await run(data, createEncryptStream(keyId));
+
+    await t.test('round-trips data through encryption', async () => {
+        assert.ok(encrypted.subarray(0, 8).equals(Buffer.from('SKYENC01')));
+        assert.ok(!encrypted.includes(data.subarray(0, 64)));
+        assert.deepStrictEqual(await run(encrypted, createDecryptStream()), data);
+    });
+
+    await t.test('round-trips empty data', async () => {
+        const empty = await run(Buffer.alloc(0), createEncryptStream(keyId));
+        assert.strictEqual((await run(empty, createDecryptStream({ requireEncrypted: true }))).length, 0);
+    });
+
+    await t.test('detects tampering', async () => {
+        const tampered = Buffer.from(encrypted);
+        tampered[tampered.length - 100] ^= 0x01;
+        await assert.rejects(run(tampered, createDecryptStream()), /failed authentication/);
+    });
+
+    await t.test('detects truncation', async () => {
+        // Cut right after the first segment, so everything that remains authenticates
+        const headerSize = 8 + 1 + keyId.length + 8;
+        const firstSegment = 5 + encrypted.readUInt32BE(headerSize) + 16;
+        await assert.rejects(run(encrypted.subarray(0, headerSize + firstSegment), createDecryptStream()), /truncated/);
+    });
+
+    await t.test('passes plain archives through unless encryption is required', async () => {
+        const plain = Buffer.from('PK\u0003\u0004 a plain zip');
+        assert.deepStrictEqual(await run(plain, createDecryptStream()), plain);
+        await assert.rejects(run(plain, createDecryptStream({ requireEncrypted: true })), /not encrypted/);
+        await assert.rejects(run(Buffer.from('PK'), createDecryptStream({ requireEncrypted: true })), /not encrypted/);
+    });
+
+    await t.test('decrypts archives of a rotated key', async () => {
+        const rotated = await createKey('test-instance');
+        assert.notStrictEqual(rotated, keyId);
+        assert.deepStrictEqual(await run(encrypted, createDecryptStream()), data);
+    });
+});
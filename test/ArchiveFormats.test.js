@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { spawnSync } = require('child_process');
+const { pipeline } = require('stream/promises');
+const tarStream = require('tar-stream');
+const { writeArchive, listEntries, extractArchive, verifyArchiveFile } = require('../utils/ArchiveFormats');
+
+const zstdAvailable = !!zlib.createZstdCompress || spawnSync('zstd', ['--version']).status === 0;
+
+function makeVolume(root) {
+    fs.mkdirSync(path.join(root, 'world/region'), { recursive: true });
+    fs.mkdirSync(path.join(root, 'logs'));
+    fs.writeFileSync(path.join(root, 'server.properties'), 'motd=Hello\nmax-players=20\n');
+    fs.writeFileSync(path.join(root, 'world/region/r.0.0.mca'), Buffer.alloc(200000, 7));
+    fs.writeFileSync(path.join(root, 'logs/latest.log'), 'started\n');
+    fs.symlinkSync('server.properties', path.join(root, 'config'));
+}
+
+async function writeTar(file, entries) {
+    const pack = tarStream.pack();
+    const done = pipeline(pack, zlib.createGzip(), fs.createWriteStream(file));
+    for (const entry of entries) {
+        if (entry.linkname !== undefined) {
+            pack.entry({ name: entry.name, type: 'symlink', linkname: entry.linkname });
+        } else {
+            pack.entry({ name: entry.name, size: entry.size }, entry.data);
+        }
+    }
+    pack.finalize();
+    await done;
+}
+
+test('archive formats', async (t) => {
+    const sandbox = fs.mkdtempSync(path.join(os.tmpdir(), 'skyport-archives-'));
+    const volume = path.join(sandbox, 'volume');
+    makeVolume(volume);
+    t.after(() => fs.rmSync(sandbox, { recursive: true, force: true }));
+
+    for (const format of ['zip', 'tar.gz', 'tar.zst']) {
+        await t.test(`round-trips a volume as ${format}`, { skip: format === 'tar.zst' && !zstdAvailable && 'zstd is not available' }, async () => {
+            const archivePath = path.join(sandbox, `volume.${format}`);
+            await pipeline(writeArchive(volume, format), fs.createWriteStream(archivePath));
+
+            const paths = (await listEntries(archivePath, format)).map(entry => entry.path).sort();
+            assert.deepStrictEqual(paths, ['config', 'logs', 'logs/latest.log', 'server.properties', 'world', 'world/region', 'world/region/r.0.0.mca']);
+
+            const target = path.join(sandbox, `extracted-${format}`);
+            fs.mkdirSync(target);
+            const { extracted, skipped } = await extractArchive(archivePath, format, target);
+            assert.strictEqual(extracted, 7);
+            assert.deepStrictEqual(skipped, []);
+            assert.deepStrictEqual(fs.readFileSync(path.join(target, 'world/region/r.0.0.mca')), fs.readFileSync(path.join(volume, 'world/region/r.0.0.mca')));
+            assert.strictEqual(fs.readlinkSync(path.join(target, 'config')), 'server.properties');
+
+            const verification = await verifyArchiveFile(archivePath, format);
+            assert.strictEqual(verification.ok, true);
+            assert.ok(verification.checked >= 3);
+        });
+    }
+
+    await t.test('applies include and exclude globs', async () => {
+        const archivePath = path.join(sandbox, 'filtered.zip');
+        await pipeline(writeArchive(volume, 'zip', { exclude: ['logs'] }), fs.createWriteStream(archivePath));
+        const paths = (await listEntries(archivePath, 'zip')).map(entry => entry.path);
+        assert.ok(!paths.some(entryPath => entryPath.startsWith('logs')));
+        assert.ok(paths.includes('world/region/r.0.0.mca'));
+    });
+
+    await t.test('extracts only the selected entries', async () => {
+        const archivePath = path.join(sandbox, 'select.tar.gz');
+        await pipeline(writeArchive(volume, 'tar.gz'), fs.createWriteStream(archivePath));
+        const target = path.join(sandbox, 'selected');
+        fs.mkdirSync(target);
+        await extractArchive(archivePath, 'tar.gz', target, { select: entryPath => entryPath.startsWith('logs') });
+        assert.deepStrictEqual(fs.readdirSync(target), ['logs']);
+    });
+
+    await t.test('detects a corrupted zip entry', async () => {
+        const archivePath = path.join(sandbox, 'corrupt.zip');
+        await pipeline(writeArchive(volume, 'zip'), fs.createWriteStream(archivePath));
+        const data = fs.readFileSync(archivePath);
+        // Flip a byte in the middle of the region file's data, past its local header
+        const header = data.indexOf('world/region/r.0.0.mca') - 30;
+        const dataStart = header + 30 + data.readUInt16LE(header + 26) + data.readUInt16LE(header + 28);
+        data[dataStart + 10] ^= 0xff;
+        fs.writeFileSync(archivePath, data);
+        assert.strictEqual((await verifyArchiveFile(archivePath, 'zip')).ok, false);
+    });
+
+    await t.test('leaves out symlinks that point outside of the target', async () => {
+        const archivePath = path.join(sandbox, 'links.tar.gz');
+        await writeTar(archivePath, [
+            { name: 'absolute', linkname: '/etc/passwd' },
+            { name: 'climbing', linkname: '../../outside' },
+            { name: 'dir/file', data: 'hello' },
+            { name: 'dir/relative', linkname: 'file' }
+        ]);
+        const target = path.join(sandbox, 'links');
+        fs.mkdirSync(target);
+        const { extracted, skipped } = await extractArchive(archivePath, 'tar.gz', target);
+        assert.strictEqual(extracted, 2);
+        assert.deepStrictEqual(skipped.sort(), ['absolute', 'climbing']);
+        assert.strictEqual(fs.readFileSync(path.join(target, 'dir/relative'), 'utf8'), 'hello');
+    });
+
+    await t.test('refuses entries that escape the target', async () => {
+        const archivePath = path.join(sandbox, 'escape.tar.gz');
+        await writeTar(archivePath, [{ name: 'a/../../escaped', data: 'x' }]);
+        const target = path.join(sandbox, 'escape');
+        fs.mkdirSync(target);
+        await assert.rejects(extractArchive(archivePath, 'tar.gz', target), /points outside of the volume/);
+        assert.ok(!fs.existsSync(path.join(sandbox, 'escaped')));
+    });
+
+    await t.test('stops extracting past maxBytes', async () => {
+        const archivePath = path.join(sandbox, 'budget.zip');
+        await pipeline(writeArchive(volume, 'zip'), fs.createWriteStream(archivePath));
+        const target = path.join(sandbox, 'budget');
+        fs.mkdirSync(target);
+        await assert.rejects(extractArchive(archivePath, 'zip', target, { maxBytes: 1000 }), { statusCode: 400 });
+    });
+});
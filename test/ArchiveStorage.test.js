@@ -0,0 +1,214 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { createLocalAdapter } = require('../utils/ArchiveStorage/LocalAdapter');
+const { createS3Adapter } = require('../utils/ArchiveStorage/S3Adapter');
+
+function xmlEscape(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Decodes an aws-chunked body: "<hex size>[;extensions]\r\n<data>\r\n" chunks, then a 0 chunk and trailers
+function decodeAwsChunked(body) {
+    const parts = [];
+    let offset = 0;
+    for (;;) {
+        const lineEnd = body.indexOf('\r\n', offset);
+        const size = parseInt(body.subarray(offset, lineEnd).toString().split(';')[0], 16);
+        if (size === 0) break;
+        parts.push(body.subarray(lineEnd + 2, lineEnd + 2 + size));
+        offset = lineEnd + 2 + size + 2;
+    }
+    return Buffer.concat(parts);
+}
+
+/**
+ * A minimal S3-compatible server, standing in for MinIO: path-style requests against one bucket, with
+ * PutObject, multipart uploads, ListObjectsV2 (with a delimiter), HeadObject, GetObject and DeleteObject.
+ */
+function createS3StandIn(bucket) {
+    const objects = new Map();
+    const uploads = new Map();
+
+    const server = http.createServer(async (req, res) => {
+        const chunks = [];
+        for await (const chunk of req) chunks.push(chunk);
+        let body = Buffer.concat(chunks);
+        if ((req.headers['content-encoding'] || '').includes('aws-chunked')) body = decodeAwsChunked(body);
+
+        const url = new URL(req.url, 'http://localhost');
+        const [, bucketName, ...keyParts] = url.pathname.split('/');
+        const key = decodeURIComponent(keyParts.join('/'));
+        const query = url.searchParams;
+
+        const send = (status, xml, headers = {}) => {
+            res.writeHead(status, { 'Content-Type': 'application/xml', ...headers });
+            res.end(xml ? `<?xml version="1.0" encoding="UTF-8"?>${xml}` : undefined);
+        };
+        const noSuchKey = () => send(404, '<Error><Code>NoSuchKey</Code><Message>Not found</Message></Error>');
+
+        if (bucketName !== bucket) {
+            return send(404, '<Error><Code>NoSuchBucket</Code><Message>No such bucket</Message></Error>');
+        }
+
+        if (req.method === 'GET' && !key && query.get('list-type') === '2') {
+            const prefix = query.get('prefix') || '';
+            const delimiter = query.get('delimiter');
+            const contents = [];
+            const commonPrefixes = new Set();
+            for (const [name, object] of [...objects].sort(([a], [b]) => a.localeCompare(b))) {
+                if (!name.startsWith(prefix)) continue;
+                const rest = name.substring(prefix.length);
+                if (delimiter && rest.includes(delimiter)) {
+                    commonPrefixes.add(prefix + rest.substring(0, rest.indexOf(delimiter) + delimiter.length));
+                } else {
+                    contents.push(`<Contents><Key>${xmlEscape(name)}</Key><Size>${object.data.length}</Size><LastModified>${object.lastModified.toISOString()}</LastModified></Contents>`);
+                }
+            }
+            const prefixes = [...commonPrefixes].map(common => `<CommonPrefixes><Prefix>${xmlEscape(common)}</Prefix></CommonPrefixes>`);
+            return send(200, `<ListBucketResult><Name>${bucket}</Name><Prefix>${xmlEscape(prefix)}</Prefix><KeyCount>${contents.length + prefixes.length}</KeyCount><IsTruncated>false</IsTruncated>${contents.join('')}${prefixes.join('')}</ListBucketResult>`);
+        }
+
+        if (req.method === 'POST' && query.has('uploads')) {
+            const uploadId = crypto.randomBytes(8).toString('hex');
+            uploads.set(uploadId, new Map());
+            return send(200, `<InitiateMultipartUploadResult><Bucket>${bucket}</Bucket><Key>${xmlEscape(key)}</Key><UploadId>${uploadId}</UploadId></InitiateMultipartUploadResult>`);
+        }
+        if (req.method === 'PUT' && query.has('uploadId')) {
+            uploads.get(query.get('uploadId')).set(Number(query.get('partNumber')), body);
+            return send(200, null, { ETag: `"${crypto.createHash('md5').update(body).digest('hex')}"` });
+        }
+        if (req.method === 'POST' && query.has('uploadId')) {
+            const parts = uploads.get(query.get('uploadId'));
+            uploads.delete(query.get('uploadId'));
+            const data = Buffer.concat([...parts.keys()].sort((a, b) => a - b).map(number => parts.get(number)));
+            objects.set(key, { data, lastModified: new Date() });
+            return send(200, `<CompleteMultipartUploadResult><Bucket>${bucket}</Bucket><Key>${xmlEscape(key)}</Key><ETag>"multipart"</ETag></CompleteMultipartUploadResult>`);
+        }
+        if (req.method === 'DELETE' && query.has('uploadId')) {
+            uploads.delete(query.get('uploadId'));
+            return send(204);
+        }
+
+        if (req.method === 'PUT') {
+            objects.set(key, { data: body, lastModified: new Date() });
+            return send(200, null, { ETag: `"${crypto.createHash('md5').update(body).digest('hex')}"` });
+        }
+
+        const object = objects.get(key);
+        if (req.method === 'HEAD') {
+            if (!object) {
+                res.writeHead(404);
+                return res.end();
+            }
+            res.writeHead(200, { 'Content-Length': object.data.length, 'Last-Modified': object.lastModified.toUTCString() });
+            return res.end();
+        }
+        if (req.method === 'GET') {
+            if (!object) return noSuchKey();
+            res.writeHead(200, { 'Content-Type': 'application/octet-stream', 'Content-Length': object.data.length, 'Last-Modified': object.lastModified.toUTCString() });
+            return res.end(object.data);
+        }
+        if (req.method === 'DELETE') {
+            objects.delete(key);
+            return send(204);
+        }
+
+        send(501, '<Error><Code>NotImplemented</Code><Message>Not implemented</Message></Error>');
+    });
+
+    return { server, objects };
+}
+
+async function readAll(stream) {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return Buffer.concat(chunks);
+}
+
+/**
+ * The behaviour every storage adapter has to share, as the archive routes rely on it.
+ */
+async function adapterContract(t, adapter) {
+    const small = Buffer.from('a small archive');
+    // Larger than a multipart upload's 5 MB part, so the S3 adapter streams it in parts
+    const large = crypto.randomBytes(6 * 1024 * 1024);
+
+    await t.test('uploads and downloads archives', async () => {
+        await adapter.upload('bucket-a/small.zip', Readable.from([small]));
+        await adapter.upload('bucket-a/large.tar.gz', Readable.from([large.subarray(0, 3000000), large.subarray(3000000)]));
+        assert.deepStrictEqual(await readAll(await adapter.download('bucket-a/small.zip')), small);
+        assert.ok((await readAll(await adapter.download('bucket-a/large.tar.gz'))).equals(large));
+    });
+
+    await t.test('lists the archives of a bucket', async () => {
+        await adapter.upload('bucket-b/other.zip', Readable.from([small]));
+        const archives = await adapter.list('bucket-a');
+        assert.deepStrictEqual(archives.map(archive => [archive.name, archive.size]).sort(), [['large.tar.gz', large.length], ['small.zip', small.length]]);
+        assert.ok(archives.every(archive => new Date(archive.lastModified).getTime() > 0));
+        assert.deepStrictEqual(await adapter.list('missing'), []);
+    });
+
+    await t.test('lists the buckets', async () => {
+        assert.deepStrictEqual((await adapter.listBuckets()).sort(), ['bucket-a', 'bucket-b']);
+    });
+
+    await t.test('stats archives', async () => {
+        const stats = await adapter.stat('bucket-a/small.zip');
+        assert.strictEqual(stats.size, small.length);
+        assert.ok(stats.lastModified instanceof Date);
+    });
+
+    await t.test('removes archives', async () => {
+        await adapter.remove('bucket-b/other.zip');
+        assert.deepStrictEqual(await adapter.list('bucket-b'), []);
+    });
+
+    await t.test('reports missing archives as 404s', async () => {
+        await assert.rejects(adapter.stat('bucket-a/missing.zip'), { statusCode: 404 });
+        await assert.rejects(adapter.download('bucket-a/missing.zip'), { statusCode: 404 });
+        await assert.rejects(adapter.remove('bucket-a/missing.zip'), { statusCode: 404 });
+    });
+}
+
+test('local archive storage', async (t) => {
+    const sandbox = fs.mkdtempSync(path.join(os.tmpdir(), 'skyport-storage-'));
+    t.after(() => fs.rmSync(sandbox, { recursive: true, force: true }));
+    const adapter = createLocalAdapter({ path: sandbox });
+
+    await adapterContract(t, adapter);
+
+    await t.test('refuses keys outside of its directory', async () => {
+        await assert.rejects(adapter.stat('../outside.zip'), /outside of the archive storage/);
+    });
+});
+
+test('S3 archive storage', async (t) => {
+    const { server, objects } = createS3StandIn('skyport');
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => new Promise(resolve => server.close(resolve)));
+
+    const adapter = createS3Adapter({
+        bucket: 'skyport',
+        endpoint: `http://127.0.0.1:${server.address().port}`,
+        forcePathStyle: true,
+        accessKeyId: 'minioadmin',
+        secretAccessKey: 'minioadmin',
+        prefix: 'node-1'
+    });
+
+    await adapterContract(t, adapter);
+
+    await t.test('stores archives under its prefix', () => {
+        assert.deepStrictEqual([...objects.keys()].sort(), ['node-1/bucket-a/large.tar.gz', 'node-1/bucket-a/small.zip']);
+    });
+
+    await t.test('needs a bucket', () => {
+        assert.throws(() => createS3Adapter({}), /needs a bucket/);
+    });
+});
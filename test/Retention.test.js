@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const retentionFilePath = path.join(__dirname, '../storage/retention.json');
+const { validatePolicy, evaluateRetention, applyRetention, setPolicy, setPinned } = require('../utils/Retention');
+const { lockArchive } = require('../utils/Archives');
+
+const DAY = 86400000;
+const MB = 1024 * 1024;
+
+function archiveName(id, createdAt) {
+    return `${id}-${createdAt.toISOString().replace(/[:.]/g, '-')}.zip`;
+}
+
+function keptNames(result) {
+    return result.archives.filter(archive => archive.keep).map(archive => archive.name);
+}
+
+test('validatePolicy', async (t) => {
+    await t.test('accepts any combination of positive rules', () => {
+        assert.deepStrictEqual(validatePolicy({ keepLast: 3 }), []);
+        assert.deepStrictEqual(validatePolicy({ keepDaily: 7, keepWeekly: 4, maxTotalSizeMb: 1024 }), []);
+    });
+
+    await t.test('rejects missing, empty and unknown policies', () => {
+        assert.deepStrictEqual(validatePolicy(null), ['A policy object is required']);
+        assert.strictEqual(validatePolicy({}).length, 1);
+        assert.deepStrictEqual(validatePolicy({ keepLast: 1, keepMonthly: 2 }), ['Unknown policy rule keepMonthly']);
+    });
+
+    await t.test('rejects rules that are not positive integers', () => {
+        assert.deepStrictEqual(validatePolicy({ keepLast: 0 }), ['keepLast must be a positive integer']);
+        assert.deepStrictEqual(validatePolicy({ keepDaily: 1.5 }), ['keepDaily must be a positive integer']);
+        assert.deepStrictEqual(validatePolicy({ maxTotalSizeMb: '10' }), ['maxTotalSizeMb must be a positive integer']);
+    });
+});
+
+test('retention', async (t) => {
+    const id = `retention-test-${crypto.randomBytes(4).toString('hex')}`;
+    const bucketPath = path.join(__dirname, '../archives', id);
+    const previousRetention = fs.existsSync(retentionFilePath) ? fs.readFileSync(retentionFilePath) : null;
+    t.after(() => {
+        if (previousRetention) fs.writeFileSync(retentionFilePath, previousRetention);
+        else fs.rmSync(retentionFilePath, { force: true });
+        fs.rmSync(bucketPath, { recursive: true, force: true });
+    });
+
+    // Archives of 1 MB each from the last five days, newest first; the two oldest are on the same day
+    const today = new Date().setUTCHours(0, 0, 0, 0);
+    const names = [[1, 12], [2, 12], [3, 12], [4, 12], [5, 12], [5, 10]]
+        .map(([days, hours]) => archiveName(id, new Date(today - days * DAY + hours * 3600000)));
+    fs.mkdirSync(bucketPath, { recursive: true });
+    names.forEach(name => fs.writeFileSync(path.join(bucketPath, name), Buffer.alloc(MB)));
+
+    await t.test('keeps every archive without a policy', async () => {
+        const result = await evaluateRetention(id, null);
+        assert.deepStrictEqual(keptNames(result), names);
+        assert.ok(result.archives.every(archive => archive.reasons.includes('no policy')));
+    });
+
+    await t.test('keeps the last archives', async () => {
+        const result = await evaluateRetention(id, { keepLast: 2 });
+        assert.deepStrictEqual(keptNames(result), names.slice(0, 2));
+        assert.deepStrictEqual(result.archives[5].reasons, ['not kept by any rule']);
+    });
+
+    await t.test('keeps the newest archive of each day', async () => {
+        const result = await evaluateRetention(id, { keepDaily: 10 });
+        assert.deepStrictEqual(keptNames(result), names.slice(0, 5));
+    });
+
+    await t.test('deletes the oldest survivors until the size cap is met', async () => {
+        const result = await evaluateRetention(id, { keepLast: 5, maxTotalSizeMb: 3 });
+        assert.deepStrictEqual(keptNames(result), names.slice(0, 3));
+        assert.deepStrictEqual(result.archives[3].reasons, ['over maxTotalSizeMb']);
+    });
+
+    await t.test('never drops pinned or locked archives', async () => {
+        await setPinned(id, names[5], true);
+        const release = lockArchive(id, names[4]);
+        try {
+            const result = await evaluateRetention(id, { keepLast: 1, maxTotalSizeMb: 1 });
+            assert.deepStrictEqual(keptNames(result), [names[4], names[5]]);
+            assert.deepStrictEqual(result.archives[0].reasons, ['over maxTotalSizeMb']);
+            assert.deepStrictEqual(result.archives[5].reasons, ['pinned']);
+            assert.deepStrictEqual(result.archives[4].reasons, ['locked']);
+        } finally {
+            release();
+            await setPinned(id, names[5], false);
+        }
+    });
+
+    await t.test('prunes the archives the policy does not keep', async () => {
+        await setPinned(id, names[5], true);
+        await setPolicy(id, { keepLast: 2 });
+        const deleted = await applyRetention(id);
+        assert.deepStrictEqual(deleted.sort(), names.slice(2, 5).sort());
+        assert.deepStrictEqual(fs.readdirSync(bucketPath).sort(), [names[0], names[1], names[5]].sort());
+    });
+});
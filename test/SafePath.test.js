@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { safePath, resolveInVolume } = require('../utils/SafePath');
+
+test('resolveInVolume', async (t) => {
+    const sandbox = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'skyport-safepath-')));
+    const volume = path.join(sandbox, 'volume');
+    const outside = path.join(sandbox, 'outside');
+    fs.mkdirSync(path.join(volume, 'plugins'), { recursive: true });
+    fs.mkdirSync(outside);
+    fs.writeFileSync(path.join(volume, 'server.properties'), 'motd=hi\n');
+    fs.writeFileSync(path.join(outside, 'shadow'), 'secret\n');
+    fs.symlinkSync(outside, path.join(volume, 'escape'));
+    fs.symlinkSync(path.join(outside, 'shadow'), path.join(volume, 'shadow'));
+    fs.symlinkSync('plugins', path.join(volume, 'inside'));
+    t.after(() => fs.rmSync(sandbox, { recursive: true, force: true }));
+
+    await t.test('returns the real path of files in the volume', async () => {
+        assert.strictEqual(await resolveInVolume(volume, 'server.properties'), path.join(volume, 'server.properties'));
+        assert.strictEqual(await resolveInVolume(volume, ''), volume);
+    });
+
+    await t.test('resolves paths that do not exist yet through their closest parent', async () => {
+        assert.strictEqual(await resolveInVolume(volume, 'plugins/new/config.yml'), path.join(volume, 'plugins/new/config.yml'));
+    });
+
+    await t.test('follows symlinks that stay in the volume', async () => {
+        assert.strictEqual(await resolveInVolume(volume, 'inside/config.yml'), path.join(volume, 'plugins/config.yml'));
+        assert.strictEqual(await resolveInVolume(volume, 'inside'), path.join(volume, 'plugins'));
+    });
+
+    await t.test('refuses lexical traversal', async () => {
+        await assert.rejects(resolveInVolume(volume, '../outside/shadow'), /outside of the volume/);
+        assert.throws(() => safePath(volume, '../volume-other'), /outside of the volume/);
+    });
+
+    await t.test('refuses symlinked parents that lead outside of the volume', async () => {
+        await assert.rejects(resolveInVolume(volume, 'escape/shadow'), /outside of the volume/);
+        await assert.rejects(resolveInVolume(volume, 'escape/missing/file'), /outside of the volume/);
+        await assert.rejects(resolveInVolume(volume, 'escape/shadow', { followLink: false }), /outside of the volume/);
+    });
+
+    await t.test('refuses a symlink to outside unless the link itself is asked for', async () => {
+        await assert.rejects(resolveInVolume(volume, 'shadow'), /outside of the volume/);
+        assert.strictEqual(await resolveInVolume(volume, 'shadow', { followLink: false }), path.join(volume, 'shadow'));
+    });
+
+    await t.test('fails with ENOENT when the volume does not exist', async () => {
+        await assert.rejects(resolveInVolume(path.join(sandbox, 'missing'), 'file'), { code: 'ENOENT' });
+    });
+});
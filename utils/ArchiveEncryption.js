@@ -0,0 +1,319 @@
+/**
+ * @fileoverview Encryption at rest for archives. Archives are encrypted with AES-256-GCM in 64 KiB
+ * segments, each with its own authentication tag, so they can be encrypted and decrypted as streams
+ * while still detecting tampering, reordering and truncation. Keys are either node-wide or per instance
+ * and live in storage/keys.json (readable by the daemon user only); the key ID of every encrypted
+ * archive is stored next to it in a "<archive>.meta.json" sidecar. Rotating a key creates a new active
+ * key and keeps the old one so existing archives stay readable until they are re-encrypted.
+ *
+ * Encrypted file layout: "SKYENC01" | key ID length byte | key ID | 8-byte nonce prefix | segments, where
+ * every segment is uint32 ciphertext length | final flag byte | ciphertext | 16-byte tag. A segment's IV
+ * is the nonce prefix followed by its uint32 index; the final flag and the header are authenticated as
+ * additional data. The key ID in the header is what decryption goes by, so an archive stays readable
+ * even if its sidecar is lost or stale.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const CatLoggr = require('cat-loggr');
+const config = require('../config.json');
+
+const log = new CatLoggr();
+
+const keysFilePath = path.join(__dirname, '../storage/keys.json');
+const encryptionConfig = (config.archives && config.archives.encryption) || {};
+const algorithm = 'aes-256-gcm';
+const magic = Buffer.from('SKYENC01');
+const segmentSize = 64 * 1024;
+const tagSize = 16;
+const NODE_SCOPE = 'node';
+
+let keyring = { keys: {}, active: {} };
+let creatingNodeKey = null;
+
+function loadKeys() {
+    try {
+        if (fs.existsSync(keysFilePath)) {
+            const data = fs.readFileSync(keysFilePath, 'utf8');
+            keyring = data.trim() ? JSON.parse(data) : { keys: {}, active: {} };
+        }
+    } catch (err) {
+        log.error('Error reading archive keys from JSON file:', err);
+    }
+}
+
+async function saveKeys() {
+    const temp = `${keysFilePath}.tmp`;
+    await fs.promises.writeFile(temp, JSON.stringify(keyring, null, 2), { mode: 0o600 });
+    await fs.promises.rename(temp, keysFilePath);
+}
+
+/**
+ * Creates a key for a scope and makes it the scope's active key. The previous key is kept, marked as
+ * retired, so archives encrypted with it can still be read.
+ * @param {string} scope - "node" or an instance ID.
+ * @returns {Promise<string>} The new key ID.
+ */
+async function createKey(scope) {
+    const keyId = `${scope === NODE_SCOPE ? 'node' : 'inst'}-${crypto.randomBytes(8).toString('hex')}`;
+    const previous = keyring.active[scope];
+    if (previous && keyring.keys[previous]) {
+        keyring.keys[previous].retiredAt = new Date().toISOString();
+    }
+
+    keyring.keys[keyId] = {
+        scope,
+        key: crypto.randomBytes(32).toString('base64'),
+        createdAt: new Date().toISOString(),
+        retiredAt: null
+    };
+    keyring.active[scope] = keyId;
+    await saveKeys();
+
+    log.info(`Created archive encryption key ${keyId} for ${scope}`);
+    return keyId;
+}
+
+/**
+ * Stops encrypting new archives of an instance with its own key. Its keys are kept for decryption.
+ * @param {string} id - The archive bucket.
+ */
+async function disableInstanceKey(id) {
+    if (keyring.active[id]) {
+        delete keyring.active[id];
+        await saveKeys();
+    }
+}
+
+/**
+ * Works out which key new archives of a bucket are encrypted with: the instance's own key, else the
+ * node key when `archives.encryption.enabled` is set, else none.
+ * @param {string} id - The archive bucket.
+ * @returns {Promise<string|null>} The key ID, or null if archives of the bucket are not encrypted.
+ */
+async function getActiveKeyId(id) {
+    if (keyring.active[id]) return keyring.active[id];
+    if (!encryptionConfig.enabled) return null;
+    if (keyring.active[NODE_SCOPE]) return keyring.active[NODE_SCOPE];
+
+    // The node key is created on first use; concurrent archives share the one being created
+    creatingNodeKey = creatingNodeKey || createKey(NODE_SCOPE).finally(() => {
+        creatingNodeKey = null;
+    });
+    return creatingNodeKey;
+}
+
+/**
+ * @param {string} id - The archive bucket.
+ * @returns {Object} Whether the bucket's archives are encrypted, with which key, and whose key it is.
+ */
+function describeEncryption(id) {
+    const keyId = keyring.active[id] || (encryptionConfig.enabled ? keyring.active[NODE_SCOPE] || null : null);
+    return {
+        enabled: !!keyring.active[id] || !!encryptionConfig.enabled,
+        keyId,
+        scope: keyring.active[id] ? 'instance' : (encryptionConfig.enabled ? NODE_SCOPE : null)
+    };
+}
+
+function getKey(keyId) {
+    const entry = keyring.keys[keyId];
+    if (!entry) {
+        throw new Error(`Archive encryption key ${keyId} is not available on this node`);
+    }
+    return Buffer.from(entry.key, 'base64');
+}
+
+function segmentIv(prefix, index) {
+    const iv = Buffer.alloc(12);
+    prefix.copy(iv, 0);
+    iv.writeUInt32BE(index, 8);
+    return iv;
+}
+
+function segmentAad(header, final) {
+    return Buffer.concat([header, Buffer.from([final ? 1 : 0])]);
+}
+
+/**
+ * Creates a stream that encrypts whatever is piped through it.
+ * @param {string} keyId - The key to encrypt with.
+ * @returns {Transform} The encrypting stream.
+ */
+function createEncryptStream(keyId) {
+    const key = getKey(keyId);
+    const keyIdBuffer = Buffer.from(keyId);
+    const prefix = crypto.randomBytes(8);
+    const header = Buffer.concat([magic, Buffer.from([keyIdBuffer.length]), keyIdBuffer, prefix]);
+    let index = 0;
+    let pending = Buffer.alloc(0);
+
+    const sealSegment = (stream, plaintext, final) => {
+        const cipher = crypto.createCipheriv(algorithm, key, segmentIv(prefix, index++));
+        cipher.setAAD(segmentAad(header, final));
+        const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+        const segmentHeader = Buffer.alloc(5);
+        segmentHeader.writeUInt32BE(ciphertext.length, 0);
+        segmentHeader.writeUInt8(final ? 1 : 0, 4);
+        stream.push(Buffer.concat([segmentHeader, ciphertext, cipher.getAuthTag()]));
+    };
+
+    const stream = new Transform({
+        transform(chunk, encoding, callback) {
+            pending = Buffer.concat([pending, chunk]);
+            // The last segment is held back until flush so it can be marked final
+            while (pending.length > segmentSize) {
+                sealSegment(this, pending.subarray(0, segmentSize), false);
+                pending = pending.subarray(segmentSize);
+            }
+            callback();
+        },
+        flush(callback) {
+            sealSegment(this, pending, true);
+            callback();
+        }
+    });
+    stream.push(header);
+    return stream;
+}
+
+function notEncryptedError() {
+    return new Error('Archive is not encrypted although it should be, it may have been replaced. Archives made before encryption was enabled have to be re-encrypted first');
+}
+
+/**
+ * Creates a stream that decrypts and authenticates an encrypted archive piped through it, looking up the
+ * key named in its header. Archives that aren't encrypted pass through unchanged, unless they are
+ * required to be. The stream errors if any segment was altered, if segments were reordered, or if the
+ * archive was cut short.
+ * @param {Object} [options] - { requireEncrypted }, to error on an archive without the encrypted header.
+ * @returns {Transform} The decrypting stream.
+ */
+function createDecryptStream({ requireEncrypted = false } = {}) {
+    let buffered = Buffer.alloc(0);
+    let plain = false;
+    let header = null;
+    let key = null;
+    let prefix = null;
+    let index = 0;
+    let finished = false;
+
+    const readHeader = () => {
+        if (buffered.length < magic.length + 1) return false;
+        const headerSize = magic.length + 1 + buffered.readUInt8(magic.length) + 8;
+        if (buffered.length < headerSize) return false;
+
+        header = buffered.subarray(0, headerSize);
+        key = getKey(header.subarray(magic.length + 1, headerSize - 8).toString());
+        prefix = header.subarray(headerSize - 8);
+        buffered = buffered.subarray(headerSize);
+        return true;
+    };
+
+    return new Transform({
+        transform(chunk, encoding, callback) {
+            if (plain) return callback(null, chunk);
+            buffered = Buffer.concat([buffered, chunk]);
+
+            if (!header) {
+                if (buffered.length < magic.length) return callback();
+                if (!buffered.subarray(0, magic.length).equals(magic)) {
+                    if (requireEncrypted) return callback(notEncryptedError());
+                    plain = true;
+                    const data = buffered;
+                    buffered = Buffer.alloc(0);
+                    return callback(null, data);
+                }
+                try {
+                    if (!readHeader()) return callback();
+                } catch (err) {
+                    return callback(err);
+                }
+            }
+
+            while (buffered.length >= 5) {
+                if (finished) {
+                    return callback(new Error('Encrypted archive has data after its final segment'));
+                }
+
+                const length = buffered.readUInt32BE(0);
+                const final = buffered.readUInt8(4) === 1;
+                if (length > segmentSize) {
+                    return callback(new Error('Encrypted archive segment is too large'));
+                }
+                if (buffered.length < 5 + length + tagSize) break;
+
+                try {
+                    const decipher = crypto.createDecipheriv(algorithm, key, segmentIv(prefix, index++));
+                    decipher.setAAD(segmentAad(header, final));
+                    decipher.setAuthTag(buffered.subarray(5 + length, 5 + length + tagSize));
+                    this.push(Buffer.concat([decipher.update(buffered.subarray(5, 5 + length)), decipher.final()]));
+                } catch (err) {
+                    return callback(new Error('Encrypted archive failed authentication, it is corrupt or was tampered with'));
+                }
+
+                buffered = buffered.subarray(5 + length + tagSize);
+                finished = final;
+            }
+            callback();
+        },
+        flush(callback) {
+            if (plain) return callback();
+            // Anything shorter than the magic can't be an encrypted archive
+            if (!header && buffered.length < magic.length) {
+                return requireEncrypted ? callback(notEncryptedError()) : callback(null, buffered);
+            }
+            if (!finished || buffered.length > 0) {
+                return callback(new Error('Encrypted archive is truncated'));
+            }
+            callback();
+        }
+    });
+}
+
+/**
+ * @param {string} filePath - A local archive.
+ * @returns {Promise<boolean>} Whether the file is an encrypted archive.
+ */
+async function isEncryptedFile(filePath) {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+        const buffer = Buffer.alloc(magic.length);
+        const { bytesRead } = await handle.read(buffer, 0, magic.length, 0);
+        return bytesRead === magic.length && buffer.equals(magic);
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * Builds the sidecar metadata stored next to an encrypted archive.
+ * @param {string} keyId - The key the archive was encrypted with.
+ * @returns {Object} The metadata.
+ */
+function createMetadata(keyId) {
+    return {
+        encrypted: true,
+        algorithm,
+        segmentSize,
+        keyId,
+        encryptedAt: new Date().toISOString()
+    };
+}
+
+loadKeys();
+
+module.exports = {
+    NODE_SCOPE,
+    nodeEncryptionEnabled: !!encryptionConfig.enabled,
+    createKey,
+    disableInstanceKey,
+    getActiveKeyId,
+    describeEncryption,
+    createEncryptStream,
+    createDecryptStream,
+    isEncryptedFile,
+    createMetadata
+};
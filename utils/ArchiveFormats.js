@@ -0,0 +1,605 @@
+/**
+ * @fileoverview Archive formats: zip, tar.gz and tar.zst. Writes archives of a volume (optionally
+ * filtered by include/exclude globs, or limited to a list of paths), lists their contents, extracts all
+ * or part of them with size and checksum verification, and verifies them without extracting. The format
+ * of an archive is taken from its name. zstd uses Node's built-in zlib support when available and the
+ * zstd CLI otherwise.
+ *
+ * Plain tar and 7z archives (through the 7z CLI) can also be listed and extracted, for archives
+ * uploaded through the file manager; they are never written.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { spawn } = require('child_process');
+const { Duplex, Transform, pipeline } = require('stream');
+const { pipeline: pipelineAsync, finished } = require('stream/promises');
+const archiver = require('archiver');
+const unzipper = require('unzipper');
+const tarStream = require('tar-stream');
+const { minimatch } = require('minimatch');
+const { resolveInVolume } = require('./SafePath');
+
+const formats = {
+    'zip': '.zip',
+    'tar.gz': '.tar.gz',
+    'tar.zst': '.tar.zst'
+};
+const extractableFormats = {
+    'zip': ['.zip'],
+    'tar': ['.tar'],
+    'tar.gz': ['.tar.gz', '.tgz'],
+    'tar.zst': ['.tar.zst', '.tzst'],
+    '7z': ['.7z']
+};
+const S_IFMT = 0o170000;
+const S_IFLNK = 0o120000;
+
+function badRequest(message) {
+    return Object.assign(new Error(message), { statusCode: 400 });
+}
+
+/**
+ * @param {string} format - A format name.
+ * @returns {string} The file extension of the format.
+ * @throws {Error} With statusCode 400 for unknown formats.
+ */
+function formatExtension(format) {
+    if (!formats[format]) {
+        throw badRequest(`Unsupported archive format ${format}, use one of ${Object.keys(formats).join(', ')}`);
+    }
+    return formats[format];
+}
+
+/**
+ * @param {string} archiveName - An archive file name.
+ * @returns {string} The format of the archive.
+ * @throws {Error} With statusCode 400 if the name has no known extension.
+ */
+function formatOf(archiveName) {
+    const format = Object.keys(formats).find(name => archiveName.endsWith(formats[name]));
+    if (!format) {
+        throw badRequest(`Unsupported archive format for ${archiveName}`);
+    }
+    return format;
+}
+
+/**
+ * Works out the format of an archive uploaded by a user, which may also be a plain tar or a 7z archive.
+ * @param {string} fileName - The archive file name.
+ * @returns {string} The format of the archive.
+ * @throws {Error} With statusCode 400 if the name has no known extension.
+ */
+function detectFormat(fileName) {
+    const lowerName = fileName.toLowerCase();
+    const format = Object.keys(extractableFormats)
+        .find(name => extractableFormats[name].some(extension => lowerName.endsWith(extension)));
+    if (!format) {
+        throw badRequest(`Unsupported archive format for ${fileName}`);
+    }
+    return format;
+}
+
+// Wraps the zstd CLI as a transform-like stream; its exit status decides whether the stream errors
+function zstdProcess(args) {
+    const child = spawn('zstd', args, { stdio: ['pipe', 'pipe', 'pipe'] });
+    const duplex = Duplex.from({ writable: child.stdin, readable: child.stdout });
+    let stderr = '';
+
+    child.stderr.on('data', (data) => {
+        stderr += data;
+    });
+    child.on('error', err => duplex.destroy(new Error(`zstd is not available: ${err.message}`)));
+    child.on('close', (code) => {
+        if (code !== 0) duplex.destroy(new Error(`zstd exited with code ${code}: ${stderr.trim()}`));
+    });
+    duplex.on('close', () => {
+        if (child.exitCode === null) child.kill();
+    });
+    return duplex;
+}
+
+function createZstdCompress() {
+    return zlib.createZstdCompress ? zlib.createZstdCompress() : zstdProcess(['-q', '-c', '-3']);
+}
+
+function createZstdDecompress() {
+    return zlib.createZstdDecompress ? zlib.createZstdDecompress() : zstdProcess(['-d', '-q', '-c']);
+}
+
+function normalizePattern(pattern) {
+    return String(pattern).trim().replace(/^\.?\/+/, '').replace(/\/+$/, '');
+}
+
+// A path matches if the pattern matches it or one of its parent directories, so "logs" covers logs/**
+function matchesSelfOrParent(relativePath, patterns) {
+    const parts = relativePath.split('/');
+    for (let i = 1; i <= parts.length; i++) {
+        const candidate = parts.slice(0, i).join('/');
+        if (patterns.some(pattern => minimatch(candidate, pattern, { dot: true }))) return true;
+    }
+    return false;
+}
+
+/**
+ * Validates include/exclude glob lists.
+ * @param {Object} options - { include, exclude }.
+ * @returns {string[]} A list of validation errors, empty if the options are valid.
+ */
+function validateFilters({ include, exclude } = {}) {
+    const errors = [];
+    [['include', include], ['exclude', exclude]].forEach(([name, patterns]) => {
+        if (patterns === undefined) return;
+        if (!Array.isArray(patterns) || patterns.some(pattern => typeof pattern !== 'string' || !normalizePattern(pattern))) {
+            errors.push(`${name} must be an array of non-empty glob patterns`);
+        }
+    });
+    return errors;
+}
+
+// Runs the 7z CLI to completion and resolves with its output
+function sevenZip(args, { signal } = {}) {
+    return new Promise((resolve, reject) => {
+        const child = spawn('7z', args, { stdio: ['ignore', 'pipe', 'pipe'], signal });
+        let stdout = '';
+        let stderr = '';
+
+        child.stdout.on('data', (data) => {
+            stdout += data;
+        });
+        child.stderr.on('data', (data) => {
+            stderr += data;
+        });
+        child.on('error', (err) => {
+            if (err.name === 'AbortError' && signal.reason) return reject(signal.reason);
+            reject(err.code === 'ENOENT'
+                ? Object.assign(new Error('7z archives are not supported on this node (7z is not installed)'), { statusCode: 501 })
+                : err);
+        });
+        child.on('close', (code) => {
+            if (code === 0) resolve(stdout);
+            else reject(new Error(`7z exited with code ${code}: ${(stderr || stdout).trim()}`));
+        });
+    });
+}
+
+// Parses the technical listing (-slt) of 7z, one "Key = value" block per entry
+async function listSevenZip(archivePath) {
+    const output = await sevenZip(['l', '-slt', '-ba', '--', archivePath]);
+    return output.split(/\r?\n\r?\n/)
+        .map(block => Object.fromEntries(block.split(/\r?\n/)
+            .map(line => line.match(/^(\w[\w ]*?) = (.*)$/))
+            .filter(Boolean)
+            .map(match => [match[1], match[2]])))
+        .filter(fields => fields.Path)
+        .map(fields => ({
+            path: stripSlash(fields.Path.replace(/\\/g, '/')),
+            type: fields.Folder === '+' ? 'directory' : (/\bl[rwx-]{9}\b/.test(fields.Attributes || '') ? 'symlink' : 'file'),
+            size: Number(fields.Size) || 0,
+            modified: fields.Modified ? new Date(fields.Modified.replace(' ', 'T')).toISOString() : null
+        }));
+}
+
+/**
+ * Walks a volume, yielding the entries that pass the include/exclude globs. Excluded directories are
+ * not descended into. Symlinks are yielded as links and never followed.
+ */
+async function* walkVolume(root, { include = [], exclude = [] } = {}, relative = '') {
+    const includePatterns = include.map(normalizePattern);
+    const excludePatterns = exclude.map(normalizePattern);
+    const entries = await fs.promises.readdir(path.join(root, relative), { withFileTypes: true });
+
+    for (const entry of entries) {
+        const entryPath = relative ? `${relative}/${entry.name}` : entry.name;
+        if (excludePatterns.length && matchesSelfOrParent(entryPath, excludePatterns)) continue;
+
+        const fullPath = path.join(root, entryPath);
+        const stats = await fs.promises.lstat(fullPath);
+        const included = includePatterns.length === 0 || matchesSelfOrParent(entryPath, includePatterns);
+
+        if (stats.isDirectory()) {
+            if (included) yield { path: entryPath, fullPath, stats };
+            // Children can still match an include pattern when their directory doesn't
+            yield* walkVolume(root, { include, exclude }, entryPath);
+        } else if (included) {
+            yield { path: entryPath, fullPath, stats };
+        }
+    }
+}
+
+// Yields the given paths and, for directories, everything under them. A path is refused if a directory
+// on the way is a symlink leading outside of the root; a path that is a symlink itself is archived as one
+async function* walkPaths(root, paths) {
+    for (const relative of paths) {
+        const fullPath = await resolveInVolume(root, relative, { followLink: false });
+        const stats = await fs.promises.lstat(fullPath);
+        yield { path: relative, fullPath, stats };
+        if (stats.isDirectory()) {
+            yield* walkVolume(root, {}, relative);
+        }
+    }
+}
+
+/**
+ * Creates an archive of a volume.
+ * @param {string} volumePath - The volume directory.
+ * @param {string} format - zip, tar.gz or tar.zst.
+ * @param {Object} [options] - { include, exclude } glob lists, relative to the volume root, or `paths`,
+ * a list of relative paths (not globs) to archive instead of the whole volume.
+ * @returns {Readable} The archive bytes.
+ */
+function writeArchive(volumePath, format, options = {}) {
+    formatExtension(format);
+    const archive = format === 'zip'
+        ? archiver('zip', { zlib: { level: 9 } })
+        : archiver('tar', format === 'tar.gz' ? { gzip: true, gzipOptions: { level: 6 } } : {});
+    const output = format === 'tar.zst' ? pipeline(archive, createZstdCompress(), () => {}) : archive;
+
+    (async () => {
+        const entries = options.paths ? walkPaths(volumePath, options.paths) : walkVolume(volumePath, options);
+        for await (const entry of entries) {
+            const { stats } = entry;
+            if (stats.isDirectory()) {
+                archive.append(null, { name: `${entry.path}/`, type: 'directory', mode: stats.mode & 0o7777, date: stats.mtime });
+            } else if (stats.isSymbolicLink()) {
+                archive.symlink(entry.path, await fs.promises.readlink(entry.fullPath), stats.mode & 0o7777);
+            } else if (stats.isFile()) {
+                archive.file(entry.fullPath, { name: entry.path, stats });
+            }
+        }
+        await archive.finalize();
+    })().catch(err => output.destroy(err));
+
+    return output;
+}
+
+/**
+ * Reads a tar archive, calling onEntry(header, stream) for every entry. onEntry must consume the stream.
+ */
+async function readTar(archivePath, format, onEntry) {
+    const extract = tarStream.extract();
+    const streams = [fs.createReadStream(archivePath)];
+    if (format === 'tar.gz') streams.push(zlib.createGunzip());
+    if (format === 'tar.zst') streams.push(createZstdDecompress());
+    const done = pipelineAsync(...streams, extract);
+
+    try {
+        for await (const entry of extract) {
+            await onEntry(entry.header, entry);
+        }
+    } catch (err) {
+        // Leaving the loop destroys the extract stream; the pipeline error is the same failure
+        await done.catch(() => {});
+        throw err;
+    }
+    await done;
+}
+
+function zipType(file) {
+    if (file.type === 'Directory') return 'directory';
+    return ((file.externalFileAttributes >>> 16) & S_IFMT) === S_IFLNK ? 'symlink' : 'file';
+}
+
+function stripSlash(entryPath) {
+    return entryPath.replace(/^\.?\/+/, '').replace(/\/+$/, '');
+}
+
+/**
+ * Lists the contents of an archive.
+ * @param {string} archivePath - A local, decrypted archive.
+ * @param {string} format - The archive format.
+ * @returns {Promise<Object[]>} The entries with their path, type, size and modification time.
+ */
+async function listEntries(archivePath, format) {
+    if (format === '7z') {
+        return listSevenZip(archivePath);
+    }
+    if (format === 'zip') {
+        const directory = await unzipper.Open.file(archivePath);
+        return directory.files.map(file => ({
+            path: stripSlash(file.path),
+            type: zipType(file),
+            size: file.uncompressedSize,
+            modified: file.lastModifiedDateTime ? new Date(file.lastModifiedDateTime).toISOString() : null
+        }));
+    }
+
+    const entries = [];
+    await readTar(archivePath, format, async (header, stream) => {
+        entries.push({
+            path: stripSlash(header.name),
+            type: header.type,
+            size: header.size || 0,
+            modified: header.mtime ? header.mtime.toISOString() : null
+        });
+        await drain(stream);
+    });
+    return entries;
+}
+
+let crcTable = null;
+
+// zlib.crc32 only exists since Node 22.2, older versions get the table-driven equivalent
+function tableCrc32(data, crc = 0) {
+    if (!crcTable) {
+        crcTable = new Int32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            crcTable[n] = c;
+        }
+    }
+    crc = ~crc;
+    for (let i = 0; i < data.length; i++) crc = crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    return ~crc >>> 0;
+}
+
+const crc32 = zlib.crc32 || tableCrc32;
+
+async function fileCrc32(filePath) {
+    let crc = 0;
+    for await (const data of fs.createReadStream(filePath)) {
+        crc = crc32(data, crc);
+    }
+    return crc;
+}
+
+async function drain(stream) {
+    stream.resume();
+    await finished(stream);
+}
+
+async function readStreamToString(stream) {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Extracts an archive (or the entries accepted by `select`) into a directory, refusing entries that
+ * point outside of it (directly or through a symlink), and checks every extracted file against the size
+ * (and, for zips, the CRC) recorded in the archive. Symlinks whose target is absolute or outside of the
+ * directory are left out. gzip and zstd check their own integrity while decompressing. 7z archives are
+ * always extracted whole and may not contain symlinks.
+ *
+ * Sizes recorded in an archive can lie, so the bytes actually written are counted and extraction stops
+ * with a 400 once they go over `maxBytes`.
+ * @param {string} archivePath - A local, decrypted archive.
+ * @param {string} format - The archive format.
+ * @param {string} target - The directory to extract into.
+ * @param {Object} [options] - { select, maxBytes }. select is called with each entry path; entries it
+ * returns false for are not extracted. maxBytes is usually the total size the archive declares.
+ * @returns {Promise<{extracted: number, skipped: string[]}>} The number of entries extracted, and the
+ * symlinks that were left out.
+ */
+async function extractArchive(archivePath, format, target, { select = () => true, maxBytes = Infinity } = {}) {
+    const root = path.resolve(target);
+    const written = [];
+    const skipped = [];
+    let extracted = 0;
+    let bytesWritten = 0;
+
+    const overBudget = () => Object.assign(
+        new Error(`Archive extracts to more than the ${maxBytes} bytes it declares, extraction was stopped`),
+        { statusCode: 400 }
+    );
+    const countBytes = () => new Transform({
+        transform(chunk, encoding, callback) {
+            bytesWritten += chunk.length;
+            callback(bytesWritten > maxBytes ? overBudget() : null, chunk);
+        }
+    });
+
+    const resolveEntry = (entryPath) => {
+        const fullPath = path.resolve(root, entryPath);
+        if (fullPath !== root && !fullPath.startsWith(root + path.sep)) {
+            throw new Error(`Archive entry ${entryPath} points outside of the volume`);
+        }
+        return fullPath;
+    };
+
+    // Creates the directory one component at a time, refusing to go through a symlink, so that a link
+    // extracted earlier can't send later entries outside of the root
+    const ensureDirectory = async (entryPath, directory) => {
+        let current = root;
+        for (const part of path.relative(root, directory).split(path.sep).filter(Boolean)) {
+            current = path.join(current, part);
+            const stats = await fs.promises.lstat(current).catch((err) => {
+                if (err.code !== 'ENOENT') throw err;
+                return null;
+            });
+            if (!stats) {
+                await fs.promises.mkdir(current);
+            } else if (stats.isSymbolicLink()) {
+                throw new Error(`Archive entry ${entryPath} points outside of the volume through a symlink`);
+            } else if (!stats.isDirectory()) {
+                throw new Error(`Archive entry ${entryPath} is inside a file`);
+            }
+        }
+    };
+
+    // Links may only climb (leading ..) and then descend, so that resolving them by name can't be
+    // fooled by another link in the middle, and must stay within the root
+    const isContainedLink = (fullPath, linkTarget) => {
+        const parts = String(linkTarget).split('/').filter(part => part && part !== '.');
+        const climbs = parts.findIndex(part => part !== '..');
+        if (!linkTarget || path.isAbsolute(linkTarget) || (climbs !== -1 && parts.slice(climbs).includes('..'))) {
+            return false;
+        }
+        const resolved = path.resolve(path.dirname(fullPath), linkTarget);
+        return resolved === root || resolved.startsWith(root + path.sep);
+    };
+
+    // Returns false for a symlink that was left out
+    const writeEntry = async (entryPath, type, mode, stream, linkTarget) => {
+        const fullPath = resolveEntry(entryPath);
+        if (type === 'directory') {
+            await ensureDirectory(entryPath, fullPath);
+            return true;
+        }
+        if (type === 'symlink' && !isContainedLink(fullPath, linkTarget)) {
+            skipped.push(entryPath);
+            return false;
+        }
+
+        await ensureDirectory(entryPath, path.dirname(fullPath));
+        await fs.promises.rm(fullPath, { force: true, recursive: true });
+        if (type === 'symlink') {
+            await fs.promises.symlink(linkTarget, fullPath);
+            return true;
+        }
+
+        await pipelineAsync(stream, countBytes(), fs.createWriteStream(fullPath, { flags: 'wx' }));
+        if (mode & 0o7777) await fs.promises.chmod(fullPath, mode & 0o7777);
+        return true;
+    };
+
+    if (format === '7z') {
+        // 7z writes the files itself, so every entry is checked before it is run. Its listing doesn't
+        // give link targets, so symlinks are refused outright
+        const entries = await listSevenZip(archivePath);
+        entries.forEach((entry) => {
+            resolveEntry(entry.path);
+            if (entry.type === 'symlink') {
+                throw new Error(`Archive entry ${entry.path} is a symlink, which 7z archives may not contain`);
+            }
+        });
+        // 7z writes the files itself, so what it wrote so far is measured instead
+        const controller = new AbortController();
+        let measuring = false;
+        const watcher = setInterval(async () => {
+            if (measuring) return;
+            measuring = true;
+            let size = 0;
+            try {
+                for await (const entry of walkVolume(root)) size += entry.stats.isFile() ? entry.stats.size : 0;
+            } catch (err) {
+                // Files moved while measuring are counted on the next round
+            }
+            measuring = false;
+            if (size > maxBytes) controller.abort(overBudget());
+        }, 500);
+        try {
+            await sevenZip(['x', '-y', '-bd', `-o${root}`, '--', archivePath], { signal: controller.signal });
+        } finally {
+            clearInterval(watcher);
+        }
+        // In case 7z created a link anyway (Windows reparse points, for one)
+        for await (const entry of walkVolume(root)) {
+            if (entry.stats.isSymbolicLink()) {
+                throw new Error(`Archive entry ${entry.path} is a symlink, which 7z archives may not contain`);
+            }
+        }
+        entries.filter(entry => entry.type === 'file').forEach(entry => written.push({ entryPath: entry.path, size: entry.size }));
+        extracted = entries.length;
+    } else if (format === 'zip') {
+        const directory = await unzipper.Open.file(archivePath);
+        for (const file of directory.files) {
+            const entryPath = stripSlash(file.path);
+            if (!entryPath || !select(entryPath)) continue;
+
+            const type = zipType(file);
+            if (type === 'file') {
+                await writeEntry(entryPath, type, file.externalFileAttributes >>> 16, file.stream());
+                written.push({ entryPath, size: file.uncompressedSize, crc: file.crc32 });
+            } else if (!await writeEntry(entryPath, type, 0, null, type === 'symlink' ? await readStreamToString(file.stream()) : null)) {
+                continue;
+            }
+            extracted++;
+        }
+    } else {
+        await readTar(archivePath, format, async (header, stream) => {
+            const entryPath = stripSlash(header.name);
+            const type = header.type;
+            if (!entryPath || !select(entryPath) || !['file', 'directory', 'symlink'].includes(type)) {
+                return drain(stream);
+            }
+
+            if (type === 'file') {
+                await writeEntry(entryPath, type, header.mode, stream);
+                written.push({ entryPath, size: header.size });
+            } else {
+                const linked = await writeEntry(entryPath, type, 0, null, header.linkname);
+                await drain(stream);
+                if (!linked) return;
+            }
+            extracted++;
+        });
+    }
+
+    for (const file of written) {
+        const fullPath = resolveEntry(file.entryPath);
+        const stats = await fs.promises.lstat(fullPath);
+        if (!stats.isFile()) {
+            throw new Error(`Verification failed for ${file.entryPath}: it was replaced by a later entry`);
+        }
+        const { size } = stats;
+        if (size !== file.size) {
+            throw new Error(`Verification failed for ${file.entryPath}: expected ${file.size} bytes, got ${size}`);
+        }
+        if (file.crc !== undefined && (await fileCrc32(fullPath)) >>> 0 !== file.crc >>> 0) {
+            throw new Error(`Verification failed for ${file.entryPath}: CRC mismatch`);
+        }
+    }
+
+    return { extracted, skipped };
+}
+
+/**
+ * Reads an archive back without extracting it and checks every file against its recorded size (and,
+ * for zips, its CRC). For tar archives the gzip or zstd checksum covers the whole stream.
+ * @param {string} archivePath - A local, decrypted archive.
+ * @param {string} format - The archive format.
+ * @returns {Promise<Object>} The number of files checked and the ones that failed.
+ */
+async function verifyArchiveFile(archivePath, format) {
+    const failed = [];
+    let checked = 0;
+
+    try {
+        if (format === 'zip') {
+            const directory = await unzipper.Open.file(archivePath);
+            for (const file of directory.files.filter(file => file.type !== 'Directory')) {
+                checked++;
+                try {
+                    let size = 0;
+                    let crc = 0;
+                    for await (const data of file.stream()) {
+                        size += data.length;
+                        crc = crc32(data, crc);
+                    }
+                    if (size !== file.uncompressedSize) throw new Error('size mismatch');
+                    if (crc >>> 0 !== file.crc32 >>> 0) throw new Error('CRC mismatch');
+                } catch (err) {
+                    failed.push({ path: file.path, error: err.message });
+                }
+            }
+        } else {
+            await readTar(archivePath, format, async (header, stream) => {
+                let size = 0;
+                for await (const data of stream) size += data.length;
+                if (header.type === 'file') {
+                    checked++;
+                    if (size !== header.size) failed.push({ path: header.name, error: 'size mismatch' });
+                }
+            });
+        }
+    } catch (err) {
+        failed.push({ path: null, error: `Archive is unreadable: ${err.message}` });
+    }
+
+    return { ok: failed.length === 0, checked, failed };
+}
+
+module.exports = {
+    formats: Object.keys(formats),
+    formatExtension,
+    formatOf,
+    detectFormat,
+    validateFilters,
+    writeArchive,
+    listEntries,
+    extractArchive,
+    verifyArchiveFile
+};
@@ -0,0 +1,101 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+
+function notFound() {
+    return Object.assign(new Error('Archive not found'), { statusCode: 404 });
+}
+
+/**
+ * Stores archives in a directory on this node: archives/ by default, or any mounted path (NFS, a second
+ * disk...) given as `path`, relative to the daemon directory or absolute.
+ * @param {Object} options - { path }.
+ * @returns {Object} The storage adapter.
+ */
+function createLocalAdapter(options = {}) {
+    const root = path.resolve(__dirname, '../..', options.path || 'archives');
+
+    const resolveKey = (key) => {
+        const fullPath = path.resolve(root, key);
+        if (!fullPath.startsWith(root + path.sep)) {
+            throw new Error('Attempting to access outside of the archive storage');
+        }
+        return fullPath;
+    };
+
+    return {
+        type: 'local',
+
+        async upload(key, stream) {
+            const target = resolveKey(key);
+            const temp = `${target}.partial`;
+            await fs.promises.mkdir(path.dirname(target), { recursive: true });
+            try {
+                await pipeline(stream, fs.createWriteStream(temp));
+                await fs.promises.rename(temp, target);
+            } catch (err) {
+                await fs.promises.rm(temp, { force: true });
+                throw err;
+            }
+        },
+
+        async list(prefix) {
+            const directory = resolveKey(prefix);
+            let files;
+            try {
+                files = await fs.promises.readdir(directory, { withFileTypes: true });
+            } catch (err) {
+                if (err.code === 'ENOENT') return [];
+                throw err;
+            }
+
+            return Promise.all(files
+                .filter(file => file.isFile() && !file.name.endsWith('.partial'))
+                .map(async (file) => {
+                    const stats = await fs.promises.stat(path.join(directory, file.name));
+                    return { name: file.name, size: stats.size, lastModified: stats.mtime };
+                }));
+        },
+
+        async listBuckets() {
+            try {
+                const entries = await fs.promises.readdir(root, { withFileTypes: true });
+                return entries.filter(entry => entry.isDirectory()).map(entry => entry.name);
+            } catch (err) {
+                if (err.code === 'ENOENT') return [];
+                throw err;
+            }
+        },
+
+        async stat(key) {
+            try {
+                const stats = await fs.promises.stat(resolveKey(key));
+                return { size: stats.size, lastModified: stats.mtime };
+            } catch (err) {
+                if (err.code === 'ENOENT') throw notFound();
+                throw err;
+            }
+        },
+
+        async download(key) {
+            await this.stat(key);
+            return fs.createReadStream(resolveKey(key));
+        },
+
+        async remove(key) {
+            try {
+                await fs.promises.unlink(resolveKey(key));
+            } catch (err) {
+                if (err.code === 'ENOENT') throw notFound();
+                throw err;
+            }
+        },
+
+        // Archives are already on disk, so callers that need a file can skip downloading a copy
+        localPath(key) {
+            return resolveKey(key);
+        }
+    };
+}
+
+module.exports = { createLocalAdapter };
@@ -0,0 +1,104 @@
+const {
+    S3Client,
+    ListObjectsV2Command,
+    HeadObjectCommand,
+    GetObjectCommand,
+    DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+const { Upload } = require('@aws-sdk/lib-storage');
+
+function notFound() {
+    return Object.assign(new Error('Archive not found'), { statusCode: 404 });
+}
+
+function isNotFound(err) {
+    return err.name === 'NotFound' || err.name === 'NoSuchKey' || (err.$metadata && err.$metadata.httpStatusCode === 404);
+}
+
+/**
+ * Stores archives in an S3-compatible object store (AWS S3, MinIO, Backblaze B2, Cloudflare R2...).
+ * @param {Object} options - { bucket, region, endpoint, accessKeyId, secretAccessKey, prefix, forcePathStyle }.
+ * `endpoint` and `forcePathStyle: true` are what most self-hosted stores such as MinIO need.
+ * @returns {Object} The storage adapter.
+ */
+function createS3Adapter(options) {
+    if (!options.bucket) {
+        throw new Error('S3 archive storage needs a bucket');
+    }
+
+    const client = new S3Client({
+        region: options.region || 'us-east-1',
+        endpoint: options.endpoint,
+        forcePathStyle: !!options.forcePathStyle,
+        credentials: options.accessKeyId ? {
+            accessKeyId: options.accessKeyId,
+            secretAccessKey: options.secretAccessKey
+        } : undefined
+    });
+    const Bucket = options.bucket;
+    const prefix = options.prefix ? options.prefix.replace(/\/?$/, '/') : '';
+
+    async function listAll(params) {
+        const contents = [];
+        const commonPrefixes = [];
+        let ContinuationToken;
+        do {
+            const page = await client.send(new ListObjectsV2Command({ Bucket, ...params, ContinuationToken }));
+            contents.push(...(page.Contents || []));
+            commonPrefixes.push(...(page.CommonPrefixes || []));
+            ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+        } while (ContinuationToken);
+        return { contents, commonPrefixes };
+    }
+
+    return {
+        type: 's3',
+
+        async upload(key, stream) {
+            // Multipart upload, so the archive is streamed without knowing its size up front
+            await new Upload({ client, params: { Bucket, Key: prefix + key, Body: stream } }).done();
+        },
+
+        async list(listPrefix) {
+            const { contents } = await listAll({ Prefix: `${prefix}${listPrefix}/`, Delimiter: '/' });
+            return contents.map(object => ({
+                name: object.Key.substring(`${prefix}${listPrefix}/`.length),
+                size: object.Size,
+                lastModified: object.LastModified
+            }));
+        },
+
+        async listBuckets() {
+            const { commonPrefixes } = await listAll({ Prefix: prefix, Delimiter: '/' });
+            return commonPrefixes.map(common => common.Prefix.substring(prefix.length).replace(/\/$/, ''));
+        },
+
+        async stat(key) {
+            try {
+                const head = await client.send(new HeadObjectCommand({ Bucket, Key: prefix + key }));
+                return { size: head.ContentLength, lastModified: head.LastModified };
+            } catch (err) {
+                if (isNotFound(err)) throw notFound();
+                throw err;
+            }
+        },
+
+        async download(key) {
+            try {
+                const object = await client.send(new GetObjectCommand({ Bucket, Key: prefix + key }));
+                return object.Body;
+            } catch (err) {
+                if (isNotFound(err)) throw notFound();
+                throw err;
+            }
+        },
+
+        async remove(key) {
+            // DeleteObject succeeds for missing keys, so check first to report a 404 like the other adapters
+            await this.stat(key);
+            await client.send(new DeleteObjectCommand({ Bucket, Key: prefix + key }));
+        }
+    };
+}
+
+module.exports = { createS3Adapter };
@@ -0,0 +1,138 @@
+const fs = require('fs');
+const path = require('path');
+const SftpClient = require('ssh2-sftp-client');
+
+function notFound() {
+    return Object.assign(new Error('Archive not found'), { statusCode: 404 });
+}
+
+function isNotFound(err) {
+    return err.code === 2 || err.code === 'ENOENT' || /no such file/i.test(err.message);
+}
+
+/**
+ * Stores archives on an SFTP server. A connection is opened per operation, so a dropped connection
+ * never wedges later backups.
+ * @param {Object} options - { host, port, username, password, privateKey, passphrase, path }.
+ * `privateKey` is a path to the key file; `path` is the remote directory archives are kept in.
+ * @returns {Object} The storage adapter.
+ */
+function createSFTPAdapter(options) {
+    if (!options.host || !options.username) {
+        throw new Error('SFTP archive storage needs a host and a username');
+    }
+
+    const root = (options.path || '.').replace(/\/$/, '');
+    const remotePath = (key) => path.posix.join(root, path.posix.normalize(key).replace(/^(\.\.\/)+/, ''));
+
+    async function connect() {
+        const sftp = new SftpClient();
+        await sftp.connect({
+            host: options.host,
+            port: options.port || 22,
+            username: options.username,
+            password: options.password,
+            privateKey: options.privateKey ? fs.readFileSync(options.privateKey) : undefined,
+            passphrase: options.passphrase
+        });
+        return sftp;
+    }
+
+    async function withConnection(fn) {
+        const sftp = await connect();
+        try {
+            return await fn(sftp);
+        } finally {
+            await sftp.end().catch(() => {});
+        }
+    }
+
+    return {
+        type: 'sftp',
+
+        upload(key, stream) {
+            const target = remotePath(key);
+            const temp = `${target}.partial`;
+            return withConnection(async (sftp) => {
+                await sftp.mkdir(path.posix.dirname(target), true);
+                try {
+                    await sftp.put(stream, temp);
+                    // posix-rename replaces an existing archive, which plain SFTP rename refuses to do
+                    await sftp.posixRename(temp, target);
+                } catch (err) {
+                    await sftp.delete(temp, true).catch(() => {});
+                    throw err;
+                }
+            });
+        },
+
+        list(prefix) {
+            return withConnection(async (sftp) => {
+                let entries;
+                try {
+                    entries = await sftp.list(remotePath(prefix));
+                } catch (err) {
+                    if (isNotFound(err)) return [];
+                    throw err;
+                }
+                return entries
+                    .filter(entry => entry.type === '-' && !entry.name.endsWith('.partial'))
+                    .map(entry => ({ name: entry.name, size: entry.size, lastModified: new Date(entry.modifyTime) }));
+            });
+        },
+
+        listBuckets() {
+            return withConnection(async (sftp) => {
+                try {
+                    return (await sftp.list(root)).filter(entry => entry.type === 'd').map(entry => entry.name);
+                } catch (err) {
+                    if (isNotFound(err)) return [];
+                    throw err;
+                }
+            });
+        },
+
+        stat(key) {
+            return withConnection(async (sftp) => {
+                try {
+                    const stats = await sftp.stat(remotePath(key));
+                    return { size: stats.size, lastModified: new Date(stats.modifyTime) };
+                } catch (err) {
+                    if (isNotFound(err)) throw notFound();
+                    throw err;
+                }
+            });
+        },
+
+        async download(key) {
+            const sftp = await connect();
+            try {
+                await sftp.stat(remotePath(key));
+            } catch (err) {
+                await sftp.end().catch(() => {});
+                if (isNotFound(err)) throw notFound();
+                throw err;
+            }
+
+            // The connection stays open until the caller is done with the stream
+            const stream = sftp.createReadStream(remotePath(key));
+            const end = () => sftp.end().catch(() => {});
+            stream.once('close', end);
+            stream.once('error', end);
+            return stream;
+        },
+
+        remove(key) {
+            return withConnection(async (sftp) => {
+                try {
+                    await sftp.delete(remotePath(key));
+                } catch (err) {
+                    if (isNotFound(err)) throw notFound();
+                    throw err;
+                }
+            });
+        }
+    };
+}
+
+module.exports = { createSFTPAdapter };
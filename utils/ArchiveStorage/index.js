@@ -0,0 +1,155 @@
+/**
+ * @fileoverview Chooses where the archives of an instance are stored. Destinations are declared in
+ * config.json under `archives.destinations` (name -> { type, ...options }), with `archives.destination`
+ * naming the node-wide default. An instance can be pointed at another destination through the API;
+ * that choice is stored in storage/destinations.json. Every adapter exposes the same interface:
+ * upload(key, stream), list(prefix), listBuckets(), stat(key), download(key) and remove(key), where keys
+ * are "<id>/<archiveName>".
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const CatLoggr = require('cat-loggr');
+const config = require('../../config.json');
+const { createDecryptStream, isEncryptedFile } = require('../ArchiveEncryption');
+
+const log = new CatLoggr();
+
+const destinationsFilePath = path.join(__dirname, '../../storage/destinations.json');
+const tmpPath = path.join(__dirname, '../../tmp');
+const archivesConfig = config.archives || {};
+const destinations = archivesConfig.destinations || { local: { type: 'local', path: 'archives' } };
+const defaultDestination = archivesConfig.destination || Object.keys(destinations)[0];
+
+// Adapters are required lazily so nodes that only use local storage don't need the S3 or SFTP clients
+const adapterFactories = {
+    local: (options) => require('./LocalAdapter').createLocalAdapter(options),
+    s3: (options) => require('./S3Adapter').createS3Adapter(options),
+    sftp: (options) => require('./SFTPAdapter').createSFTPAdapter(options)
+};
+
+const adapters = {};
+let selections = {};
+
+function loadSelections() {
+    try {
+        if (fs.existsSync(destinationsFilePath)) {
+            const data = fs.readFileSync(destinationsFilePath, 'utf8');
+            selections = data.trim() ? JSON.parse(data) : {};
+        }
+    } catch (err) {
+        log.error('Error reading archive destinations from JSON file:', err);
+        selections = {};
+    }
+}
+
+function getAdapter(name) {
+    if (!adapters[name]) {
+        const options = destinations[name];
+        if (!options || !adapterFactories[options.type]) {
+            throw new Error(`Archive destination ${name} is not configured`);
+        }
+        adapters[name] = adapterFactories[options.type](options);
+    }
+    return adapters[name];
+}
+
+/**
+ * @param {string} id - The archive bucket, usually the instance ID.
+ * @returns {string} The name of the destination the bucket's archives go to.
+ */
+function getDestinationName(id) {
+    return selections[id] && destinations[selections[id]] ? selections[id] : defaultDestination;
+}
+
+/**
+ * @param {string} id - The archive bucket, usually the instance ID.
+ * @returns {Object} The storage adapter of the bucket's destination.
+ */
+function getArchiveStorage(id) {
+    return getAdapter(getDestinationName(id));
+}
+
+/**
+ * Points a bucket at a configured destination, or back at the node-wide default when name is null.
+ * Archives already stored elsewhere are not moved.
+ * @param {string} id - The archive bucket.
+ * @param {string|null} name - The destination name.
+ */
+async function setDestination(id, name) {
+    if (name && !destinations[name]) {
+        throw Object.assign(new Error(`Unknown archive destination ${name}`), { statusCode: 400 });
+    }
+    if (name) {
+        selections[id] = name;
+    } else {
+        delete selections[id];
+    }
+    await fs.promises.writeFile(destinationsFilePath, JSON.stringify(selections, null, 2));
+}
+
+/**
+ * @returns {Object[]} The configured destinations, without their credentials.
+ */
+function listDestinations() {
+    return Object.entries(destinations).map(([name, options]) => ({
+        name,
+        type: options.type,
+        default: name === defaultDestination
+    }));
+}
+
+/**
+ * Lists every bucket together with the adapter holding it, across all destinations.
+ * @returns {Promise<Array<{id: string, storage: Object}>>} The buckets.
+ */
+async function listAllBuckets() {
+    const buckets = [];
+    for (const name of Object.keys(destinations)) {
+        const storage = getAdapter(name);
+        for (const id of await storage.listBuckets()) {
+            if (getDestinationName(id) === name) buckets.push({ id, storage });
+        }
+    }
+    return buckets;
+}
+
+/**
+ * Runs fn with a local, decrypted file holding the archive. Plain local archives are used in place;
+ * remote or encrypted ones are downloaded and decrypted to tmp/ first and removed afterwards.
+ * @param {string} id - The archive bucket.
+ * @param {string} archiveName - The archive file name.
+ * @param {Function} fn - Called with the local path of the archive.
+ * @param {Object} [options] - { requireEncrypted }, to refuse an archive that isn't encrypted.
+ * @returns {Promise<*>} Whatever fn returns.
+ */
+async function withLocalArchive(id, archiveName, fn, { requireEncrypted = false } = {}) {
+    const storage = getArchiveStorage(id);
+    const key = `${id}/${archiveName}`;
+    await storage.stat(key);
+    if (storage.localPath && !requireEncrypted && !(await isEncryptedFile(storage.localPath(key)))) {
+        return fn(storage.localPath(key));
+    }
+
+    await fs.promises.mkdir(tmpPath, { recursive: true });
+    const localPath = path.join(tmpPath, `download-${crypto.randomBytes(6).toString('hex')}${path.extname(archiveName)}`);
+    try {
+        await pipeline(await storage.download(key), createDecryptStream({ requireEncrypted }), fs.createWriteStream(localPath));
+        return await fn(localPath);
+    } finally {
+        await fs.promises.rm(localPath, { force: true });
+    }
+}
+
+loadSelections();
+
+module.exports = {
+    getArchiveStorage,
+    getDestinationName,
+    setDestination,
+    listDestinations,
+    listAllBuckets,
+    withLocalArchive
+};
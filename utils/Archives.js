@@ -0,0 +1,239 @@
+const path = require('path');
+const { Readable, pipeline } = require('stream');
+const { getArchiveStorage } = require('./ArchiveStorage');
+const { formatExtension, writeArchive } = require('./ArchiveFormats');
+const { getActiveKeyId, describeEncryption, createEncryptStream, createMetadata, createDecryptStream } = require('./ArchiveEncryption');
+
+const volumesPath = path.join(__dirname, '../volumes');
+
+// Archives being written, downloaded or rolled back to, keyed "<id>/<archiveName>" with a use count
+const lockedArchives = new Map();
+
+/**
+ * Marks an archive as in use so it can't be pruned or deleted until the returned function is called.
+ * @param {string} id - The archive bucket.
+ * @param {string} archiveName - The archive file name.
+ * @returns {Function} Releases the lock; calling it more than once is harmless.
+ */
+function lockArchive(id, archiveName) {
+    const key = `${id}/${archiveName}`;
+    lockedArchives.set(key, (lockedArchives.get(key) || 0) + 1);
+
+    let released = false;
+    return () => {
+        if (released) return;
+        released = true;
+        const count = lockedArchives.get(key) - 1;
+        if (count > 0) {
+            lockedArchives.set(key, count);
+        } else {
+            lockedArchives.delete(key);
+        }
+    };
+}
+
+/**
+ * @param {string} id - The archive bucket.
+ * @param {string} archiveName - The archive file name.
+ * @returns {boolean} Whether the archive is currently in use.
+ */
+function isArchiveLocked(id, archiveName) {
+    return lockedArchives.has(`${id}/${archiveName}`);
+}
+
+const metadataSuffix = '.meta.json';
+
+/**
+ * When an archive was created, from the timestamp in its name. Storage modification times can't be
+ * used, as re-encrypting an archive rewrites it.
+ * @param {string} archiveName - The archive file name.
+ * @returns {Date|null} The creation time, or null if the name carries none.
+ */
+function archiveCreatedAt(archiveName) {
+    const match = /(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z/.exec(archiveName);
+    if (!match) return null;
+    const date = new Date(`${match[1]}T${match[2]}:${match[3]}:${match[4]}.${match[5]}Z`);
+    return isNaN(date) ? null : date;
+}
+
+/**
+ * Lists the archives of a bucket, newest first.
+ * @param {string} id - The archive bucket.
+ * @returns {Promise<Object[]>} The archives with their name, size in bytes, creation time and whether
+ * they are encrypted.
+ */
+async function listArchives(id) {
+    const objects = await getArchiveStorage(id).list(id);
+    const sidecars = new Set(objects.filter(object => object.name.endsWith(metadataSuffix)).map(object => object.name));
+
+    const archives = objects
+        .filter(object => !object.name.endsWith(metadataSuffix))
+        .map(object => ({
+            name: object.name,
+            size: object.size,
+            createdAt: archiveCreatedAt(object.name) || new Date(object.lastModified),
+            encrypted: sidecars.has(object.name + metadataSuffix)
+        }));
+    return archives.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Reads the sidecar metadata of an archive.
+ * @param {string} id - The archive bucket.
+ * @param {string} archiveName - The archive file name.
+ * @returns {Promise<Object|null>} The metadata, or null for archives stored without one (plain archives).
+ */
+async function readArchiveMetadata(id, archiveName) {
+    try {
+        const chunks = [];
+        for await (const chunk of await getArchiveStorage(id).download(`${id}/${archiveName}${metadataSuffix}`)) {
+            chunks.push(chunk);
+        }
+        return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch (err) {
+        if (err.statusCode === 404) return null;
+        throw err;
+    }
+}
+
+async function writeArchiveMetadata(id, archiveName, metadata) {
+    const storage = getArchiveStorage(id);
+    const key = `${id}/${archiveName}${metadataSuffix}`;
+    if (metadata) {
+        await storage.upload(key, Readable.from([Buffer.from(JSON.stringify(metadata, null, 2))]));
+    } else {
+        await storage.remove(key).catch(err => {
+            if (err.statusCode !== 404) throw err;
+        });
+    }
+}
+
+/**
+ * Uploads an archive stream to the bucket's storage, encrypting it with the given key if there is one,
+ * and writes or clears its sidecar metadata to match.
+ */
+async function storeArchive(id, archiveName, source, keyId) {
+    const body = keyId ? pipeline(source, createEncryptStream(keyId), () => {}) : source;
+    await getArchiveStorage(id).upload(`${id}/${archiveName}`, body);
+    await writeArchiveMetadata(id, archiveName, keyId ? createMetadata(keyId) : null);
+}
+
+/**
+ * Creates an archive of a volume and streams it to the bucket's storage destination, encrypted when
+ * the bucket has an encryption key.
+ * @param {string} id - The archive bucket, usually the instance ID.
+ * @param {string} volumeId - The volume to archive.
+ * @param {Object} [options] - Archive options.
+ * @param {string} [options.format] - zip (default), tar.gz or tar.zst.
+ * @param {string[]} [options.include] - Only archive paths matching these globs.
+ * @param {string[]} [options.exclude] - Skip paths matching these globs, e.g. ["logs", "cache/**"].
+ * @param {string} [options.label] - Added to the archive name, e.g. "pre-rollback".
+ * @returns {Promise<string>} The name of the created archive.
+ */
+async function createArchive(id, volumeId, { format = 'zip', include, exclude, label } = {}) {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const archiveName = `${label ? `${id}-${label}` : id}-${timestamp}${formatExtension(format)}`;
+    const release = lockArchive(id, archiveName);
+
+    try {
+        const archive = writeArchive(path.join(volumesPath, volumeId), format, { include, exclude });
+        await storeArchive(id, archiveName, archive, await getActiveKeyId(id));
+    } catch (err) {
+        await deleteArchive(id, archiveName).catch(() => {});
+        throw err;
+    } finally {
+        release();
+    }
+
+    return archiveName;
+}
+
+/**
+ * Whether an archive has to be read as encrypted: its sidecar says it is, or its bucket encrypts its
+ * archives. A plain archive found there anyway was made before encryption was enabled or swapped in,
+ * and is only read when re-encrypting it.
+ * @param {string} id - The archive bucket.
+ * @param {string} archiveName - The archive file name.
+ * @param {Object} [options] - { allowPlain }, to accept a plain archive without an encrypted sidecar.
+ * @returns {Promise<boolean>} Whether a plain archive must be refused.
+ */
+async function isEncryptionRequired(id, archiveName, { allowPlain = false } = {}) {
+    const metadata = await readArchiveMetadata(id, archiveName);
+    if (metadata && metadata.encrypted) return true;
+    return !allowPlain && describeEncryption(id).enabled;
+}
+
+/**
+ * Opens an archive for reading, decrypting it if it is encrypted.
+ * @param {string} id - The archive bucket.
+ * @param {string} archiveName - The archive file name.
+ * @param {Object} [options] - { allowPlain }, see isEncryptionRequired.
+ * @returns {Promise<Readable>} The plain archive, which errors if it should have been encrypted.
+ * @throws {Error} With statusCode 404 if the archive doesn't exist.
+ */
+async function openArchive(id, archiveName, { allowPlain = false } = {}) {
+    const requireEncrypted = await isEncryptionRequired(id, archiveName, { allowPlain });
+    const stream = await getArchiveStorage(id).download(`${id}/${archiveName}`);
+    return pipeline(stream, createDecryptStream({ requireEncrypted }), () => {});
+}
+
+/**
+ * Deletes an archive and its sidecar metadata.
+ * @param {string} id - The archive bucket.
+ * @param {string} archiveName - The archive file name.
+ * @throws {Error} With statusCode 404 if the archive doesn't exist.
+ */
+async function deleteArchive(id, archiveName) {
+    await getArchiveStorage(id).remove(`${id}/${archiveName}`);
+    await writeArchiveMetadata(id, archiveName, null);
+}
+
+/**
+ * Re-encrypts every archive of a bucket that isn't encrypted with the bucket's active key, plain
+ * archives included. Each archive is replaced in a single upload, so an interrupted run can simply be
+ * started again.
+ * @param {string} id - The archive bucket.
+ * @param {Function} [onProgress] - Called with (archiveName, done, total) after each archive.
+ * @returns {Promise<{reencrypted: string[], skipped: string[]}>} The archives that were rewritten, and
+ * the ones that were in use or already on the active key.
+ */
+async function reencryptArchives(id, onProgress = () => {}) {
+    const keyId = await getActiveKeyId(id);
+    if (!keyId) {
+        throw Object.assign(new Error('Encryption is not enabled for these archives'), { statusCode: 400 });
+    }
+
+    const archives = await listArchives(id);
+    const reencrypted = [];
+    const skipped = [];
+
+    for (const [index, archive] of archives.entries()) {
+        const metadata = await readArchiveMetadata(id, archive.name);
+        if ((metadata && metadata.keyId === keyId) || isArchiveLocked(id, archive.name)) {
+            skipped.push(archive.name);
+        } else {
+            const release = lockArchive(id, archive.name);
+            try {
+                await storeArchive(id, archive.name, await openArchive(id, archive.name, { allowPlain: true }), keyId);
+                reencrypted.push(archive.name);
+            } finally {
+                release();
+            }
+        }
+        onProgress(archive.name, index + 1, archives.length);
+    }
+
+    return { reencrypted, skipped };
+}
+
+module.exports = {
+    createArchive,
+    listArchives,
+    readArchiveMetadata,
+    isEncryptionRequired,
+    openArchive,
+    deleteArchive,
+    reencryptArchives,
+    lockArchive,
+    isArchiveLocked
+};
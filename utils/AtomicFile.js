@@ -0,0 +1,90 @@
+/**
+ * @fileoverview Atomic, versioned writes for files edited through the panel. A file's version is the
+ * SHA-256 of its content; a write can name the version it was based on and is refused with a 409 if
+ * the file has changed since, whether through another panel tab or the server itself. The new content
+ * is written to a temp file next to the original, synced, given the original's mode and ownership and
+ * renamed over it, so a crash mid-write leaves either the old file or the new one, never a truncated one.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const locks = new Map();
+
+/**
+ * @param {Buffer} data - File content.
+ * @returns {string} The version token of the content.
+ */
+function contentVersion(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+// Serializes writes to the same file within the daemon so the version check and the rename can't interleave
+function withFileLock(filePath, task) {
+    const previous = locks.get(filePath) || Promise.resolve();
+    const run = previous.then(task);
+    const tail = run.catch(() => {});
+    locks.set(filePath, tail);
+    tail.then(() => {
+        if (locks.get(filePath) === tail) locks.delete(filePath);
+    });
+    return run;
+}
+
+/**
+ * Atomically replaces (or creates) a file.
+ * @param {string} filePath - The file to write.
+ * @param {Buffer} data - The new content.
+ * @param {Object} [options] - Write options.
+ * @param {string} [options.expectedVersion] - The version the new content is based on. The write is
+ * refused if the file's current content has a different version or the file no longer exists.
+ * @returns {Promise<string>} The version of the new content.
+ * @throws {Error} With statusCode 409 and `currentVersion` (null if the file is gone) on a stale write.
+ */
+function writeFileAtomic(filePath, data, { expectedVersion } = {}) {
+    return withFileLock(filePath, async () => {
+        let stats = null;
+        try {
+            stats = await fs.promises.stat(filePath);
+        } catch (err) {
+            if (err.code !== 'ENOENT') throw err;
+        }
+
+        if (expectedVersion !== undefined) {
+            const currentVersion = stats ? contentVersion(await fs.promises.readFile(filePath)) : null;
+            if (currentVersion !== expectedVersion) {
+                const error = new Error(stats ? 'File was changed since it was opened' : 'File was deleted since it was opened');
+                error.statusCode = 409;
+                error.currentVersion = currentVersion;
+                throw error;
+            }
+        }
+
+        const tempPath = path.join(path.dirname(filePath), `.${path.basename(filePath)}.${crypto.randomBytes(6).toString('hex')}.tmp`);
+        try {
+            const handle = await fs.promises.open(tempPath, 'wx', stats ? stats.mode & 0o7777 : 0o666);
+            try {
+                await handle.writeFile(data);
+                await handle.sync();
+                if (stats) {
+                    // The mode passed to open is masked by the umask, so set it explicitly
+                    await handle.chmod(stats.mode & 0o7777);
+                    await handle.chown(stats.uid, stats.gid).catch((err) => {
+                        if (err.code !== 'EPERM') throw err;
+                    });
+                }
+            } finally {
+                await handle.close();
+            }
+            await fs.promises.rename(tempPath, filePath);
+        } catch (err) {
+            await fs.promises.rm(tempPath, { force: true });
+            throw err;
+        }
+
+        return contentVersion(data);
+    });
+}
+
+module.exports = { contentVersion, writeFileAtomic };
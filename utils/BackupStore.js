@@ -0,0 +1,391 @@
+/**
+ * @fileoverview Content-addressed, deduplicated backup store. Files are split into fixed-size chunks that
+ * are stored once under their SHA-256 hash in backups/<id>/chunks, compressed with a light zlib level.
+ * Each snapshot is a manifest in backups/<id>/snapshots listing the tree (directories, files and symlinks
+ * with their mode and mtime) and the chunks making up each file. Snapshots are incremental: a file whose
+ * size and mtime match the previous snapshot reuses its chunk list without being read again.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const CatLoggr = require('cat-loggr');
+const config = require('../config.json');
+const { createStagingDirectory, swapVolume } = require('./VolumeSwap');
+
+const log = new CatLoggr();
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const backupsPath = path.join(__dirname, '../backups');
+const volumesPath = path.join(__dirname, '../volumes');
+const backupConfig = config.backups || {};
+const chunkSize = (backupConfig.chunkSizeMb || 4) * 1024 * 1024;
+const compressionLevel = backupConfig.compressionLevel !== undefined ? backupConfig.compressionLevel : 3;
+
+// One operation at a time per store, so pruning never collects chunks a running snapshot relies on
+const locks = {};
+
+function withStoreLock(id, fn) {
+    const previous = locks[id] || Promise.resolve();
+    const current = previous.catch(() => {}).then(fn);
+    locks[id] = current.finally(() => {
+        if (locks[id] === current) delete locks[id];
+    });
+    return current;
+}
+
+const storePath = (id) => path.join(backupsPath, id);
+const snapshotsPath = (id) => path.join(storePath(id), 'snapshots');
+const chunkPath = (id, hash) => path.join(storePath(id), 'chunks', hash.substring(0, 2), hash);
+
+function notFound(message) {
+    return Object.assign(new Error(message), { statusCode: 404 });
+}
+
+async function readSnapshot(id, snapshotId) {
+    if (!/^[\w-]+$/.test(snapshotId)) {
+        throw notFound('Snapshot not found');
+    }
+    try {
+        return JSON.parse(await fs.promises.readFile(path.join(snapshotsPath(id), `${snapshotId}.json`), 'utf8'));
+    } catch (err) {
+        if (err.code === 'ENOENT') throw notFound('Snapshot not found');
+        throw err;
+    }
+}
+
+async function readAllSnapshots(id) {
+    let files;
+    try {
+        files = await fs.promises.readdir(snapshotsPath(id));
+    } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+    }
+
+    const snapshots = await Promise.all(files
+        .filter(file => file.endsWith('.json'))
+        .map(file => readSnapshot(id, path.basename(file, '.json'))));
+    return snapshots.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+}
+
+function summarize(snapshot) {
+    const { entries, ...summary } = snapshot;
+    return summary;
+}
+
+/**
+ * Stores a chunk unless a chunk with the same hash is already there.
+ * @returns {Promise<boolean>} Whether the chunk was new.
+ */
+async function storeChunk(id, hash, data) {
+    const target = chunkPath(id, hash);
+    try {
+        await fs.promises.access(target);
+        return false;
+    } catch (err) {
+        // Not stored yet
+    }
+
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    const temp = `${target}.${process.pid}.tmp`;
+    await fs.promises.writeFile(temp, await gzip(data, { level: compressionLevel }));
+    await fs.promises.rename(temp, target);
+    return true;
+}
+
+async function loadChunk(id, hash) {
+    const data = await gunzip(await fs.promises.readFile(chunkPath(id, hash)));
+    if (crypto.createHash('sha256').update(data).digest('hex') !== hash) {
+        throw new Error(`Chunk ${hash} is corrupt`);
+    }
+    return data;
+}
+
+async function chunkFile(id, filePath) {
+    const handle = await fs.promises.open(filePath, 'r');
+    const buffer = Buffer.alloc(chunkSize);
+    const chunks = [];
+    let newChunks = 0;
+    let newBytes = 0;
+
+    try {
+        while (true) {
+            const { bytesRead } = await handle.read(buffer, 0, chunkSize, null);
+            if (bytesRead === 0) break;
+
+            const data = buffer.subarray(0, bytesRead);
+            const hash = crypto.createHash('sha256').update(data).digest('hex');
+            if (await storeChunk(id, hash, data)) {
+                newChunks++;
+                newBytes += bytesRead;
+            }
+            chunks.push(hash);
+        }
+    } finally {
+        await handle.close();
+    }
+
+    return { chunks, newChunks, newBytes };
+}
+
+/**
+ * Walks a volume, yielding every entry with its path relative to the volume root.
+ * Symlinks are recorded as links and never followed.
+ */
+async function* walk(root, relative = '') {
+    let entries;
+    try {
+        entries = await fs.promises.readdir(path.join(root, relative), { withFileTypes: true });
+    } catch (err) {
+        // A directory removed by the running server while walking
+        if (err.code === 'ENOENT' && relative) return;
+        throw err;
+    }
+    for (const entry of entries) {
+        const entryPath = path.posix.join(relative, entry.name);
+        yield entryPath;
+        if (entry.isDirectory()) {
+            yield* walk(root, entryPath);
+        }
+    }
+}
+
+/**
+ * Creates a snapshot of a volume.
+ * @param {string} id - The backup store, usually the instance ID.
+ * @param {string} volumeId - The volume to snapshot.
+ * @returns {Promise<Object>} The snapshot summary, including how much new data was stored.
+ */
+function createSnapshot(id, volumeId) {
+    return withStoreLock(id, async () => {
+        const volumePath = path.join(volumesPath, volumeId);
+        const previousSnapshots = await readAllSnapshots(id);
+        const parent = previousSnapshots[previousSnapshots.length - 1];
+        const previousFiles = new Map((parent ? parent.entries : [])
+            .filter(entry => entry.type === 'file')
+            .map(entry => [entry.path, entry]));
+
+        const createdAt = new Date();
+        const snapshot = {
+            id: `${createdAt.toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(3).toString('hex')}`,
+            volumeId,
+            parent: parent ? parent.id : null,
+            createdAt: createdAt.toISOString(),
+            stats: { files: 0, directories: 0, symlinks: 0, bytes: 0, reusedFiles: 0, newChunks: 0, newBytes: 0 },
+            entries: []
+        };
+
+        for await (const relativePath of walk(volumePath)) {
+            try {
+                const fullPath = path.join(volumePath, relativePath);
+                const stats = await fs.promises.lstat(fullPath);
+                const base = { path: relativePath, mode: stats.mode & 0o7777, mtime: stats.mtimeMs };
+
+                if (stats.isDirectory()) {
+                    snapshot.entries.push({ ...base, type: 'directory' });
+                    snapshot.stats.directories++;
+                } else if (stats.isSymbolicLink()) {
+                    snapshot.entries.push({ ...base, type: 'symlink', target: await fs.promises.readlink(fullPath) });
+                    snapshot.stats.symlinks++;
+                } else if (stats.isFile()) {
+                    const previous = previousFiles.get(relativePath);
+                    let chunks;
+                    if (previous && previous.size === stats.size && previous.mtime === stats.mtimeMs) {
+                        chunks = previous.chunks;
+                        snapshot.stats.reusedFiles++;
+                    } else {
+                        const result = await chunkFile(id, fullPath);
+                        chunks = result.chunks;
+                        snapshot.stats.newChunks += result.newChunks;
+                        snapshot.stats.newBytes += result.newBytes;
+                    }
+                    snapshot.entries.push({ ...base, type: 'file', size: stats.size, chunks });
+                    snapshot.stats.files++;
+                    snapshot.stats.bytes += stats.size;
+                }
+            } catch (err) {
+                // Files the running server deletes mid-walk are left out of the snapshot
+                if (err.code !== 'ENOENT') throw err;
+            }
+        }
+
+        await fs.promises.mkdir(snapshotsPath(id), { recursive: true });
+        const manifestPath = path.join(snapshotsPath(id), `${snapshot.id}.json`);
+        await fs.promises.writeFile(`${manifestPath}.tmp`, JSON.stringify(snapshot));
+        await fs.promises.rename(`${manifestPath}.tmp`, manifestPath);
+
+        log.info(`Snapshot ${snapshot.id} of ${volumeId} created (${snapshot.stats.newChunks} new chunks)`);
+        return summarize(snapshot);
+    });
+}
+
+/**
+ * Lists the snapshots of a store, oldest first, without their file entries.
+ * @param {string} id - The backup store.
+ * @returns {Promise<Object[]>} The snapshot summaries.
+ */
+async function listSnapshots(id) {
+    return (await readAllSnapshots(id)).map(summarize);
+}
+
+/**
+ * @param {string} id - The backup store.
+ * @param {string} snapshotId - The snapshot identifier.
+ * @returns {Promise<number>} The total size in bytes of the files in the snapshot.
+ */
+async function getSnapshotSize(id, snapshotId) {
+    return (await readSnapshot(id, snapshotId)).stats.bytes;
+}
+
+/**
+ * Rebuilds the exact tree of a snapshot into an empty directory.
+ * @param {string} id - The backup store.
+ * @param {Object} snapshot - The snapshot manifest.
+ * @param {string} target - The directory to rebuild the tree in.
+ */
+async function rebuildTree(id, snapshot, target) {
+    await fs.promises.mkdir(target, { recursive: true });
+
+    for (const entry of snapshot.entries) {
+        const entryPath = path.join(target, entry.path);
+        if (!path.resolve(entryPath).startsWith(path.resolve(target) + path.sep)) {
+            throw new Error(`Snapshot entry ${entry.path} points outside of the volume`);
+        }
+
+        if (entry.type === 'directory') {
+            await fs.promises.mkdir(entryPath, { recursive: true });
+        } else if (entry.type === 'symlink') {
+            await fs.promises.symlink(entry.target, entryPath);
+        } else {
+            const handle = await fs.promises.open(entryPath, 'w');
+            try {
+                for (const hash of entry.chunks) {
+                    await handle.write(await loadChunk(id, hash));
+                }
+            } finally {
+                await handle.close();
+            }
+        }
+    }
+
+    // Modes and times last, deepest first, so restoring files doesn't bump directory mtimes again
+    for (const entry of [...snapshot.entries].reverse()) {
+        if (entry.type === 'symlink') continue;
+        const entryPath = path.join(target, entry.path);
+        await fs.promises.chmod(entryPath, entry.mode);
+        await fs.promises.utimes(entryPath, new Date(entry.mtime), new Date(entry.mtime));
+    }
+}
+
+/**
+ * Restores a volume to the exact state of a snapshot. The tree is rebuilt in a staging directory first
+ * and only swapped in once every chunk has been read back and verified, so a failed restore leaves the
+ * volume untouched.
+ * @param {string} id - The backup store.
+ * @param {string} volumeId - The volume to restore.
+ * @param {string} snapshotId - The snapshot to restore.
+ */
+function restoreSnapshot(id, volumeId, snapshotId) {
+    return withStoreLock(id, async () => {
+        const snapshot = await readSnapshot(id, snapshotId);
+        const stagingPath = await createStagingDirectory(volumeId, 'restore');
+        try {
+            await rebuildTree(id, snapshot, stagingPath);
+        } catch (err) {
+            await fs.promises.rm(stagingPath, { recursive: true, force: true });
+            throw err;
+        }
+        await swapVolume(volumeId, stagingPath);
+
+        log.info(`Volume ${volumeId} restored from snapshot ${snapshotId}`);
+        return summarize(snapshot);
+    });
+}
+
+/**
+ * Deletes snapshots and garbage-collects the chunks no remaining snapshot references.
+ * @param {string} id - The backup store.
+ * @param {Object} options - Either { snapshots: [ids] } or { keepLast: n }.
+ * @returns {Promise<Object>} The deleted snapshot IDs and the number of chunks and bytes freed.
+ */
+function pruneSnapshots(id, { snapshots: snapshotIds, keepLast } = {}) {
+    return withStoreLock(id, async () => {
+        const snapshots = await readAllSnapshots(id);
+        let doomed = [];
+        if (Array.isArray(snapshotIds)) {
+            doomed = snapshots.filter(snapshot => snapshotIds.includes(snapshot.id));
+        } else if (Number.isInteger(keepLast) && keepLast >= 0) {
+            doomed = snapshots.slice(0, Math.max(0, snapshots.length - keepLast));
+        }
+
+        for (const snapshot of doomed) {
+            await fs.promises.unlink(path.join(snapshotsPath(id), `${snapshot.id}.json`));
+        }
+
+        const referenced = new Set();
+        snapshots
+            .filter(snapshot => !doomed.includes(snapshot))
+            .forEach(snapshot => snapshot.entries.forEach(entry => (entry.chunks || []).forEach(hash => referenced.add(hash))));
+
+        let freedChunks = 0;
+        let freedBytes = 0;
+        const chunksRoot = path.join(storePath(id), 'chunks');
+        const prefixes = await fs.promises.readdir(chunksRoot).catch(() => []);
+        for (const prefix of prefixes) {
+            for (const file of await fs.promises.readdir(path.join(chunksRoot, prefix))) {
+                if (referenced.has(file)) continue;
+                const filePath = path.join(chunksRoot, prefix, file);
+                freedBytes += (await fs.promises.stat(filePath)).size;
+                await fs.promises.unlink(filePath);
+                freedChunks++;
+            }
+        }
+
+        return { deleted: doomed.map(snapshot => snapshot.id), freedChunks, freedBytes };
+    });
+}
+
+/**
+ * Checks that every chunk referenced by the given snapshots exists and matches its hash.
+ * @param {string} id - The backup store.
+ * @param {string} [snapshotId] - Only verify this snapshot; all snapshots otherwise.
+ * @returns {Promise<Object>} The verification report: checked chunks and any missing or corrupt ones.
+ */
+function verifySnapshots(id, snapshotId) {
+    return withStoreLock(id, async () => {
+        const snapshots = snapshotId ? [await readSnapshot(id, snapshotId)] : await readAllSnapshots(id);
+        const hashes = new Set();
+        snapshots.forEach(snapshot => snapshot.entries.forEach(entry => (entry.chunks || []).forEach(hash => hashes.add(hash))));
+
+        const missing = [];
+        const corrupt = [];
+        for (const hash of hashes) {
+            try {
+                await loadChunk(id, hash);
+            } catch (err) {
+                (err.code === 'ENOENT' ? missing : corrupt).push(hash);
+            }
+        }
+
+        return {
+            snapshots: snapshots.map(snapshot => snapshot.id),
+            checkedChunks: hashes.size,
+            missing,
+            corrupt,
+            ok: missing.length === 0 && corrupt.length === 0
+        };
+    });
+}
+
+module.exports = {
+    createSnapshot,
+    listSnapshots,
+    getSnapshotSize,
+    restoreSnapshot,
+    pruneSnapshots,
+    verifySnapshots
+};
@@ -0,0 +1,242 @@
+/**
+ * @fileoverview Console sessions. Every container has at most one attach stream, shared by everyone
+ * looking at its console and by anything sending it commands (schedules, the API). Stdin writes go onto
+ * that stream and its output is demultiplexed and handed to every viewer. The stream is opened when the
+ * first user arrives and closed when the last one leaves; while it is in use, the container's start
+ * events are watched so the console reattaches by itself after a restart.
+ */
+
+const { EventEmitter } = require('events');
+const Docker = require('dockerode');
+const CatLoggr = require('cat-loggr');
+
+const log = new CatLoggr();
+const docker = new Docker({ socketPath: process.env.dockerSocket });
+
+const sessions = new Map();
+
+/**
+ * Splits Docker's multiplexed stdout/stderr framing (8-byte header, then the payload) back into plain
+ * output. Frames may be cut across chunks, so partial frames are buffered.
+ * @param {Function} onData - Called with each payload and the name of the stream it came from.
+ * @returns {Function} Feed it the raw chunks.
+ */
+function createDemuxer(onData) {
+    let buffered = Buffer.alloc(0);
+    return (chunk) => {
+        buffered = buffered.length ? Buffer.concat([buffered, chunk]) : chunk;
+        while (buffered.length >= 8) {
+            const size = buffered.readUInt32BE(4);
+            if (buffered.length < 8 + size) break;
+            onData(buffered.subarray(8, 8 + size), buffered[0] === 2 ? 'stderr' : 'stdout');
+            buffered = buffered.subarray(8 + size);
+        }
+    };
+}
+
+function notRunningError() {
+    return Object.assign(new Error('Container is not running'), { statusCode: 409 });
+}
+
+function createSession(containerId) {
+    const container = docker.getContainer(containerId);
+    const events = new EventEmitter();
+    let stream = null;
+    let attaching = null;
+    let eventStream = null;
+    let users = 0;
+
+    events.setMaxListeners(0);
+
+    function attach() {
+        if (stream) return Promise.resolve(stream);
+        if (attaching) return attaching;
+
+        attaching = (async () => {
+            const { Config, State } = await container.inspect();
+            if (!State.Running) throw notRunningError();
+
+            const attached = await container.attach({ stream: true, stdin: true, stdout: true, stderr: true, hijack: true });
+            const onData = Config.Tty ? data => events.emit('output', data, 'stdout') : createDemuxer((data, source) => events.emit('output', data, source));
+
+            attached.on('data', onData);
+            attached.on('error', (err) => {
+                log.error(`Attach stream error for ${containerId}:`, err.message);
+            });
+            attached.on('close', () => {
+                if (stream === attached) {
+                    stream = null;
+                    events.emit('detached');
+                }
+            });
+
+            // The session may have been closed while we were attaching
+            if (users === 0) {
+                attached.destroy();
+                throw new Error('Console session closed');
+            }
+            stream = attached;
+            return attached;
+        })().finally(() => {
+            attaching = null;
+        });
+        return attaching;
+    }
+
+    async function watchRestarts() {
+        try {
+            eventStream = await docker.getEvents({
+                filters: JSON.stringify({ type: ['container'], container: [containerId], event: ['start'] })
+            });
+        } catch (err) {
+            log.error(`Failed to watch events of ${containerId}:`, err.message);
+            return;
+        }
+
+        if (users === 0) {
+            eventStream.destroy();
+            eventStream = null;
+            return;
+        }
+        eventStream.on('data', () => {
+            attach().then(() => events.emit('attached'), () => {});
+        });
+        eventStream.on('error', () => {});
+    }
+
+    function acquire() {
+        users++;
+        if (users === 1) watchRestarts();
+
+        let released = false;
+        return () => {
+            if (released) return;
+            released = true;
+            users--;
+            if (users > 0) return;
+
+            sessions.delete(containerId);
+            if (eventStream) {
+                eventStream.destroy();
+                eventStream = null;
+            }
+            if (stream) {
+                stream.end();
+                stream.destroy();
+                stream = null;
+            }
+        };
+    }
+
+    async function write(data) {
+        const attached = await attach();
+        await new Promise((resolve, reject) => {
+            attached.write(data, err => err ? reject(err) : resolve());
+        });
+    }
+
+    async function history(tail) {
+        const { Config } = await container.inspect();
+        const logs = await container.logs({ stdout: true, stderr: true, follow: false, tail });
+        if (Config.Tty) return Buffer.from(logs);
+
+        const chunks = [];
+        createDemuxer(data => chunks.push(data))(Buffer.from(logs));
+        return Buffer.concat(chunks);
+    }
+
+    return { events, attach, acquire, write, history };
+}
+
+function getSession(containerId) {
+    if (!sessions.has(containerId)) {
+        sessions.set(containerId, createSession(containerId));
+    }
+    return sessions.get(containerId);
+}
+
+/**
+ * Opens a console on a container for one viewer. The viewer gets the last lines of output first, then
+ * live output from the shared attach stream, including after the container restarts.
+ * @param {string} containerId - The container.
+ * @param {Object} handlers - Callbacks for the viewer.
+ * @param {Function} handlers.onOutput - Called with every chunk of output (a Buffer) and its stream name.
+ * @param {Function} [handlers.onStatus] - Called with "attached" or "detached".
+ * @param {Object} [options] - { tail: number of past lines to send first, default 25; history: an async
+ * function returning those lines as a Buffer, in place of the container's own logs }.
+ * @returns {Promise<Object>} { write(data), close() }; write rejects with statusCode 409 if the
+ * container isn't running.
+ */
+async function openConsole(containerId, { onOutput, onStatus = () => {} }, { tail = 25, history } = {}) {
+    const session = getSession(containerId);
+    const release = session.acquire();
+    // Live output is held back until the history has been sent, so it arrives in order
+    let pending = [];
+    const onLive = (data, source) => pending ? pending.push([data, source]) : onOutput(data, source);
+    const onAttached = () => onStatus('attached');
+    const onDetached = () => onStatus('detached');
+
+    session.events.on('output', onLive);
+    session.events.on('attached', onAttached);
+    session.events.on('detached', onDetached);
+
+    const close = () => {
+        session.events.off('output', onLive);
+        session.events.off('attached', onAttached);
+        session.events.off('detached', onDetached);
+        release();
+    };
+
+    try {
+        await session.attach().catch((err) => {
+            if (err.statusCode !== 409) throw err;
+        });
+        if (tail > 0) {
+            const past = (history && await history(tail)) || await session.history(tail);
+            if (past.length) onOutput(past, 'history');
+        }
+        pending.forEach(([data, source]) => onOutput(data, source));
+        pending = null;
+    } catch (err) {
+        close();
+        throw err;
+    }
+
+    return {
+        write: data => session.write(data),
+        close
+    };
+}
+
+/**
+ * Sends a command to the main process of a container by writing it to the container's stdin, through
+ * the console session's attach stream (opened just for this write if nobody is viewing the console).
+ * @param {Object} container - The Dockerode container.
+ * @param {string} command - The console command, without trailing newline.
+ * @returns {Promise<void>} Resolves once the command has been written.
+ * @throws {Error} With statusCode 409 if the container isn't running.
+ */
+async function sendCommand(container, command) {
+    const session = getSession(container.id);
+    const release = session.acquire();
+    try {
+        await session.write(command + '\n');
+    } finally {
+        release();
+    }
+}
+
+/**
+ * Shows a daemon notice (such as the phases of a stop) to everyone viewing a container's console.
+ * @param {string[]} containerIds - The container's ID and names, as viewers may have used any of them.
+ * @param {string} text - The notice.
+ */
+function notifyConsole(containerIds, text) {
+    const line = Buffer.from(`\r\n\u001b[33m[skyportd] \x1b[0m${text}\r\n`);
+    new Set(containerIds).forEach((containerId) => {
+        const session = sessions.get(containerId);
+        if (session) session.events.emit('output', line, 'daemon');
+    });
+}
+
+module.exports = { openConsole, sendCommand, notifyConsole, createDemuxer };
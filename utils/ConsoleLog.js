@@ -0,0 +1,352 @@
+/**
+ * @fileoverview Console log recorder. The output of every instance is followed from Docker and appended
+ * to rotating files under storage/logs/<volumeId>/, so the console history outlives the container: it
+ * survives edits, redeploys and reinstalls, which all recreate the container of a volume.
+ *
+ * Each line is stored as "<timestamp> <text>", with Docker's timestamp normalized to nanosecond
+ * precision so that timestamps compare as plain strings. console.log is the file being written;
+ * when it grows past `consoleLogs.maxFileSizeMb` it is renamed to console-<time>.log and only the
+ * newest `consoleLogs.maxFiles` rotated files are kept.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { StringDecoder } = require('string_decoder');
+const Docker = require('dockerode');
+const CatLoggr = require('cat-loggr');
+const config = require('../config.json');
+const { createDemuxer } = require('./Console');
+const { createRegexMatcher } = require('./RegexMatcher');
+
+const log = new CatLoggr();
+const docker = new Docker({ socketPath: process.env.dockerSocket });
+
+const logsPath = path.join(__dirname, '../storage/logs');
+const logsConfig = config.consoleLogs || {};
+const MB = 1024 * 1024;
+const maxFileSize = (logsConfig.maxFileSizeMb || 10) * MB;
+const maxFiles = logsConfig.maxFiles || 5;
+const maxLines = 5000;
+const batchSize = 500;
+const volumeLabel = 'skyport.volume';
+
+// Containers being followed, by container ID
+const following = new Map();
+// Per-volume write chains, so appends and rotations don't interleave
+const writeChains = new Map();
+
+function httpError(statusCode, message) {
+    return Object.assign(new Error(message), { statusCode });
+}
+
+function volumeLogsPath(volumeId) {
+    if (!volumeId || volumeId !== path.basename(volumeId) || volumeId.startsWith('.')) {
+        throw httpError(400, 'Invalid volume ID');
+    }
+    return path.join(logsPath, volumeId);
+}
+
+/**
+ * Normalizes a timestamp to "YYYY-MM-DDTHH:MM:SS.nnnnnnnnnZ" so timestamps sort as strings.
+ * @param {string} timestamp - An RFC 3339 UTC timestamp (Docker's, or an ISO date).
+ * @returns {string|null} The normalized timestamp, or null if it isn't one.
+ */
+function normalizeTimestamp(timestamp) {
+    const match = /^(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2})(?:\.(\d+))?Z$/.exec(timestamp);
+    if (!match) return null;
+    return `${match[1]}.${(match[2] || '').padEnd(9, '0').slice(0, 9)}Z`;
+}
+
+function parseTime(value, name) {
+    if (value === undefined || value === '') return null;
+    const date = /^\d+$/.test(value) ? new Date(Number(value)) : new Date(value);
+    if (isNaN(date)) throw httpError(400, `${name} must be an ISO date or a timestamp in milliseconds`);
+    return normalizeTimestamp(date.toISOString());
+}
+
+function parseLine(line) {
+    const space = line.indexOf(' ');
+    return { time: line.slice(0, space), text: line.slice(space + 1) };
+}
+
+/**
+ * Lists the log files of a volume, oldest first.
+ * @param {string} volumeId - The volume identifier.
+ * @returns {Promise<string[]>} Full paths of the files.
+ */
+async function listLogFiles(volumeId) {
+    const directory = volumeLogsPath(volumeId);
+    let files;
+    try {
+        files = await fs.promises.readdir(directory);
+    } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+    }
+
+    const rotated = files.filter(file => /^console-\d+\.log$/.test(file))
+        .sort((a, b) => Number(a.slice(8, -4)) - Number(b.slice(8, -4)));
+    if (files.includes('console.log')) rotated.push('console.log');
+    return rotated.map(file => path.join(directory, file));
+}
+
+async function lastRecordedTime(volumeId) {
+    const [current] = (await listLogFiles(volumeId)).slice(-1);
+    if (!current) return null;
+
+    // The last line is somewhere in the tail of the file
+    const handle = await fs.promises.open(current, 'r');
+    try {
+        const { size } = await handle.stat();
+        const length = Math.min(size, 64 * 1024);
+        const { buffer } = await handle.read(Buffer.alloc(length), 0, length, size - length);
+        const lines = buffer.toString('utf8').split('\n').filter(Boolean);
+        return lines.length ? parseLine(lines[lines.length - 1]).time : null;
+    } finally {
+        await handle.close();
+    }
+}
+
+async function rotate(volumeId) {
+    const directory = volumeLogsPath(volumeId);
+    const current = path.join(directory, 'console.log');
+    const { size } = await fs.promises.stat(current).catch(() => ({ size: 0 }));
+    if (size < maxFileSize) return;
+
+    await fs.promises.rename(current, path.join(directory, `console-${Date.now()}.log`));
+    const files = await listLogFiles(volumeId);
+    for (const file of files.slice(0, Math.max(files.length - maxFiles, 0))) {
+        await fs.promises.rm(file, { force: true });
+    }
+}
+
+function appendLines(volumeId, lines) {
+    const chain = (writeChains.get(volumeId) || Promise.resolve()).then(async () => {
+        const directory = volumeLogsPath(volumeId);
+        await fs.promises.mkdir(directory, { recursive: true });
+        await fs.promises.appendFile(path.join(directory, 'console.log'), lines.join('\n') + '\n');
+        await rotate(volumeId);
+    }).catch(err => log.error(`Failed to record console output of ${volumeId}:`, err.message));
+
+    writeChains.set(volumeId, chain);
+    chain.then(() => {
+        if (writeChains.get(volumeId) === chain) writeChains.delete(volumeId);
+    });
+    return chain;
+}
+
+/**
+ * Starts recording a container's output, unless it is already being recorded. Output since the last
+ * recorded line is fetched first, so nothing is lost or recorded twice when the daemon restarts.
+ * @param {string} containerId - The container.
+ */
+async function recordContainer(containerId) {
+    if (following.has(containerId)) return;
+    following.set(containerId, null);
+
+    try {
+        const container = docker.getContainer(containerId);
+        const { Config, State } = await container.inspect();
+        const volumeId = Config.Labels && Config.Labels[volumeLabel];
+        if (!volumeId || !State.Running) {
+            following.delete(containerId);
+            return;
+        }
+
+        let last = await lastRecordedTime(volumeId);
+        const since = last ? Math.floor(Date.parse(last) / 1000) : 0;
+        const stream = await container.logs({ follow: true, stdout: true, stderr: true, timestamps: true, since });
+        following.set(containerId, stream);
+
+        const decoder = new StringDecoder('utf8');
+        let partial = '';
+        const onText = (data) => {
+            const lines = (partial + decoder.write(data)).split('\n');
+            partial = lines.pop();
+
+            const records = [];
+            for (const line of lines) {
+                const { time, text } = parseLine(line);
+                const normalized = normalizeTimestamp(time);
+                if (!normalized || (last && normalized <= last)) continue;
+                records.push(`${normalized} ${text.replace(/\r$/, '')}`);
+                last = normalized;
+            }
+            if (records.length) appendLines(volumeId, records);
+        };
+
+        stream.on('data', Config.Tty ? onText : createDemuxer(onText));
+        stream.on('error', err => log.error(`Console recording of ${volumeId} failed:`, err.message));
+        stream.on('close', () => {
+            if (following.get(containerId) !== stream) return;
+            following.delete(containerId);
+            // A quick restart can start the container again before this stream ends
+            recordContainer(containerId);
+        });
+    } catch (err) {
+        following.delete(containerId);
+        log.error(`Failed to record console of ${containerId}:`, err.message);
+    }
+}
+
+async function watchContainerStarts() {
+    let events;
+    try {
+        events = await docker.getEvents({
+            filters: JSON.stringify({ type: ['container'], event: ['start'], label: [volumeLabel] })
+        });
+    } catch (err) {
+        log.error('Failed to watch container events for console recording:', err.message);
+        setTimeout(watchContainerStarts, 5000);
+        return;
+    }
+
+    let buffered = '';
+    events.on('data', (chunk) => {
+        const lines = (buffered + chunk.toString()).split('\n');
+        buffered = lines.pop();
+        lines.filter(Boolean).forEach((line) => {
+            try {
+                recordContainer(JSON.parse(line).id);
+            } catch (err) {
+                // Not an event
+            }
+        });
+    });
+    events.on('error', () => {});
+    events.on('close', () => setTimeout(watchContainerStarts, 5000));
+}
+
+/**
+ * Starts recording the console output of all running instances, and of every instance started later.
+ */
+async function startConsoleRecorder() {
+    watchContainerStarts();
+    try {
+        const containers = await docker.listContainers({ filters: JSON.stringify({ label: [volumeLabel] }) });
+        containers.forEach(({ Id }) => recordContainer(Id));
+    } catch (err) {
+        log.error('Failed to list containers for console recording:', err.message);
+    }
+}
+
+/**
+ * Resolves the volume whose logs an instance ID refers to: the container's volume if the container
+ * exists, otherwise the ID itself if logs were recorded for such a volume (its container may have been
+ * removed or be being recreated).
+ * @param {string} id - A container ID or name, or a volume ID.
+ * @returns {Promise<string>} The volume identifier.
+ * @throws {Error} With statusCode 404 if there's no such instance.
+ */
+async function resolveVolume(id) {
+    try {
+        const { Config } = await docker.getContainer(id).inspect();
+        const volumeId = Config.Labels && Config.Labels[volumeLabel];
+        if (volumeId) return volumeId;
+    } catch (err) {
+        if (err.statusCode !== 404) throw err;
+    }
+
+    if ((await listLogFiles(id)).length) return id;
+    throw httpError(404, 'Instance not found');
+}
+
+/**
+ * Searches the recorded console output of a volume. Returns the newest `limit` matching lines (in
+ * chronological order); older pages are fetched by passing the returned `nextBefore` as `before`.
+ * @param {string} volumeId - The volume identifier.
+ * @param {Object} options - { from, to, before, grep, regex, caseSensitive, limit }; times are ISO dates
+ * or milliseconds, from/to are inclusive and before is exclusive.
+ * @returns {Promise<Object>} { lines: [{ time, text }], nextBefore } where nextBefore is null on the
+ * last page.
+ * @throws {Error} With statusCode 400 for invalid options, or a regular expression that takes too long.
+ */
+async function queryLogs(volumeId, { from, to, before, grep, regex = false, caseSensitive = false, limit = 500 }) {
+    if (!Number.isInteger(limit) || limit < 1 || limit > maxLines) {
+        throw httpError(400, `limit must be between 1 and ${maxLines}`);
+    }
+    const start = parseTime(from, 'from');
+    const end = parseTime(to, 'to');
+    const cursor = before ? normalizeTimestamp(before) : null;
+    if (before && !cursor) throw httpError(400, 'before must be a nextBefore value returned by a previous page');
+
+    // Lines are matched in batches, as regular expressions run in a worker (see RegexMatcher.js)
+    let lineMatcher = null;
+    if (grep) {
+        if (regex) {
+            lineMatcher = createRegexMatcher(grep, { caseSensitive });
+        } else {
+            const needle = caseSensitive ? grep : grep.toLowerCase();
+            lineMatcher = {
+                match: async texts => texts.map(text => (caseSensitive ? text : text.toLowerCase()).indexOf(needle)),
+                close() {}
+            };
+        }
+    }
+
+    // Only the newest `limit` matches (plus one, to know if there's another page) are kept
+    const found = [];
+    let batch = [];
+    const flush = async () => {
+        const columns = lineMatcher ? await lineMatcher.match(batch.map(entry => entry.text)) : [];
+        batch.forEach((entry, index) => {
+            if (lineMatcher && columns[index] === -1) return;
+            found.push(entry);
+            if (found.length > limit + 1) found.shift();
+        });
+        batch = [];
+    };
+
+    try {
+        let pastRange = false;
+        for (const file of await listLogFiles(volumeId)) {
+            if (pastRange) break;
+            // Rotated files are never written again, skip those that ended before the range
+            if (start && !file.endsWith('console.log')) {
+                const { mtime } = await fs.promises.stat(file);
+                if (normalizeTimestamp(mtime.toISOString()) < start) continue;
+            }
+
+            const lines = readline.createInterface({ input: fs.createReadStream(file, 'utf8'), crlfDelay: Infinity });
+            for await (const line of lines) {
+                const entry = parseLine(line);
+                if (start && entry.time < start) continue;
+                if ((end && entry.time > end) || (cursor && entry.time >= cursor)) {
+                    pastRange = true;
+                    break;
+                }
+                batch.push(entry);
+                if (batch.length >= batchSize) await flush();
+            }
+            lines.close();
+        }
+        await flush();
+    } finally {
+        if (lineMatcher) lineMatcher.close();
+    }
+
+    const hasMore = found.length > limit;
+    const page = hasMore ? found.slice(1) : found;
+    return { lines: page, nextBefore: hasMore ? page[0].time : null };
+}
+
+/**
+ * @param {string} volumeId - The volume identifier.
+ * @param {number} count - How many lines.
+ * @returns {Promise<string[]>} The text of the last lines recorded for the volume.
+ */
+async function lastLines(volumeId, count) {
+    const { lines } = await queryLogs(volumeId, { limit: Math.min(Math.max(count, 1), maxLines) });
+    return lines.map(line => line.text);
+}
+
+module.exports = {
+    logsPath,
+    maxLines,
+    listLogFiles,
+    resolveVolume,
+    queryLogs,
+    lastLines,
+    startConsoleRecorder
+};
@@ -0,0 +1,277 @@
+/**
+ * @fileoverview Crash detection and automatic restarts. Docker's container events are followed, and an
+ * instance whose container dies without the daemon having stopped it (see ExpectedStops.js) is treated as
+ * crashed. The exit code, whether it was OOM-killed and its last lines of output are recorded in the
+ * instance's state, and it is restarted according to its restart policy, with exponential backoff.
+ *
+ * Policies are set per instance when deploying or editing it ({ policy, maxCrashes, windowMinutes }) and
+ * kept in the container's `skyport.restart` label; instances without one use `crashes` from config.json.
+ * policy is "on-failure" (restart after a non-zero exit or an OOM kill), "always" (also after a clean
+ * exit nobody asked for) or "no". Once an instance crashes maxCrashes times within windowMinutes it is no
+ * longer restarted and its state is marked `crashLooping` until it is started by hand.
+ */
+
+const Docker = require('dockerode');
+const CatLoggr = require('cat-loggr');
+const config = require('../config.json');
+const { readStates, patchState } = require('./States');
+const { notifyConsole, createDemuxer } = require('./Console');
+const { events: stopEvents, consumeExpectedStop, pruneExpectedStops } = require('./ExpectedStops');
+
+const log = new CatLoggr();
+const docker = new Docker({ socketPath: process.env.dockerSocket });
+
+const crashConfig = config.crashes || {};
+const policies = ['no', 'on-failure', 'always'];
+const defaultPolicy = {
+    policy: crashConfig.policy || 'on-failure',
+    maxCrashes: crashConfig.maxCrashes || 3,
+    windowMinutes: crashConfig.windowMinutes || 10
+};
+const backoffSeconds = crashConfig.backoffSeconds || 5;
+const maxBackoffSeconds = crashConfig.maxBackoffSeconds || 300;
+const logLines = crashConfig.logLines || 20;
+const crashHistory = 10;
+const restartLabel = 'skyport.restart';
+const volumeLabel = 'skyport.volume';
+
+// Restarts waiting out their backoff, by container ID
+const pendingRestarts = new Map();
+
+let lastEventTime = null;
+// Events already handled, as a reconnect asks Docker for the events of the last second again
+const seenEvents = new Set();
+
+function httpError(statusCode, message) {
+    return Object.assign(new Error(message), { statusCode });
+}
+
+/**
+ * Validates an instance's restart policy, as given when deploying or editing it.
+ * @param {Object} [restart] - { policy, maxCrashes, windowMinutes }, all optional.
+ * @returns {Object|null} The normalized policy, or null if none was given.
+ * @throws {Error} With statusCode 400 if it's invalid.
+ */
+function normalizeRestartPolicy(restart) {
+    if (restart === undefined || restart === null) return null;
+    if (typeof restart !== 'object' || Array.isArray(restart)) {
+        throw httpError(400, 'Restart must be an object with policy, maxCrashes and windowMinutes');
+    }
+
+    const { policy = defaultPolicy.policy, maxCrashes = defaultPolicy.maxCrashes, windowMinutes = defaultPolicy.windowMinutes } = restart;
+    if (!policies.includes(policy)) {
+        throw httpError(400, `Restart.policy must be one of: ${policies.join(', ')}`);
+    }
+    if (!Number.isInteger(maxCrashes) || maxCrashes < 1 || maxCrashes > 100) {
+        throw httpError(400, 'Restart.maxCrashes must be between 1 and 100');
+    }
+    if (!Number.isInteger(windowMinutes) || windowMinutes < 1 || windowMinutes > 24 * 60) {
+        throw httpError(400, 'Restart.windowMinutes must be between 1 and 1440');
+    }
+    return { policy, maxCrashes, windowMinutes };
+}
+
+/**
+ * Turns a restart policy into container labels.
+ * @param {Object|null} restart - The result of normalizeRestartPolicy.
+ * @returns {Object} The labels.
+ */
+function restartLabels(restart) {
+    return restart ? { [restartLabel]: JSON.stringify(restart) } : {};
+}
+
+function readRestartPolicy(labels = {}) {
+    try {
+        return normalizeRestartPolicy(JSON.parse(labels[restartLabel])) || defaultPolicy;
+    } catch (err) {
+        return defaultPolicy;
+    }
+}
+
+/**
+ * The restart policy a container was created with, to carry it over when it is recreated.
+ * @param {string} containerId - The container ID or name.
+ * @returns {Promise<Object|null>} The policy, or null if it has none or doesn't exist.
+ */
+async function currentRestartPolicy(containerId) {
+    try {
+        const { Config } = await docker.getContainer(containerId).inspect();
+        return (Config.Labels || {})[restartLabel] ? readRestartPolicy(Config.Labels) : null;
+    } catch (err) {
+        if (err.statusCode === 404) return null;
+        throw err;
+    }
+}
+
+function cancelRestart(containerIds) {
+    containerIds.forEach((containerId) => {
+        const pending = pendingRestarts.get(containerId);
+        if (!pending) return;
+        clearTimeout(pending.timer);
+        pendingRestarts.delete(containerId);
+        log.info(`Cancelled the pending restart of ${containerId}`);
+    });
+}
+
+/**
+ * Called when an instance is started by hand: forgets its recent crashes and lifts the crash-loop mark.
+ * @param {string} volumeId - The volume of the instance.
+ * @param {...string} containerIds - The container's ID and/or name.
+ */
+async function resetCrashes(volumeId, ...containerIds) {
+    cancelRestart(containerIds);
+    if (!volumeId) return;
+
+    const states = await readStates();
+    const state = states[volumeId];
+    if (state && (state.crashLooping || (state.recentCrashes || []).length)) {
+        await patchState(volumeId, { crashLooping: false, recentCrashes: [] });
+    }
+}
+
+async function lastOutput(container, tty) {
+    try {
+        const logs = Buffer.from(await container.logs({ stdout: true, stderr: true, follow: false, tail: logLines }));
+        let text = logs.toString('utf8');
+        if (!tty) {
+            const chunks = [];
+            createDemuxer(data => chunks.push(data))(logs);
+            text = Buffer.concat(chunks).toString('utf8');
+        }
+        return text.split(/\r?\n/).filter(Boolean).slice(-logLines);
+    } catch (err) {
+        return [];
+    }
+}
+
+function scheduleRestart(containerId, volumeId, names, delay) {
+    const timer = setTimeout(async () => {
+        pendingRestarts.delete(containerId);
+        try {
+            const container = docker.getContainer(containerId);
+            const { State } = await container.inspect();
+            if (State.Running) return;
+
+            log.info(`Restarting ${volumeId} after a crash`);
+            await container.start();
+            notifyConsole(names, 'Server restarted after a crash');
+        } catch (err) {
+            log.error(`Failed to restart ${volumeId} after a crash: ${err.message}`);
+        }
+    }, delay * 1000);
+    pendingRestarts.set(containerId, { timer, volumeId });
+}
+
+async function handleDie(event) {
+    const containerId = event.id || event.Actor.ID;
+    const attributes = event.Actor.Attributes || {};
+    const volumeId = attributes[volumeLabel];
+    const names = [containerId, attributes.name].filter(Boolean);
+
+    if (!volumeId || consumeExpectedStop(names)) return;
+
+    const container = docker.getContainer(containerId);
+    let info;
+    try {
+        info = await container.inspect();
+    } catch (err) {
+        // Removed right away, nothing to restart
+        return;
+    }
+
+    const exitCode = info.State.ExitCode;
+    const oomKilled = !!info.State.OOMKilled;
+    const restart = readRestartPolicy(info.Config.Labels);
+    const failed = exitCode !== 0 || oomKilled;
+    if (!failed && restart.policy !== 'always') {
+        log.info(`${volumeId} exited cleanly by itself, not restarting it`);
+        return;
+    }
+
+    const now = Date.now();
+    const crash = {
+        time: new Date(now).toISOString(),
+        exitCode,
+        oomKilled,
+        lastLines: await lastOutput(container, info.Config.Tty)
+    };
+
+    const states = await readStates();
+    const state = states[volumeId] || {};
+    const windowStart = now - restart.windowMinutes * 60 * 1000;
+    const recentCrashes = [...(state.recentCrashes || []), crash.time].filter(time => Date.parse(time) >= windowStart);
+    const crashes = [...(state.crashes || []), crash].slice(-crashHistory);
+    const crashLooping = restart.policy !== 'no' && recentCrashes.length >= restart.maxCrashes;
+
+    await patchState(volumeId, { lastCrash: crash, crashes, recentCrashes, crashLooping });
+    log.warn(`${volumeId} crashed (exit code ${exitCode}${oomKilled ? ', OOM killed' : ''}), ${recentCrashes.length} crash(es) in the last ${restart.windowMinutes} minutes`);
+
+    const reason = oomKilled ? 'ran out of memory' : `exited with code ${exitCode}`;
+    if (restart.policy === 'no') {
+        notifyConsole(names, `Server ${reason}`);
+    } else if (crashLooping) {
+        log.error(`${volumeId} is crash-looping, not restarting it until it is started by hand`);
+        notifyConsole(names, `Server ${reason} and crashed ${recentCrashes.length} times in ${restart.windowMinutes} minutes, it won't be restarted automatically`);
+    } else {
+        const delay = Math.min(backoffSeconds * 2 ** (recentCrashes.length - 1), maxBackoffSeconds);
+        notifyConsole(names, `Server ${reason}, restarting it in ${delay}s`);
+        scheduleRestart(containerId, volumeId, names, delay);
+    }
+}
+
+async function watchEvents() {
+    let events;
+    try {
+        events = await docker.getEvents({
+            ...(lastEventTime && { since: lastEventTime }),
+            filters: JSON.stringify({ type: ['container'], event: ['die'], label: [volumeLabel] })
+        });
+    } catch (err) {
+        log.error('Failed to watch container events for crashes:', err.message);
+        setTimeout(watchEvents, 5000);
+        return;
+    }
+
+    let buffered = '';
+    events.on('data', (chunk) => {
+        const lines = (buffered + chunk.toString()).split('\n');
+        buffered = lines.pop();
+        lines.filter(Boolean).forEach((line) => {
+            let event;
+            try {
+                event = JSON.parse(line);
+            } catch (err) {
+                return;
+            }
+            const key = `${event.id}:${event.timeNano}`;
+            if (seenEvents.has(key)) return;
+            seenEvents.add(key);
+            if (seenEvents.size > 1000) seenEvents.delete(seenEvents.values().next().value);
+
+            // Resumes from here (inclusive, Docker's since is in seconds) if the stream has to reconnect
+            lastEventTime = event.time;
+            handleDie(event).catch(err => log.error('Failed to handle a container exit:', err.message));
+        });
+    });
+    events.on('error', () => {});
+    events.on('close', () => setTimeout(watchEvents, 5000));
+}
+
+/**
+ * Starts watching instances for crashes.
+ */
+function startCrashWatcher() {
+    watchEvents();
+    // A stop on purpose also cancels a restart that is waiting out its backoff
+    stopEvents.on('expected', cancelRestart);
+    // Marks for stops that never happened would otherwise pile up
+    setInterval(pruneExpectedStops, 10 * 60 * 1000);
+}
+
+module.exports = {
+    normalizeRestartPolicy,
+    restartLabels,
+    currentRestartPolicy,
+    resetCrashes,
+    startCrashWatcher
+};
@@ -0,0 +1,298 @@
+/**
+ * @fileoverview Disk quotas for instance volumes. Limits are set per instance at create/edit time and
+ * stored in storage/quotas.json. Usage is kept in an in-memory cache that is adjusted on every write made
+ * through the daemon and periodically rescanned (asynchronously) to pick up writes made by the container
+ * itself. Writes that would go over the limit are rejected with a 507, and instances that exceed their
+ * limit can optionally be stopped, the same way Radar stops flagged containers.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Docker = require('dockerode');
+const CatLoggr = require('cat-loggr');
+const config = require('../config.json');
+const { getContainerId } = require('./States');
+const { expectStop } = require('./ExpectedStops');
+
+const log = new CatLoggr();
+const docker = new Docker({ socketPath: process.env.dockerSocket });
+
+const quotasFilePath = path.join(__dirname, '../storage/quotas.json');
+const volumesPath = path.join(__dirname, '../volumes');
+const diskConfig = config.disk || {};
+const usageMaxAge = (diskConfig.usageCacheSeconds || 60) * 1000;
+const MB = 1024 * 1024;
+
+let quotas = {};
+const usage = {};
+const scans = {};
+
+function loadQuotas() {
+    try {
+        if (fs.existsSync(quotasFilePath)) {
+            const data = fs.readFileSync(quotasFilePath, 'utf8');
+            quotas = data.trim() ? JSON.parse(data) : {};
+        }
+    } catch (err) {
+        log.error('Error reading quotas from JSON file:', err);
+        quotas = {};
+    }
+}
+
+async function saveQuotas() {
+    await fs.promises.writeFile(quotasFilePath, JSON.stringify(quotas, null, 2));
+}
+
+/**
+ * Walks a directory asynchronously and adds up the size of everything in it. Symlinks are counted
+ * as links and never followed.
+ * @param {string} directoryPath - The directory to measure.
+ * @param {number} [currentDepth] - Used to stop runaway recursion.
+ * @returns {Promise<number>} The total size in bytes.
+ */
+async function calculateDirectorySize(directoryPath, currentDepth = 0) {
+    if (currentDepth >= 500) {
+        log.warn(`Maximum depth reached at ${directoryPath}`);
+        return 0;
+    }
+
+    let entries;
+    try {
+        entries = await fs.promises.readdir(directoryPath, { withFileTypes: true });
+    } catch (err) {
+        if (err.code === 'ENOENT') return 0;
+        throw err;
+    }
+
+    let totalSize = 0;
+    for (const entry of entries) {
+        const entryPath = path.join(directoryPath, entry.name);
+        if (entry.isDirectory()) {
+            totalSize += await calculateDirectorySize(entryPath, currentDepth + 1);
+        } else {
+            try {
+                totalSize += (await fs.promises.lstat(entryPath)).size;
+            } catch (err) {
+                // Removed while we were walking
+            }
+        }
+    }
+    return totalSize;
+}
+
+/**
+ * Rescans a volume and refreshes its cached usage. Concurrent calls share the same scan.
+ * @param {string} volumeId - The volume identifier.
+ * @returns {Promise<number>} The used bytes.
+ */
+function refreshDiskUsage(volumeId) {
+    if (!scans[volumeId]) {
+        scans[volumeId] = calculateDirectorySize(path.join(volumesPath, volumeId))
+            .then((used) => {
+                usage[volumeId] = { used, scannedAt: Date.now() };
+                return used;
+            })
+            .finally(() => {
+                delete scans[volumeId];
+            });
+    }
+    return scans[volumeId];
+}
+
+/**
+ * Returns the usage and limit of a volume. Answers from the cache, rescanning in the background when
+ * the cached value is stale; only the very first call for a volume waits for a scan.
+ * @param {string} volumeId - The volume identifier.
+ * @returns {Promise<{used: number, limit: number}>} Bytes used and the limit in bytes (0 is unlimited).
+ */
+async function getDiskUsage(volumeId) {
+    const cached = usage[volumeId];
+    if (!cached) {
+        await refreshDiskUsage(volumeId);
+    } else if (Date.now() - cached.scannedAt > usageMaxAge) {
+        refreshDiskUsage(volumeId).catch(err => log.warn(`Failed to scan volume ${volumeId}: ${err.message}`));
+    }
+    return { used: usage[volumeId].used, limit: getDiskLimit(volumeId) };
+}
+
+/**
+ * @param {string} volumeId - The volume identifier.
+ * @returns {number} The limit in bytes, 0 if the volume is unlimited.
+ */
+function getDiskLimit(volumeId) {
+    return (quotas[volumeId] && quotas[volumeId].limit) || 0;
+}
+
+/**
+ * Sets the disk limit of a volume.
+ * @param {string} volumeId - The volume identifier.
+ * @param {number} limitMb - The limit in MB, 0 to remove it.
+ */
+async function setDiskLimit(volumeId, limitMb) {
+    const limit = Math.max(0, Math.floor(Number(limitMb) * MB)) || 0;
+    if (limit > 0) {
+        quotas[volumeId] = { limit };
+    } else {
+        delete quotas[volumeId];
+    }
+    await saveQuotas();
+}
+
+/**
+ * Forgets everything about a volume, used when it is deleted.
+ * @param {string} volumeId - The volume identifier.
+ */
+async function removeDiskLimit(volumeId) {
+    delete usage[volumeId];
+    if (quotas[volumeId]) {
+        delete quotas[volumeId];
+        await saveQuotas();
+    }
+}
+
+/**
+ * Adjusts the cached usage of a volume after the daemon wrote to or deleted from it.
+ * @param {string} volumeId - The volume identifier.
+ * @param {number} delta - Bytes added (negative for bytes freed).
+ */
+function recordDiskWrite(volumeId, delta) {
+    if (usage[volumeId]) {
+        usage[volumeId].used = Math.max(0, usage[volumeId].used + delta);
+    }
+}
+
+function quotaExceededError(volumeId, used, limit) {
+    const error = new Error(`Disk quota exceeded (${(used / MB).toFixed(2)} MB of ${(limit / MB).toFixed(2)} MB used)`);
+    error.statusCode = 507;
+    error.code = 'EDQUOT';
+    return error;
+}
+
+/**
+ * Makes sure a volume has room for a write.
+ * @param {string} volumeId - The volume identifier.
+ * @param {number} bytes - The number of bytes about to be added (may be negative).
+ * @throws {Error} With statusCode 507 if the write would go over the volume's limit.
+ */
+async function assertDiskSpace(volumeId, bytes) {
+    const limit = getDiskLimit(volumeId);
+    if (!limit) return;
+
+    const { used } = await getDiskUsage(volumeId);
+    if (bytes > 0 && used + bytes > limit) {
+        throw quotaExceededError(volumeId, used, limit);
+    }
+}
+
+/**
+ * The size of a file a write is about to replace, 0 if there is none.
+ * @param {string} filePath - The file's path.
+ * @returns {Promise<number>} The size in bytes.
+ */
+async function replacedSize(filePath) {
+    try {
+        return (await fs.promises.lstat(filePath)).size;
+    } catch (err) {
+        if (err.code === 'ENOENT') return 0;
+        throw err;
+    }
+}
+
+/**
+ * Builds an fs module for the FTP server whose write streams are cut off as soon as an upload would
+ * take the volume over its limit. An upload that overwrites a file only counts for what it adds to it.
+ * @param {string} volumeId - The volume identifier.
+ * @returns {Object} An fs-compatible module.
+ */
+function createQuotaFs(volumeId) {
+    return {
+        ...fs,
+        createWriteStream: (filePath, options) => {
+            // Appends keep the current content, anything else truncates it once the file is opened
+            const flags = (options && options.flags) || 'w';
+            let replaced = 0;
+            if (!String(flags).startsWith('a')) {
+                try {
+                    replaced = fs.lstatSync(filePath).size;
+                } catch (err) {
+                    // Nothing to replace
+                }
+            }
+
+            const stream = fs.createWriteStream(filePath, options);
+            const limit = getDiskLimit(volumeId);
+            const baseUsage = usage[volumeId] ? usage[volumeId].used : 0;
+            const write = stream.write.bind(stream);
+            let written = 0;
+            let opened = false;
+
+            if (limit) {
+                stream.write = (chunk, ...args) => {
+                    written += chunk.length;
+                    if (baseUsage - replaced + written > limit) {
+                        stream.destroy(quotaExceededError(volumeId, baseUsage - replaced + written, limit));
+                        return false;
+                    }
+                    return write(chunk, ...args);
+                };
+            }
+
+            stream.on('open', () => {
+                opened = true;
+            });
+            stream.on('close', () => {
+                recordDiskWrite(volumeId, stream.bytesWritten - (opened ? replaced : 0));
+            });
+            return stream;
+        }
+    };
+}
+
+/**
+ * Rescans every volume with a limit and, when `disk.stopOnExceed` is enabled, stops the instances
+ * that are over it.
+ */
+async function enforceDiskQuotas() {
+    for (const volumeId of Object.keys(quotas)) {
+        try {
+            const used = await refreshDiskUsage(volumeId);
+            const limit = getDiskLimit(volumeId);
+            if (used <= limit || !diskConfig.stopOnExceed) continue;
+
+            const containerId = await getContainerId(volumeId);
+            const container = docker.getContainer(containerId);
+            const { State } = await container.inspect();
+            if (State.Running) {
+                log.warn(`Volume ${volumeId} is over its disk limit, stopping its instance`);
+                // Not a crash, it must not be restarted
+                const unmark = expectStop(containerId);
+                await container.stop().catch((err) => {
+                    unmark();
+                    throw err;
+                });
+            }
+        } catch (err) {
+            log.error(`Error enforcing disk quota for ${volumeId}: ${err.message}`);
+        }
+    }
+}
+
+function startQuotaEnforcement() {
+    setInterval(enforceDiskQuotas, (diskConfig.enforceIntervalSeconds || 60) * 1000);
+}
+
+loadQuotas();
+
+module.exports = {
+    calculateDirectorySize,
+    getDiskUsage,
+    getDiskLimit,
+    setDiskLimit,
+    removeDiskLimit,
+    refreshDiskUsage,
+    recordDiskWrite,
+    assertDiskSpace,
+    replacedSize,
+    createQuotaFs,
+    startQuotaEnforcement
+};
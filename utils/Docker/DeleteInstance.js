@@ -2,6 +2,8 @@ const Docker = require('dockerode');
 const fs = require('fs');
 const path = require('path');
 const docker = new Docker({ socketPath: process.env.dockerSocket });
+const { releasePorts, getVolumeId } = require('../Networking');
+const { removeDiskLimit } = require('../DiskQuota');
 
 /**
  * GET /:id/delete
@@ -16,12 +18,15 @@ const deleteInstance = async (req, res) => {
   const container = docker.getContainer(req.params.id);
 
   try {
-    const { Name } = await container.inspect();
+    const containerInfo = await container.inspect();
+    const { Name } = containerInfo;
     const nameWithoutSlash = Name.slice(0, 1) === '/' ? Name.slice(1) : Name;
     const volumeDir = path.join(__dirname, '../volumes', nameWithoutSlash);
 
     await container.remove({ force: true });
     fs.rmSync(volumeDir, { force: true, recursive: true });
+    await releasePorts(getVolumeId(containerInfo));
+    await removeDiskLimit(getVolumeId(containerInfo));
 
     res.json({ message: 'Container and associated volume deleted successfully' });
   } catch (err) {
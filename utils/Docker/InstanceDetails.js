@@ -1,12 +1,13 @@
 const Docker = require('dockerode');
 const docker = new Docker({ socketPath: process.env.dockerSocket });
+const { describeLimits } = require('../ResourceLimits');
 
 /**
  * GET /:id
  * Fetches detailed information about a specific Docker container identified by the ID provided in the URL parameter.
  * This endpoint uses Dockerode to call the `inspect` method on the specified container, returning all available
- * details about the container's configuration and state. Responds with the detailed data or an error message if
- * the container cannot be found.
+ * details about the container's configuration and state, plus the effective resource limits under `Limits`.
+ * Responds with the detailed data or an error message if the container cannot be found.
  *
  * @param {Object} req - The HTTP request object, containing the container ID as a URL parameter.
  * @param {Object} res - The HTTP response object used to return detailed container data or an error message.
@@ -19,7 +20,7 @@ const getInstanceDetails = (req, res) => {
     if (err) {
       return res.status(404).json({ message: 'Container not found' });
     }
-    res.json(data);
+    res.json({ ...data, Limits: describeLimits(data.HostConfig) });
   });
 };
 
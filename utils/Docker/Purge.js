@@ -2,6 +2,8 @@ const Docker = require('dockerode');
 const fs = require('fs');
 const path = require('path');
 const docker = new Docker({ socketPath: process.env.dockerSocket });
+const { releasePorts, getVolumeId } = require('../Networking');
+const { removeDiskLimit } = require('../DiskQuota');
 
 /**
  * GET /purge/all
@@ -19,10 +21,13 @@ const purgeAllInstances = async (req, res) => {
       const container = docker.getContainer(containerInfo.Id);
 
       try {
-        const { Name } = await container.inspect();
+        const containerInfo = await container.inspect();
+        const { Name } = containerInfo;
         const nameWithoutSlash = Name.startsWith('/') ? Name.slice(1) : Name;
         const volumeDir = path.join(__dirname, '../volumes', nameWithoutSlash);
         await container.remove({ force: true });
+        await releasePorts(getVolumeId(containerInfo));
+        await removeDiskLimit(getVolumeId(containerInfo));
         if (fs.existsSync(volumeDir)) {
           fs.rmSync(volumeDir, { recursive: true, force: true });
           console.log(`Deleted volume directory: ${volumeDir}`);
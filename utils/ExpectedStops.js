@@ -0,0 +1,55 @@
+/**
+ * @fileoverview Containers the daemon is stopping on purpose. Every stop issued through Power.js, the
+ * console socket, disk quota enforcement and Radar marks the container first, so the crash watcher can
+ * tell those exits apart from crashes without the modules that stop containers depending on it.
+ */
+
+const EventEmitter = require('events');
+
+// Containers (by ID or name) the daemon is stopping on purpose, with when the mark expires
+const expectedStops = new Map();
+const expectedStopTtl = 2 * 60 * 60 * 1000;
+
+// Emits 'expected' with the container IDs and/or names of every stop that gets marked
+const events = new EventEmitter();
+
+/**
+ * Marks a container as being stopped on purpose, so its exit isn't taken for a crash.
+ * @param {...string} containerIds - The container's ID and/or name.
+ * @returns {Function} Removes the mark again, for when the stop didn't happen after all.
+ */
+function expectStop(...containerIds) {
+    const expires = Date.now() + expectedStopTtl;
+    containerIds.forEach(containerId => expectedStops.set(containerId, expires));
+    events.emit('expected', containerIds);
+    return () => containerIds.forEach(containerId => expectedStops.delete(containerId));
+}
+
+/**
+ * Removes the marks of a container that just exited.
+ * @param {string[]} containerIds - The container's ID and/or name.
+ * @returns {boolean} Whether its exit was expected.
+ */
+function consumeExpectedStop(containerIds) {
+    const now = Date.now();
+    let expected = false;
+    containerIds.forEach((containerId) => {
+        const expires = expectedStops.get(containerId);
+        if (expires === undefined) return;
+        expectedStops.delete(containerId);
+        if (expires > now) expected = true;
+    });
+    return expected;
+}
+
+/**
+ * Forgets the marks of stops that never happened.
+ */
+function pruneExpectedStops() {
+    const now = Date.now();
+    expectedStops.forEach((expires, containerId) => {
+        if (expires <= now) expectedStops.delete(containerId);
+    });
+}
+
+module.exports = { events, expectStop, consumeExpectedStop, pruneExpectedStops };
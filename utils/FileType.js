@@ -1,11 +1,132 @@
+const fs = require('fs');
 const path = require('path');
+const mime = require('mime-types');
+const { minimatch } = require('minimatch');
+const config = require('../config.json');
+
+const filesConfig = config.files || {};
+const editableConfig = filesConfig.editable || {};
+const maxEditableSize = (filesConfig.maxEditableSizeMb || 10) * 1024 * 1024;
+const sniffSize = 8192;
+
+// Magic numbers of common binary formats; `offset` is where the signature starts
+const signatures = [
+    { mimeType: 'image/png', bytes: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A] },
+    { mimeType: 'image/jpeg', bytes: [0xFF, 0xD8, 0xFF] },
+    { mimeType: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38] },
+    { mimeType: 'image/webp', bytes: [0x57, 0x45, 0x42, 0x50], offset: 8 },
+    { mimeType: 'application/pdf', bytes: [0x25, 0x50, 0x44, 0x46, 0x2D] },
+    { mimeType: 'application/zip', bytes: [0x50, 0x4B, 0x03, 0x04] },
+    { mimeType: 'application/zip', bytes: [0x50, 0x4B, 0x05, 0x06] },
+    { mimeType: 'application/gzip', bytes: [0x1F, 0x8B] },
+    { mimeType: 'application/zstd', bytes: [0x28, 0xB5, 0x2F, 0xFD] },
+    { mimeType: 'application/x-xz', bytes: [0xFD, 0x37, 0x7A, 0x58, 0x5A, 0x00] },
+    { mimeType: 'application/x-bzip2', bytes: [0x42, 0x5A, 0x68] },
+    { mimeType: 'application/x-7z-compressed', bytes: [0x37, 0x7A, 0xBC, 0xAF, 0x27, 0x1C] },
+    { mimeType: 'application/x-tar', bytes: [0x75, 0x73, 0x74, 0x61, 0x72], offset: 257 },
+    { mimeType: 'application/x-executable', bytes: [0x7F, 0x45, 0x4C, 0x46] },
+    { mimeType: 'application/java-vm', bytes: [0xCA, 0xFE, 0xBA, 0xBE] },
+    { mimeType: 'application/vnd.sqlite3', bytes: [...Buffer.from('SQLite format 3\0')] },
+    { mimeType: 'audio/ogg', bytes: [0x4F, 0x67, 0x67, 0x53] },
+    { mimeType: 'audio/mpeg', bytes: [0x49, 0x44, 0x33] }
+];
+
+const boms = [
+    { encoding: 'utf-8', bytes: [0xEF, 0xBB, 0xBF] },
+    { encoding: 'utf-16le', bytes: [0xFF, 0xFE] },
+    { encoding: 'utf-16be', bytes: [0xFE, 0xFF] }
+];
+
+// Extensionless files that are known to be text
+const knownNames = {
+    dockerfile: 'configuration',
+    makefile: 'script',
+    procfile: 'configuration',
+    eula: 'textDocument',
+    license: 'textDocument',
+    readme: 'textDocument'
+};
+
+function startsWith(buffer, bytes, offset = 0) {
+    return buffer.length >= offset + bytes.length && bytes.every((byte, index) => buffer[offset + index] === byte);
+}
+
+function isTextMimeType(mimeType) {
+    return /^text\/|json|xml|javascript|ecmascript|yaml|toml|x-sh|sql|csv|x-tex/.test(mimeType);
+}
 
 /**
- * Determines the purpose of a file based on its extension.
+ * Decides whether a sample of a file is text: it must either start with a byte order mark or be valid
+ * UTF-8 (a character cut off at the end of the sample is fine) without NUL bytes and with few control
+ * characters. Non-UTF-8 text without NUL bytes is taken to be Latin-1.
+ * @returns {string|null} The encoding, or null for binary data.
+ */
+function detectEncoding(sample) {
+    const bom = boms.find(candidate => startsWith(sample, candidate.bytes));
+    if (bom) return bom.encoding;
+    if (sample.includes(0)) return null;
+
+    let control = 0;
+    for (const byte of sample) {
+        // Tab, line feed, form feed, carriage return and escape show up in text; other control bytes don't
+        if (byte < 0x20 && ![0x09, 0x0A, 0x0C, 0x0D, 0x1B].includes(byte)) control++;
+    }
+    if (control > sample.length * 0.1) return null;
+
+    try {
+        new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: true });
+        return 'utf-8';
+    } catch (err) {
+        return 'latin1';
+    }
+}
+
+/**
+ * Works out what a file is from its content rather than its name: known binary formats are recognized
+ * by their magic bytes, anything else is sniffed for a valid text encoding. Only the first 8 KiB are read.
+ * @param {string} filePath - The file to inspect.
+ * @returns {Promise<Object>} { mimeType, isText, encoding, bom, size, isEditable, purpose }.
+ */
+async function detectFileType(filePath) {
+    const handle = await fs.promises.open(filePath, 'r');
+    let sample;
+    let size;
+    try {
+        size = (await handle.stat()).size;
+        const buffer = Buffer.alloc(Math.min(size, sniffSize));
+        const { bytesRead } = await handle.read(buffer, 0, buffer.length, 0);
+        sample = buffer.subarray(0, bytesRead);
+    } finally {
+        await handle.close();
+    }
+
+    const byName = mime.lookup(filePath) || null;
+    const signature = signatures.find(candidate => startsWith(sample, candidate.bytes, candidate.offset));
+    const encoding = signature ? null : detectEncoding(sample);
+
+    let mimeType;
+    if (signature) {
+        // Jars, mod packs and the like are zips; keep the more specific type the name gives
+        mimeType = signature.mimeType === 'application/zip' && byName ? byName : signature.mimeType;
+    } else if (encoding) {
+        mimeType = byName && isTextMimeType(byName) ? byName : 'text/plain';
+    } else {
+        mimeType = byName && !isTextMimeType(byName) ? byName : 'application/octet-stream';
+    }
+
+    const bom = !!encoding && boms.some(candidate => startsWith(sample, candidate.bytes));
+    const type = { mimeType, isText: !!encoding, encoding, bom, size };
+    return { ...type, isEditable: isEditable(filePath, type), purpose: getFilePurpose(filePath, type) };
+}
+
+/**
+ * Determines the purpose of a file based on its extension, falling back to its name and, when known,
+ * its detected type.
  * @param {string} file - The file name to check.
+ * @param {Object} [type] - The result of detectFileType.
  * @returns {string} The purpose category of the file.
  */
-function getFilePurpose(file) {
+function getFilePurpose(file, type) {
     const extension = path.extname(file).toLowerCase();
     const purposes = {
         programming: ['.py', '.java', '.c', '.cpp', '.h', '.hpp', '.cs', '.go', '.rb', '.php', '.swift', '.kt', '.rs', '.scala', '.groovy'],
@@ -22,44 +143,74 @@ function getFilePurpose(file) {
             return purpose;
         }
     }
+
+    const name = path.basename(file).toLowerCase();
+    if (knownNames[name]) return knownNames[name];
+    if (name.startsWith('.env')) return 'configuration';
+
+    if (type) {
+        if (type.mimeType.startsWith('image/')) return 'image';
+        if (/zip|gzip|zstd|x-xz|bzip2|7z|x-tar|java-archive/.test(type.mimeType)) return 'archive';
+        if (type.mimeType === 'application/vnd.sqlite3') return 'database';
+        if (type.isText) return 'textDocument';
+    }
     return 'other';
 }
 
 /**
- * Determines if a file is editable based on its extension.
+ * Determines if a file can be edited in the panel: its content must be text, it must be no larger than
+ * `files.maxEditableSizeMb`, and its name must pass the `files.editable` include/exclude globs. Without
+ * a detected type only the name is checked.
  * @param {string} file - The file name to check.
- * @returns {boolean} True if the file's extension is in the list of editable types, false otherwise.
+ * @param {Object} [type] - The result of detectFileType.
+ * @returns {boolean} True if the file is editable, false otherwise.
+ */
+function isEditable(file, type) {
+    const name = path.basename(file);
+    const include = editableConfig.include || [];
+    const exclude = editableConfig.exclude || [];
+    if (include.length > 0 && !include.some(pattern => minimatch(name, pattern, { dot: true, nocase: true }))) return false;
+    if (exclude.some(pattern => minimatch(name, pattern, { dot: true, nocase: true }))) return false;
+
+    return !type || (type.isText && type.size <= maxEditableSize);
+}
+
+/**
+ * @param {string} file - The file name.
+ * @param {Object} type - The result of detectFileType.
+ * @param {string} [action] - "editing" or "viewing", used in the message.
+ * @returns {string|null} Why the file can't be edited or viewed, or null if it can.
+ */
+function notEditableReason(file, type, action = 'editing') {
+    if (!isEditable(file)) return `File type not supported for ${action}`;
+    if (!type.isText) return 'File is binary, download it instead';
+    if (type.size > maxEditableSize) return `File is larger than ${maxEditableSize / 1024 / 1024} MB, download it instead`;
+    return null;
+}
+
+/**
+ * Decodes the content of a text file.
+ * @param {Buffer} buffer - The file content.
+ * @param {string} encoding - The encoding from detectFileType.
+ * @returns {string} The text, without a byte order mark.
+ */
+function decodeText(buffer, encoding) {
+    if (encoding === 'latin1') return buffer.toString('latin1');
+    return new TextDecoder(encoding).decode(buffer);
+}
+
+/**
+ * Encodes text to be written back to a file in the encoding it was read in, byte order mark included.
+ * @param {string} text - The text.
+ * @param {string} [encoding] - The encoding from detectFileType; UTF-8 when omitted.
+ * @param {boolean} [bom] - Whether the file had a byte order mark (UTF-16 always gets one).
+ * @returns {Buffer} The bytes to write.
  */
-function isEditable(file) {
-    const editableExtensions = [
-        // Text files
-        '.txt', '.md', '.rtf', '.log', '.ini', '.csv',
-        
-        // Web development
-        '.html', '.htm', '.css', '.scss', '.sass', '.less',
-        '.js', '.ts', '.jsx', '.tsx', '.json', '.xml', '.svg',
-        
-        // Programming languages
-        '.py', '.java', '.c', '.cpp', '.h', '.hpp', '.cs', '.go',
-        '.rb', '.php', '.swift', '.kt', '.rs', '.scala', '.groovy',
-        
-        // Scripting
-        '.sh', '.bash', '.ps1', '.bat', '.cmd',
-        
-        // Markup and config
-        '.yaml', '.yml', '.toml', '.ini', '.cfg', '.conf', '.properties',
-        
-        // Document formats
-        '.tex', '.bib', '.markdown',
-        
-        // Database
-        '.sql',
-        
-        // Others
-        '.gitignore', '.env', '.htaccess'
-    ];
-    
-    return editableExtensions.includes(path.extname(file).toLowerCase());
+function encodeText(text, encoding = 'utf-8', bom = false) {
+    if (encoding === 'latin1') return Buffer.from(text, 'latin1');
+    if (encoding === 'utf-16le') return Buffer.concat([Buffer.from([0xFF, 0xFE]), Buffer.from(text, 'utf16le')]);
+    if (encoding === 'utf-16be') return Buffer.concat([Buffer.from([0xFE, 0xFF]), Buffer.from(text, 'utf16le').swap16()]);
+    return Buffer.concat([bom ? Buffer.from([0xEF, 0xBB, 0xBF]) : Buffer.alloc(0), Buffer.from(text, 'utf8')]);
 }
 
 /**
@@ -80,4 +231,4 @@ function formatFileSize(bytes) {
     return `${size.toFixed(2)} ${units[unitIndex]}`;
 }
 
-module.exports = { getFilePurpose, isEditable, formatFileSize };
\ No newline at end of file
+module.exports = { detectFileType, getFilePurpose, isEditable, notEditableReason, decodeText, encodeText, formatFileSize };
\ No newline at end of file
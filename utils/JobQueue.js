@@ -0,0 +1,381 @@
+/**
+ * @fileoverview Persistent job queue for long-running instance operations such as deployments,
+ * redeploys and reinstalls. Every job is made of ordered steps with their own timestamps and error
+ * detail, plus a log. Jobs are stored in storage/jobs.json so they survive a daemon restart; on boot,
+ * unfinished jobs are resumed from their first incomplete step or cleanly marked as failed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const CatLoggr = require('cat-loggr');
+const config = require('../config.json');
+
+const log = new CatLoggr();
+
+const jobsFilePath = path.join(__dirname, '../storage/jobs.json');
+const tempJobsFilePath = path.join(__dirname, '../storage/jobs.tmp.json');
+const maxLogEntries = 500;
+const maxFinishedJobs = 200;
+const concurrency = (config.jobs && config.jobs.concurrency) || 2;
+
+const events = new EventEmitter();
+// Every /deploy/ WebSocket subscribes to these events
+events.setMaxListeners(0);
+const jobTypes = {};
+const queue = [];
+const waiters = {};
+let jobs = {};
+let active = 0;
+let writeChain = Promise.resolve();
+
+/**
+ * Loads the persisted jobs from disk. Called once when the module is first required.
+ */
+function loadJobs() {
+    try {
+        if (fs.existsSync(jobsFilePath)) {
+            const data = fs.readFileSync(jobsFilePath, 'utf8');
+            jobs = data.trim() ? JSON.parse(data) : {};
+        }
+    } catch (err) {
+        log.error('Error reading jobs from JSON file:', err);
+        jobs = {};
+    }
+}
+
+/**
+ * Drops the oldest finished jobs so the jobs file doesn't grow forever.
+ */
+function pruneFinishedJobs() {
+    const finished = Object.values(jobs)
+        .filter(job => job.status === 'completed' || job.status === 'failed')
+        .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+
+    for (const job of finished.slice(maxFinishedJobs)) {
+        delete jobs[job.id];
+    }
+}
+
+/**
+ * Persists every job to disk, writing to a temp file first and renaming it into place.
+ * @returns {Promise<void>} Resolves once the write has landed.
+ */
+function saveJobs() {
+    writeChain = writeChain.catch(() => {}).then(async () => {
+        pruneFinishedJobs();
+        await fs.promises.writeFile(tempJobsFilePath, JSON.stringify(jobs, null, 2));
+        await fs.promises.rename(tempJobsFilePath, jobsFilePath);
+    }).catch(err => {
+        log.error('Error saving jobs to JSON file:', err);
+    });
+    return writeChain;
+}
+
+/**
+ * Returns a copy of a job without its internal payload, suitable for API responses.
+ * @param {Object} job - The job to serialise.
+ * @returns {Object} The public view of the job.
+ */
+function toPublicJob(job) {
+    const { payload, ...publicJob } = job;
+    return publicJob;
+}
+
+function touch(job) {
+    job.updatedAt = new Date().toISOString();
+}
+
+/**
+ * Appends a line to a job's log and forwards it to the daemon logger.
+ * @param {Object} job - The job to log against.
+ * @param {string} message - The log line.
+ * @param {string} [level] - Either 'info' or 'error'.
+ */
+function appendLog(job, message, level = 'info') {
+    const entry = { timestamp: new Date().toISOString(), level, message };
+    job.log.push(entry);
+    if (job.log.length > maxLogEntries) {
+        job.log.splice(0, job.log.length - maxLogEntries);
+    }
+    touch(job);
+    log[level](`[job ${job.id.substring(0, 8)}] ${message}`);
+    events.emit('log', { jobId: job.id, volumeId: job.volumeId, ...entry });
+}
+
+/**
+ * Builds the context handed to a job handler. The context exposes helpers to run steps, log lines,
+ * report transient progress (not persisted) and keep values (such as the created container ID) that
+ * later steps rely on after a resume.
+ * @param {Object} job - The job being run.
+ * @returns {Object} The job context.
+ */
+function createContext(job) {
+    const findStep = (name) => {
+        const step = job.steps.find(s => s.name === name);
+        if (!step) {
+            throw new Error(`Unknown step ${name} for job type ${job.type}`);
+        }
+        return step;
+    };
+
+    return {
+        job,
+        payload: job.payload,
+        data: job.context,
+        log: (message) => appendLog(job, message),
+        error: (message) => appendLog(job, message, 'error'),
+        progress: (step, data) => {
+            events.emit('progress', { jobId: job.id, volumeId: job.volumeId, step, ...data });
+        },
+        set: async (key, value) => {
+            job.context[key] = value;
+            touch(job);
+            await saveJobs();
+        },
+        skip: async (name) => {
+            const step = findStep(name);
+            if (step.status === 'completed') return;
+            step.status = 'skipped';
+            step.finishedAt = new Date().toISOString();
+            touch(job);
+            events.emit('step', { jobId: job.id, volumeId: job.volumeId, step: { ...step } });
+            await saveJobs();
+        },
+        step: async (name, fn) => {
+            const step = findStep(name);
+            if (step.status === 'completed' || step.status === 'skipped') {
+                return;
+            }
+
+            step.status = 'running';
+            step.startedAt = new Date().toISOString();
+            step.finishedAt = null;
+            step.error = null;
+            touch(job);
+            events.emit('step', { jobId: job.id, volumeId: job.volumeId, step: { ...step } });
+            await saveJobs();
+
+            try {
+                await fn();
+                step.status = 'completed';
+            } catch (err) {
+                step.status = 'failed';
+                step.error = err.message;
+                throw err;
+            } finally {
+                step.finishedAt = new Date().toISOString();
+                touch(job);
+                events.emit('step', { jobId: job.id, volumeId: job.volumeId, step: { ...step } });
+                await saveJobs();
+            }
+        }
+    };
+}
+
+/**
+ * Marks a job as finished and settles anyone waiting on it.
+ * @param {Object} job - The job that finished.
+ * @param {Error} [err] - The error the job failed with, if any.
+ */
+function finishJob(job, err) {
+    job.status = err ? 'failed' : 'completed';
+    job.error = err ? err.message : null;
+    job.finishedAt = new Date().toISOString();
+    touch(job);
+    events.emit(job.status, toPublicJob(job));
+
+    (waiters[job.id] || []).forEach(({ resolve, reject }) => err ? reject(err) : resolve(job));
+    delete waiters[job.id];
+}
+
+async function runJob(job) {
+    const jobType = jobTypes[job.type];
+    job.status = 'running';
+    job.startedAt = job.startedAt || new Date().toISOString();
+    touch(job);
+    events.emit('running', toPublicJob(job));
+    await saveJobs();
+
+    try {
+        await jobType.run(createContext(job));
+        finishJob(job);
+    } catch (err) {
+        appendLog(job, err.message, 'error');
+        if (jobType.onFailed) {
+            await Promise.resolve(jobType.onFailed(job, err)).catch(hookErr => {
+                log.error(`Failure hook for job ${job.id} failed:`, hookErr.message);
+            });
+        }
+        finishJob(job, err);
+    }
+    await saveJobs();
+}
+
+function processQueue() {
+    while (active < concurrency && queue.length > 0) {
+        const job = jobs[queue.shift()];
+        if (!job) continue;
+
+        active++;
+        runJob(job).finally(() => {
+            active--;
+            processQueue();
+        });
+    }
+}
+
+/**
+ * Registers a job type.
+ * @param {string} type - The job type name.
+ * @param {Object} definition - The job type definition.
+ * @param {string[]} definition.steps - The ordered step names of the job.
+ * @param {Function} definition.run - Async handler receiving the job context.
+ * @param {Function} [definition.onFailed] - Called with the job and error once the job has failed.
+ * @param {boolean} [definition.resumable] - Whether unfinished jobs may be resumed after a restart.
+ */
+function registerJobType(type, definition) {
+    jobTypes[type] = { resumable: false, ...definition };
+}
+
+/**
+ * Creates a job and queues it for execution.
+ * @param {string} type - A registered job type.
+ * @param {string} volumeId - The volume the job operates on.
+ * @param {Object} payload - Handler input, persisted so the job can be resumed.
+ * @returns {Promise<Object>} The created job.
+ */
+async function enqueueJob(type, volumeId, payload) {
+    const jobType = jobTypes[type];
+    if (!jobType) {
+        throw new Error(`Unknown job type: ${type}`);
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+        id: crypto.randomUUID(),
+        type,
+        volumeId,
+        status: 'queued',
+        steps: jobType.steps.map(name => ({ name, status: 'pending', startedAt: null, finishedAt: null, error: null })),
+        context: {},
+        error: null,
+        log: [],
+        payload,
+        createdAt: now,
+        updatedAt: now,
+        startedAt: null,
+        finishedAt: null
+    };
+
+    jobs[job.id] = job;
+    events.emit('queued', toPublicJob(job));
+    await saveJobs();
+
+    queue.push(job.id);
+    processQueue();
+    return job;
+}
+
+/**
+ * Waits for a job to finish.
+ * @param {string} id - The job ID.
+ * @returns {Promise<Object>} Resolves with the job once completed, rejects with its error if it failed.
+ */
+function waitForJob(id) {
+    const job = jobs[id];
+    if (!job) {
+        return Promise.reject(new Error('Job not found'));
+    }
+    if (job.status === 'completed') {
+        return Promise.resolve(job);
+    }
+    if (job.status === 'failed') {
+        return Promise.reject(new Error(job.error));
+    }
+
+    return new Promise((resolve, reject) => {
+        (waiters[id] = waiters[id] || []).push({ resolve, reject });
+    });
+}
+
+/**
+ * @param {string} id - The job ID.
+ * @returns {Object|null} The public view of the job, or null if it doesn't exist.
+ */
+function getJob(id) {
+    return jobs[id] ? toPublicJob(jobs[id]) : null;
+}
+
+/**
+ * Lists jobs, newest first.
+ * @param {string} [volumeId] - Only return jobs for this volume.
+ * @returns {Object[]} Public views of the matching jobs, without their logs.
+ */
+function listJobs(volumeId) {
+    return Object.values(jobs)
+        .filter(job => !volumeId || job.volumeId === volumeId)
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+        .map(job => {
+            const { log: jobLog, ...summary } = toPublicJob(job);
+            return summary;
+        });
+}
+
+/**
+ * Picks up jobs that were queued or running when the daemon stopped. Jobs of a resumable type are
+ * queued again and continue from their first incomplete step; any other job is marked as failed.
+ * Must be called after every job type has been registered.
+ */
+async function recoverJobs() {
+    const unfinished = Object.values(jobs)
+        .filter(job => job.status === 'queued' || job.status === 'running')
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+    for (const job of unfinished) {
+        const jobType = jobTypes[job.type];
+        // A job whose steps changed with a daemon update can't be matched up with its progress
+        const sameSteps = jobType && jobType.steps.length === job.steps.length &&
+            jobType.steps.every((name, index) => job.steps[index].name === name);
+        if (jobType && jobType.resumable && sameSteps) {
+            appendLog(job, 'Resuming after daemon restart');
+            job.status = 'queued';
+            queue.push(job.id);
+        } else {
+            const reason = jobType && jobType.resumable
+                ? 'Interrupted by daemon restart, and its steps have changed since it started'
+                : 'Interrupted by daemon restart';
+            appendLog(job, reason, 'error');
+            job.steps
+                .filter(step => step.status === 'running')
+                .forEach(step => {
+                    step.status = 'failed';
+                    step.error = reason;
+                    step.finishedAt = new Date().toISOString();
+                });
+            if (jobType && jobType.onFailed) {
+                await Promise.resolve(jobType.onFailed(job, new Error(reason))).catch(() => {});
+            }
+            finishJob(job, new Error(reason));
+        }
+    }
+
+    if (unfinished.length > 0) {
+        log.info(`Recovered ${unfinished.length} unfinished job(s)`);
+    }
+    await saveJobs();
+    processQueue();
+}
+
+loadJobs();
+
+module.exports = {
+    events,
+    registerJobType,
+    enqueueJob,
+    waitForJob,
+    getJob,
+    listJobs,
+    recoverJobs
+};
@@ -0,0 +1,238 @@
+/**
+ * @fileoverview Managed networking for instances. Containers join a daemon-owned bridge network instead
+ * of the host network, and only the ports allocated to an instance are published on the host. A node-wide
+ * allocation table in storage/allocations.json makes sure two instances are never given the same HostPort.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const Docker = require('dockerode');
+const CatLoggr = require('cat-loggr');
+const config = require('../config.json');
+
+const log = new CatLoggr();
+const docker = new Docker({ socketPath: process.env.dockerSocket });
+
+const allocationsFilePath = path.join(__dirname, '../storage/allocations.json');
+const networkConfig = config.networking || {};
+const networkName = networkConfig.network || 'skyport';
+const portRange = networkConfig.portRange || { start: 25565, end: 25765 };
+
+// The FTP server's passive data ports (routes/FTP.js), which instances can't be given either
+const ftpPassivePorts = (config.ftp && config.ftp.passivePorts) || { start: 1025, end: 1050 };
+
+let writeChain = Promise.resolve();
+let networkReady = null;
+
+/**
+ * Makes sure the daemon-owned bridge network exists, creating it on first use.
+ * @returns {Promise<string>} The name of the network.
+ */
+function ensureNetwork() {
+    if (!networkReady) {
+        networkReady = (async () => {
+            const networks = await docker.listNetworks({ filters: { name: [networkName] } });
+            if (!networks.some(network => network.Name === networkName)) {
+                await docker.createNetwork({
+                    Name: networkName,
+                    Driver: 'bridge',
+                    CheckDuplicate: true,
+                    Labels: { 'skyport.managed': 'true' },
+                    ...(networkConfig.subnet && { IPAM: { Config: [{ Subnet: networkConfig.subnet }] } })
+                });
+                log.info(`Created bridge network ${networkName}`);
+            }
+            return networkName;
+        })().catch(err => {
+            networkReady = null;
+            throw err;
+        });
+    }
+    return networkReady;
+}
+
+/**
+ * @returns {number[]} Ports that can never be allocated to an instance.
+ */
+function getReservedPorts() {
+    const reserved = new Set([config.port, config.ftp.port, ...(networkConfig.reserved || [])]);
+    for (let port = ftpPassivePorts.start; port <= ftpPassivePorts.end; port++) {
+        reserved.add(port);
+    }
+    return [...reserved].map(Number).sort((a, b) => a - b);
+}
+
+async function readAllocations() {
+    try {
+        const data = await fs.readFile(allocationsFilePath, 'utf8');
+        return data.trim() ? JSON.parse(data) : {};
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return {};
+        }
+        throw error;
+    }
+}
+
+async function writeAllocations(allocations) {
+    await fs.writeFile(allocationsFilePath, JSON.stringify(allocations, null, 2));
+}
+
+// Runs a read-modify-write cycle on the allocation table, one at a time
+function withAllocations(fn) {
+    writeChain = writeChain.catch(() => {}).then(async () => {
+        const allocations = await readAllocations();
+        const result = await fn(allocations);
+        await writeAllocations(allocations);
+        return result;
+    });
+    return writeChain;
+}
+
+/**
+ * Extracts the host ports of a Docker PortBindings object.
+ * @param {Object} portBindings - e.g. { "25565/tcp": [{ "HostPort": "25565" }] }
+ * @returns {number[]} The distinct host ports.
+ */
+function getHostPorts(portBindings = {}) {
+    const ports = new Set();
+    for (const bindings of Object.values(portBindings || {})) {
+        for (const binding of bindings || []) {
+            if (binding.HostPort) {
+                ports.add(parseInt(binding.HostPort, 10));
+            }
+        }
+    }
+    return [...ports];
+}
+
+/**
+ * Allocates the host ports of an instance. Ports the instance held before but no longer binds are released.
+ * @param {string} volumeId - The volume identifier of the instance.
+ * @param {Object} portBindings - The Docker PortBindings of the instance.
+ * @returns {Promise<number[]>} The ports allocated to the instance.
+ * @throws {Error} With statusCode 409 if a port is reserved or already allocated to another instance.
+ */
+function allocatePorts(volumeId, portBindings) {
+    const ports = getHostPorts(portBindings);
+    const reserved = getReservedPorts();
+
+    return withAllocations((allocations) => {
+        for (const port of ports) {
+            const owner = allocations[port];
+            if (!Number.isInteger(port) || port < 1 || port > 65535) {
+                throw Object.assign(new Error(`Invalid host port ${port}`), { statusCode: 400 });
+            }
+            if (reserved.includes(port)) {
+                throw Object.assign(new Error(`Port ${port} is reserved on this node`), { statusCode: 409 });
+            }
+            if (owner && owner.volumeId !== volumeId) {
+                throw Object.assign(new Error(`Port ${port} is already allocated to another instance`), { statusCode: 409 });
+            }
+        }
+
+        for (const [port, owner] of Object.entries(allocations)) {
+            if (owner.volumeId === volumeId && !ports.includes(parseInt(port, 10))) {
+                delete allocations[port];
+            }
+        }
+        for (const port of ports) {
+            allocations[port] = allocations[port] || { volumeId, allocatedAt: new Date().toISOString() };
+        }
+        return ports;
+    });
+}
+
+/**
+ * Releases every port allocated to an instance.
+ * @param {string} volumeId - The volume identifier of the instance.
+ */
+function releasePorts(volumeId) {
+    return withAllocations((allocations) => {
+        for (const [port, owner] of Object.entries(allocations)) {
+            if (owner.volumeId === volumeId) {
+                delete allocations[port];
+            }
+        }
+    });
+}
+
+/**
+ * Works out which volume a container belongs to, from its label or, for older containers, its name.
+ * @param {Object} containerInfo - The result of inspecting the container.
+ * @returns {string} The volume identifier.
+ */
+function getVolumeId(containerInfo) {
+    const labels = containerInfo.Config.Labels || {};
+    return labels['skyport.volume'] || containerInfo.Name.replace(/^\//, '');
+}
+
+/**
+ * Lists the ports of the node: used ports with their instance, reserved ports, and the free ports in the
+ * configured allocation range.
+ * @returns {Promise<Object>} The port overview.
+ */
+async function listPorts() {
+    const allocations = await readAllocations();
+    const reserved = getReservedPorts();
+    const used = Object.entries(allocations)
+        .map(([port, owner]) => ({ port: parseInt(port, 10), ...owner }))
+        .sort((a, b) => a.port - b.port);
+
+    const free = [];
+    for (let port = portRange.start; port <= portRange.end; port++) {
+        if (!allocations[port] && !reserved.includes(port)) {
+            free.push(port);
+        }
+    }
+
+    return { range: portRange, used, reserved, free };
+}
+
+/**
+ * Seeds the allocation table with the ports of the instances that already exist, so that instances
+ * created before the table existed (or while it was lost) are protected too. Only containers of this
+ * daemon count: those with a volume label, or older ones named after an existing volume.
+ */
+async function syncAllocations() {
+    const containers = await docker.listContainers({ all: true });
+    const volumes = new Set(await fs.readdir(path.join(__dirname, '../volumes')).catch(() => []));
+    const found = [];
+
+    for (const { Id, Names = [], Labels = {} } of containers) {
+        const named = Names.some(name => volumes.has(name.replace(/^\//, '')));
+        if (!Labels['skyport.volume'] && !named) continue;
+        try {
+            const info = await docker.getContainer(Id).inspect();
+            const ports = getHostPorts(info.HostConfig.PortBindings);
+            if (ports.length > 0) {
+                found.push({ volumeId: getVolumeId(info), ports });
+            }
+        } catch (err) {
+            log.warn(`Could not inspect container ${Id}: ${err.message}`);
+        }
+    }
+
+    await withAllocations((allocations) => {
+        for (const { volumeId, ports } of found) {
+            for (const port of ports) {
+                if (!allocations[port]) {
+                    allocations[port] = { volumeId, allocatedAt: new Date().toISOString() };
+                } else if (allocations[port].volumeId !== volumeId) {
+                    log.warn(`Port ${port} is bound by both ${allocations[port].volumeId} and ${volumeId}`);
+                }
+            }
+        }
+    });
+}
+
+module.exports = {
+    networkName,
+    ftpPassivePorts,
+    ensureNetwork,
+    allocatePorts,
+    releasePorts,
+    getVolumeId,
+    listPorts,
+    syncAllocations
+};
@@ -0,0 +1,241 @@
+/**
+ * @fileoverview Power actions. Stopping is graceful: an instance can carry a stop command (sent to its
+ * console, such as "stop" or "save-all"), a stop signal and a grace timeout. A stop sends the command and
+ * waits for the container to exit, then sends the signal and waits again, and only kills the container
+ * (SIGKILL) once that timeout has passed as well. Each phase is reported to the instance's console.
+ *
+ * The command is kept in the container's `skyport.stop.command` label; the signal and timeout are the
+ * container's own StopSignal and StopTimeout, so `docker stop` honours them too.
+ */
+
+const Docker = require('dockerode');
+const CatLoggr = require('cat-loggr');
+const config = require('../config.json');
+const { sendCommand, notifyConsole } = require('./Console');
+const { resetCrashes } = require('./CrashWatcher');
+const { expectStop } = require('./ExpectedStops');
+
+const log = new CatLoggr();
+const docker = new Docker({ socketPath: process.env.dockerSocket });
+
+const powerActions = ['start', 'stop', 'restart', 'pause', 'unpause', 'kill'];
+const stopCommandLabel = 'skyport.stop.command';
+const defaultStopTimeout = (config.power || {}).stopTimeoutSeconds || 30;
+const maxStopTimeout = 3600;
+
+function httpError(statusCode, message) {
+    return Object.assign(new Error(message), { statusCode });
+}
+
+/**
+ * Validates the stop configuration of an instance, as given when deploying or editing it.
+ * @param {Object} [stop] - { command, signal, timeout }, all optional; timeout is in seconds.
+ * @returns {Object|null} The normalized configuration, or null if none was given.
+ * @throws {Error} With statusCode 400 if it's invalid.
+ */
+function normalizeStopConfig(stop) {
+    if (stop === undefined || stop === null) return null;
+    if (typeof stop !== 'object' || Array.isArray(stop)) {
+        throw httpError(400, 'Stop must be an object with command, signal and timeout');
+    }
+
+    const { command, signal, timeout } = stop;
+    if (command !== undefined && command !== null && (typeof command !== 'string' || /[\r\n]/.test(command) || command.length > 200)) {
+        throw httpError(400, 'Stop.command must be a single console command');
+    }
+    if (signal !== undefined && signal !== null && (typeof signal !== 'string' || !/^SIG[A-Z0-9+-]+$/.test(signal))) {
+        throw httpError(400, 'Stop.signal must be a signal name such as SIGTERM or SIGINT');
+    }
+    if (timeout !== undefined && timeout !== null && (!Number.isInteger(timeout) || timeout < 1 || timeout > maxStopTimeout)) {
+        throw httpError(400, `Stop.timeout must be between 1 and ${maxStopTimeout} seconds`);
+    }
+
+    return {
+        command: command || null,
+        signal: signal || null,
+        timeout: timeout || null
+    };
+}
+
+/**
+ * Turns a stop configuration into container create options.
+ * @param {Object|null} stop - The result of normalizeStopConfig.
+ * @returns {Object} { Labels, StopSignal, StopTimeout } as far as they are set.
+ */
+function stopContainerOptions(stop) {
+    if (!stop) return { Labels: {} };
+    return {
+        Labels: stop.command ? { [stopCommandLabel]: stop.command } : {},
+        ...(stop.signal && { StopSignal: stop.signal }),
+        ...(stop.timeout && { StopTimeout: stop.timeout })
+    };
+}
+
+/**
+ * Reads the stop configuration of a container.
+ * @param {Object} info - The container's inspect data.
+ * @returns {Object} { command, signal, timeout } with the defaults filled in.
+ */
+function readStopConfig(info) {
+    const labels = info.Config.Labels || {};
+    return {
+        command: labels[stopCommandLabel] || null,
+        signal: info.Config.StopSignal || 'SIGTERM',
+        timeout: Number.isInteger(info.Config.StopTimeout) ? info.Config.StopTimeout : defaultStopTimeout
+    };
+}
+
+/**
+ * The stop configuration a container was created with, to carry it over when it is recreated.
+ * @param {string} containerId - The container ID or name.
+ * @returns {Promise<Object|null>} The configuration, or null if the container doesn't exist.
+ */
+async function currentStopConfig(containerId) {
+    try {
+        const info = await docker.getContainer(containerId).inspect();
+        return normalizeStopConfig({
+            command: (info.Config.Labels || {})[stopCommandLabel],
+            signal: info.Config.StopSignal,
+            timeout: info.Config.StopTimeout
+        });
+    } catch (err) {
+        if (err.statusCode === 404) return null;
+        throw err;
+    }
+}
+
+// Resolves true once the container has exited, or false if it is still running after `seconds`
+async function waitForExit(container, seconds) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), seconds * 1000);
+    try {
+        await container.wait({ condition: 'not-running', abortSignal: controller.signal });
+        return true;
+    } catch (err) {
+        if (controller.signal.aborted) return false;
+        throw err;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Stops a container gracefully: stop command, then stop signal, then SIGKILL, waiting for the grace
+ * timeout after each of the first two.
+ * @param {string} containerId - The container ID or name.
+ * @param {Function} [onPhase] - Called with (phase, message) for each phase: command, signal, kill and
+ * stopped. By default they are shown on the container's console.
+ * @returns {Promise<string>} The phase that stopped the container.
+ * @throws {Error} With statusCode 304 if the container isn't running.
+ */
+async function stopGracefully(containerId, onPhase) {
+    const container = docker.getContainer(containerId);
+    const info = await container.inspect();
+    if (!info.State.Running) throw httpError(304, 'Container already stopped');
+
+    const { command, signal, timeout } = readStopConfig(info);
+    const names = [containerId, info.Id, info.Name.replace(/^\//, '')];
+    const report = (phase, message) => {
+        log.info(`Stopping ${containerId}: ${message}`);
+        if (onPhase) {
+            onPhase(phase, message);
+        } else {
+            notifyConsole(names, message);
+        }
+    };
+
+    // So the exit isn't taken for a crash
+    const unmark = expectStop(...names);
+    try {
+        return await escalateStop(container, containerId, { command, signal, timeout }, report);
+    } catch (err) {
+        unmark();
+        throw err;
+    }
+}
+
+async function escalateStop(container, containerId, { command, signal, timeout }, report) {
+    let stoppedBy = 'kill';
+    if (command) {
+        report('command', `Sending stop command "${command}", waiting up to ${timeout}s for the server to exit`);
+        try {
+            await sendCommand(container, command);
+            if (await waitForExit(container, timeout)) stoppedBy = 'command';
+        } catch (err) {
+            log.warn(`Stop command for ${containerId} failed: ${err.message}`);
+        }
+    }
+
+    if (stoppedBy === 'kill') {
+        report('signal', `Sending ${signal}, waiting up to ${timeout}s for the server to exit`);
+        try {
+            await container.kill({ signal });
+            if (await waitForExit(container, timeout)) stoppedBy = 'signal';
+        } catch (err) {
+            // 409: it exited in the meantime
+            if (err.statusCode !== 409) throw err;
+            stoppedBy = 'signal';
+        }
+    }
+
+    if (stoppedBy === 'kill') {
+        report('kill', `Still running after ${timeout}s, killing the server`);
+        await container.kill({ signal: 'SIGKILL' }).catch((err) => {
+            if (err.statusCode !== 409) throw err;
+        });
+        await waitForExit(container, 10);
+    }
+
+    report('stopped', 'Server stopped');
+    return stoppedBy;
+}
+
+// A start by hand lifts the crash-loop protection of the instance
+async function startByHand(container, containerId) {
+    const { Id, Name, Config } = await container.inspect();
+    await resetCrashes((Config.Labels || {})['skyport.volume'], containerId, Id, Name.replace(/^\//, ''));
+    await container.start();
+}
+
+/**
+ * Runs a power action on a container. stop and restart stop gracefully (see stopGracefully).
+ * @param {string} containerId - The container ID or name.
+ * @param {string} action - One of start, stop, restart, pause, unpause or kill.
+ * @param {Function} [onPhase] - Receives the stop phases of stop and restart.
+ * @returns {Promise<void>} Resolves once Docker has carried out the action.
+ * @throws {Error} With statusCode 400 for unknown actions, or the Docker error (304 if nothing changed).
+ */
+async function runPowerAction(containerId, action, onPhase) {
+    if (!powerActions.includes(action)) {
+        throw httpError(400, 'Invalid power action');
+    }
+
+    const container = docker.getContainer(containerId);
+    if (action === 'stop') {
+        await stopGracefully(containerId, onPhase);
+    } else if (action === 'restart') {
+        await stopGracefully(containerId, onPhase).catch((err) => {
+            if (err.statusCode !== 304) throw err;
+        });
+        await startByHand(container, containerId);
+    } else if (action === 'start') {
+        await startByHand(container, containerId);
+    } else if (action === 'kill') {
+        const unmark = expectStop(containerId);
+        await container.kill().catch((err) => {
+            unmark();
+            throw err;
+        });
+    } else {
+        await container[action]();
+    }
+}
+
+module.exports = {
+    powerActions,
+    runPowerAction,
+    stopGracefully,
+    normalizeStopConfig,
+    stopContainerOptions,
+    currentStopConfig
+};
@@ -0,0 +1,84 @@
+/**
+ * @fileoverview Regular expressions given by users, such as in file and console log searches. A pattern
+ * like (a+)+$ can backtrack for longer than anyone is willing to wait, and a running RegExp can't be
+ * interrupted, so lines are matched in batches in a worker thread, which is terminated when a batch
+ * takes longer than its time limit or the caller gives up.
+ */
+
+const { Worker } = require('worker_threads');
+
+const batchTimeout = 2000;
+
+const workerSource = `
+const { parentPort, workerData } = require('worker_threads');
+const pattern = new RegExp(workerData.source, workerData.flags);
+parentPort.on('message', (lines) => {
+    parentPort.postMessage(lines.map((line) => {
+        const match = pattern.exec(line);
+        return match ? match.index : -1;
+    }));
+});
+`;
+
+function httpError(statusCode, message) {
+    return Object.assign(new Error(message), { statusCode });
+}
+
+/**
+ * Compiles a user's regular expression.
+ * @param {string} source - The pattern.
+ * @param {Object} [options] - { caseSensitive }.
+ * @returns {Object} { match(lines, signal), close() }. match resolves with the index of the first match
+ * in each line (or -1), and rejects with statusCode 400 if the batch takes too long or with an AbortError
+ * if the signal fires. One batch is matched at a time; close() stops the worker.
+ * @throws {Error} With statusCode 400 if the pattern is invalid.
+ */
+function createRegexMatcher(source, { caseSensitive = false } = {}) {
+    const flags = caseSensitive ? '' : 'i';
+    try {
+        new RegExp(source, flags);
+    } catch (err) {
+        throw httpError(400, err.message);
+    }
+
+    let worker = null;
+    const close = () => {
+        if (!worker) return;
+        worker.terminate();
+        worker = null;
+    };
+
+    const match = (lines, signal) => new Promise((resolve, reject) => {
+        if (!worker) worker = new Worker(workerSource, { eval: true, workerData: { source, flags } });
+        const current = worker;
+        let timer;
+
+        const finish = (err, result) => {
+            clearTimeout(timer);
+            current.off('message', onMessage);
+            current.off('error', onError);
+            if (signal) signal.removeEventListener('abort', onAbort);
+            if (err) {
+                // Whatever it is still running is abandoned with it
+                if (worker === current) close();
+                reject(err);
+            } else {
+                resolve(result);
+            }
+        };
+        const onMessage = result => finish(null, result);
+        const onError = err => finish(err);
+        const onAbort = () => finish(Object.assign(new Error('The operation was aborted'), { name: 'AbortError' }));
+
+        if (signal && signal.aborted) return onAbort();
+        timer = setTimeout(() => finish(httpError(400, `Regular expression took longer than ${batchTimeout / 1000}s to run, try a simpler one`)), batchTimeout);
+        current.on('message', onMessage);
+        current.on('error', onError);
+        if (signal) signal.addEventListener('abort', onAbort);
+        current.postMessage(lines);
+    });
+
+    return { match, close };
+}
+
+module.exports = { createRegexMatcher };
@@ -0,0 +1,223 @@
+const fs = require('fs');
+const Docker = require('dockerode');
+const docker = new Docker({ socketPath: process.env.dockerSocket });
+
+const MB = 1024 * 1024;
+const limitsLabel = 'skyport.limits';
+
+// Limits that are copied into HostConfig as-is
+const passthroughLimits = ['NanoCpus', 'CpuQuota', 'CpuPeriod', 'CpusetCpus', 'CpusetMems', 'PidsLimit', 'BlkioWeight'];
+// Per-device block IO throttles, each a list of { Path, Rate }
+const deviceLimits = ['BlkioDeviceReadBps', 'BlkioDeviceWriteBps', 'BlkioDeviceReadIOps', 'BlkioDeviceWriteIOps'];
+
+/**
+ * Builds the resource limit part of a container's HostConfig.
+ * `Cpu` is a number of cores: it maps to NanoCpus on Linux (CpuCount is a Windows-only field that Linux
+ * ignores) unless an explicit NanoCpus or CpuQuota limit is given. Memory values are in MB.
+ *
+ * @param {number} memory - Memory limit in MB.
+ * @param {number} [cpu] - Number of CPU cores.
+ * @param {Object} [limits] - Additional limits (NanoCpus, CpuQuota, CpuPeriod, CpusetCpus, CpusetMems,
+ * MemorySwap, PidsLimit, BlkioWeight and the BlkioDevice* throttles).
+ * @returns {Object} The HostConfig fields to apply.
+ */
+function buildResourceLimits(memory, cpu, limits = {}) {
+    const hostConfig = { Memory: (memory || 0) * MB };
+
+    if (cpu && !limits.NanoCpus && !limits.CpuQuota) {
+        if (process.platform === 'win32') {
+            hostConfig.CpuCount = cpu;
+        } else {
+            hostConfig.NanoCpus = Math.round(cpu * 1e9);
+        }
+    }
+
+    if (limits.MemorySwap !== undefined && limits.MemorySwap !== null) {
+        hostConfig.MemorySwap = limits.MemorySwap === -1 ? -1 : limits.MemorySwap * MB;
+    }
+
+    for (const key of passthroughLimits) {
+        if (limits[key] !== undefined && limits[key] !== null) {
+            hostConfig[key] = limits[key];
+        }
+    }
+
+    for (const key of deviceLimits) {
+        if (Array.isArray(limits[key])) {
+            hostConfig[key] = limits[key].map(({ Path, Rate }) => ({ Path, Rate }));
+        }
+    }
+
+    return hostConfig;
+}
+
+/**
+ * Reads the limits back out of a container's HostConfig, in the same units `buildResourceLimits`
+ * accepts, so they can be reported or carried over when a container is recreated.
+ *
+ * @param {Object} hostConfig - The HostConfig of an inspected container.
+ * @returns {Object} The effective limits. `Cpus` is the resulting number of cores, if CPU is limited.
+ */
+function describeLimits(hostConfig = {}) {
+    const limits = {
+        Memory: hostConfig.Memory ? hostConfig.Memory / MB : 0
+    };
+
+    if (hostConfig.MemorySwap) {
+        limits.MemorySwap = hostConfig.MemorySwap === -1 ? -1 : hostConfig.MemorySwap / MB;
+    }
+
+    for (const key of passthroughLimits) {
+        if (hostConfig[key]) {
+            limits[key] = hostConfig[key];
+        }
+    }
+
+    for (const key of deviceLimits) {
+        if (Array.isArray(hostConfig[key]) && hostConfig[key].length > 0) {
+            limits[key] = hostConfig[key];
+        }
+    }
+
+    if (hostConfig.NanoCpus) {
+        limits.Cpus = hostConfig.NanoCpus / 1e9;
+    } else if (hostConfig.CpuQuota > 0) {
+        limits.Cpus = hostConfig.CpuQuota / (hostConfig.CpuPeriod || 100000);
+    } else if (hostConfig.CpuCount) {
+        limits.Cpus = hostConfig.CpuCount;
+    }
+
+    return limits;
+}
+
+/**
+ * The labels that keep the limits a container was created with as they were requested, since Docker fills
+ * in defaults of its own (such as a MemorySwap of twice Memory) that can't be told apart from them.
+ *
+ * @param {number} memory - Memory limit in MB.
+ * @param {number} [cpu] - Number of CPU cores.
+ * @param {Object} [limits] - Additional limits.
+ * @returns {Object} The labels.
+ */
+function limitsLabels(memory, cpu, limits = {}) {
+    return { [limitsLabel]: JSON.stringify({ Memory: memory || 0, Cpu: cpu || null, Limits: limits || {} }) };
+}
+
+/**
+ * Reads the requested limits back out of a container's labels.
+ * @param {Object} [labels] - The container's labels.
+ * @returns {Object|null} { Memory, Cpu, Limits }, or null for containers created without the label.
+ */
+function readRequestedLimits(labels = {}) {
+    try {
+        const { Memory, Cpu, Limits } = JSON.parse(labels[limitsLabel]);
+        return { Memory: Memory || 0, Cpu: Cpu || undefined, Limits: { ...Limits } };
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * Parses a cpuset string such as "0-3,6" into the list of CPUs it contains.
+ * @param {string} cpuset - The cpuset string.
+ * @returns {number[]|null} The CPU numbers, or null if the string is malformed.
+ */
+function parseCpuset(cpuset) {
+    const cpus = [];
+    for (const part of String(cpuset).split(',')) {
+        const match = part.trim().match(/^(\d+)(?:-(\d+))?$/);
+        if (!match) return null;
+        const start = parseInt(match[1], 10);
+        const end = match[2] !== undefined ? parseInt(match[2], 10) : start;
+        if (end < start) return null;
+        for (let cpu = start; cpu <= end; cpu++) cpus.push(cpu);
+    }
+    return cpus;
+}
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+/**
+ * Validates HostConfig limits against each other and against the capacity of the host Docker runs on.
+ * @param {Object} hostConfig - The limits produced by `buildResourceLimits`.
+ * @returns {Promise<string[]>} A list of validation errors, empty if the limits are valid.
+ */
+async function validateResourceLimits(hostConfig) {
+    const errors = [];
+    const { NCPU, MemTotal } = await docker.info();
+
+    if (!(hostConfig.Memory >= 0)) {
+        errors.push('Memory must be a positive number');
+    } else if (hostConfig.Memory > MemTotal) {
+        errors.push(`Memory exceeds the host's ${Math.floor(MemTotal / MB)} MB`);
+    }
+
+    if (hostConfig.MemorySwap !== undefined && hostConfig.MemorySwap !== -1) {
+        if (!hostConfig.Memory) {
+            errors.push('MemorySwap can only be set together with a Memory limit');
+        } else if (!(hostConfig.MemorySwap >= hostConfig.Memory)) {
+            errors.push('MemorySwap must be -1 or at least Memory (it is memory plus swap)');
+        }
+    }
+
+    if (hostConfig.NanoCpus !== undefined) {
+        if (!isPositiveInteger(hostConfig.NanoCpus)) {
+            errors.push('NanoCpus must be a positive integer');
+        } else if (hostConfig.NanoCpus > NCPU * 1e9) {
+            errors.push(`CPU limit exceeds the host's ${NCPU} CPUs`);
+        }
+    }
+
+    if (hostConfig.CpuPeriod !== undefined && !(hostConfig.CpuPeriod >= 1000 && hostConfig.CpuPeriod <= 1000000)) {
+        errors.push('CpuPeriod must be between 1000 and 1000000 microseconds');
+    }
+
+    if (hostConfig.CpuQuota !== undefined) {
+        if (!(hostConfig.CpuQuota >= 1000)) {
+            errors.push('CpuQuota must be at least 1000 microseconds');
+        } else if (hostConfig.CpuQuota / (hostConfig.CpuPeriod || 100000) > NCPU) {
+            errors.push(`CPU quota exceeds the host's ${NCPU} CPUs`);
+        }
+    }
+
+    if (hostConfig.NanoCpus !== undefined && hostConfig.CpuQuota !== undefined) {
+        errors.push('NanoCpus and CpuQuota cannot be combined');
+    }
+
+    if (hostConfig.CpusetCpus !== undefined) {
+        const cpus = parseCpuset(hostConfig.CpusetCpus);
+        if (!cpus) {
+            errors.push('CpusetCpus must look like "0-3,6"');
+        } else if (cpus.some(cpu => cpu >= NCPU)) {
+            errors.push(`CpusetCpus references CPUs the host doesn't have (0-${NCPU - 1})`);
+        }
+    }
+
+    if (hostConfig.CpusetMems !== undefined && !parseCpuset(hostConfig.CpusetMems)) {
+        errors.push('CpusetMems must look like "0-1"');
+    }
+
+    if (hostConfig.PidsLimit !== undefined && hostConfig.PidsLimit !== -1 && !isPositiveInteger(hostConfig.PidsLimit)) {
+        errors.push('PidsLimit must be a positive integer or -1');
+    }
+
+    if (hostConfig.BlkioWeight !== undefined && hostConfig.BlkioWeight !== 0
+        && !(Number.isInteger(hostConfig.BlkioWeight) && hostConfig.BlkioWeight >= 10 && hostConfig.BlkioWeight <= 1000)) {
+        errors.push('BlkioWeight must be between 10 and 1000');
+    }
+
+    for (const key of deviceLimits) {
+        for (const device of hostConfig[key] || []) {
+            if (typeof device.Path !== 'string' || !device.Path.startsWith('/dev/') || !fs.existsSync(device.Path)) {
+                errors.push(`${key}: ${device.Path} is not a block device on this host`);
+            }
+            if (!isPositiveInteger(device.Rate)) {
+                errors.push(`${key}: Rate for ${device.Path} must be a positive integer`);
+            }
+        }
+    }
+
+    return errors;
+}
+
+module.exports = { buildResourceLimits, describeLimits, validateResourceLimits, limitsLabels, readRequestedLimits };
@@ -0,0 +1,279 @@
+/**
+ * @fileoverview Retention policies for the archives of each bucket, wherever they are stored. A policy
+ * keeps the last N archives, the newest of each of the last D days and W weeks, and caps the bucket's
+ * total size. An archive survives if any rule keeps it; the size cap then deletes the oldest survivors
+ * until the bucket fits. Pinned archives and locked archives (in use right now) are never deleted.
+ * Policies and pins are stored in storage/retention.json and applied by a background pruner.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const CatLoggr = require('cat-loggr');
+const config = require('../config.json');
+const { listArchives, deleteArchive, isArchiveLocked } = require('./Archives');
+const { listAllBuckets } = require('./ArchiveStorage');
+
+const log = new CatLoggr();
+
+const retentionFilePath = path.join(__dirname, '../storage/retention.json');
+const retentionConfig = config.retention || {};
+const policyKeys = ['keepLast', 'keepDaily', 'keepWeekly', 'maxTotalSizeMb'];
+const MB = 1024 * 1024;
+
+let retention = {};
+let writeChain = Promise.resolve();
+
+function loadRetention() {
+    try {
+        if (fs.existsSync(retentionFilePath)) {
+            const data = fs.readFileSync(retentionFilePath, 'utf8');
+            retention = data.trim() ? JSON.parse(data) : {};
+        }
+    } catch (err) {
+        log.error('Error reading retention policies from JSON file:', err);
+        retention = {};
+    }
+}
+
+function saveRetention() {
+    writeChain = writeChain.catch(() => {}).then(() => {
+        return fs.promises.writeFile(retentionFilePath, JSON.stringify(retention, null, 2));
+    }).catch(err => {
+        log.error('Error saving retention policies to JSON file:', err);
+    });
+    return writeChain;
+}
+
+function entryFor(id) {
+    return retention[id] || { policy: null, pinned: [] };
+}
+
+/**
+ * Validates a retention policy. Every rule is optional, but at least one has to be set, and a rule of 0
+ * (which would delete every archive) isn't accepted.
+ * @param {Object} policy - The policy as received from the API.
+ * @returns {string[]} A list of validation errors, empty if the policy is valid.
+ */
+function validatePolicy(policy) {
+    const errors = [];
+    if (!policy || typeof policy !== 'object') {
+        return ['A policy object is required'];
+    }
+
+    const rules = policyKeys.filter(key => policy[key] !== undefined && policy[key] !== null);
+    if (rules.length === 0) {
+        errors.push(`Set at least one of ${policyKeys.join(', ')}`);
+    }
+    rules.forEach(key => {
+        if (!Number.isInteger(policy[key]) || policy[key] < 1) {
+            errors.push(`${key} must be a positive integer`);
+        }
+    });
+    Object.keys(policy).filter(key => !policyKeys.includes(key)).forEach(key => {
+        errors.push(`Unknown policy rule ${key}`);
+    });
+
+    return errors;
+}
+
+/**
+ * @param {string} id - The archive bucket.
+ * @returns {Object|null} The bucket's own policy, or the node-wide default from config.retention.
+ */
+function getPolicy(id) {
+    return entryFor(id).policy || retentionConfig.defaultPolicy || null;
+}
+
+/**
+ * Sets or, when policy is null, removes the policy of a bucket.
+ * @param {string} id - The archive bucket.
+ * @param {Object|null} policy - The policy.
+ */
+async function setPolicy(id, policy) {
+    const entry = entryFor(id);
+    entry.policy = policy ? Object.fromEntries(policyKeys.filter(key => policy[key] != null).map(key => [key, policy[key]])) : null;
+    retention[id] = entry;
+    if (!entry.policy && entry.pinned.length === 0) delete retention[id];
+    await saveRetention();
+}
+
+/**
+ * @param {string} id - The archive bucket.
+ * @returns {string[]} The names of the pinned archives.
+ */
+function getPinned(id) {
+    return entryFor(id).pinned;
+}
+
+/**
+ * Pins or unpins an archive. Pinned archives are never pruned.
+ * @param {string} id - The archive bucket.
+ * @param {string} archiveName - The archive file name.
+ * @param {boolean} pinned - Whether the archive should be pinned.
+ */
+async function setPinned(id, archiveName, pinned) {
+    const entry = entryFor(id);
+    entry.pinned = entry.pinned.filter(name => name !== archiveName);
+    if (pinned) entry.pinned.push(archiveName);
+    retention[id] = entry;
+    if (!entry.policy && entry.pinned.length === 0) delete retention[id];
+    await saveRetention();
+}
+
+function dayKey(date) {
+    return date.toISOString().substring(0, 10);
+}
+
+// ISO 8601 week, e.g. 2024-W07
+function weekKey(date) {
+    const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    day.setUTCDate(day.getUTCDate() + 4 - (day.getUTCDay() || 7));
+    const yearStart = new Date(Date.UTC(day.getUTCFullYear(), 0, 1));
+    const week = Math.ceil(((day - yearStart) / 86400000 + 1) / 7);
+    return `${day.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+}
+
+/**
+ * Keeps the newest archive of each period, for as many periods back from now as the rule allows.
+ */
+function keepPerPeriod(archives, periods, keyOf, periodMs, now, reason, reasons) {
+    const cutoff = now - periods * periodMs;
+    const seen = new Set();
+    for (const archive of archives) {
+        if (archive.createdAt < cutoff) break;
+        const key = keyOf(archive.createdAt);
+        if (seen.has(key)) continue;
+        seen.add(key);
+        reasons.get(archive.name).push(reason);
+    }
+}
+
+/**
+ * Works out which archives of a bucket a policy keeps.
+ * @param {string} id - The archive bucket.
+ * @param {Object} [policy] - The policy to evaluate; the bucket's policy otherwise.
+ * @returns {Promise<Object>} The evaluated policy and every archive with whether it is kept and why
+ * (or why not).
+ */
+async function evaluateRetention(id, policy = getPolicy(id)) {
+    const archives = await listArchives(id);
+    const pinned = getPinned(id);
+    const now = Date.now();
+    const reasons = new Map(archives.map(archive => [archive.name, []]));
+    const overSize = new Set();
+
+    archives.forEach((archive, index) => {
+        if (pinned.includes(archive.name)) reasons.get(archive.name).push('pinned');
+        if (isArchiveLocked(id, archive.name)) reasons.get(archive.name).push('locked');
+        if (!policy) reasons.get(archive.name).push('no policy');
+        else if (policy.keepLast && index < policy.keepLast) reasons.get(archive.name).push('last');
+    });
+
+    if (policy) {
+        const countRules = ['keepLast', 'keepDaily', 'keepWeekly'].some(key => policy[key] != null);
+        if (!countRules) {
+            archives.forEach(archive => reasons.get(archive.name).push('within maxTotalSizeMb'));
+        }
+        if (policy.keepDaily) {
+            keepPerPeriod(archives, policy.keepDaily, dayKey, 86400000, now, 'daily', reasons);
+        }
+        if (policy.keepWeekly) {
+            keepPerPeriod(archives, policy.keepWeekly, weekKey, 7 * 86400000, now, 'weekly', reasons);
+        }
+
+        if (policy.maxTotalSizeMb != null) {
+            const maxBytes = policy.maxTotalSizeMb * MB;
+            let total = archives
+                .filter(archive => reasons.get(archive.name).length > 0)
+                .reduce((sum, archive) => sum + archive.size, 0);
+
+            for (const archive of [...archives].reverse()) {
+                if (total <= maxBytes) break;
+                const archiveReasons = reasons.get(archive.name);
+                if (archiveReasons.length === 0 || archiveReasons.includes('pinned') || archiveReasons.includes('locked')) continue;
+                reasons.set(archive.name, []);
+                overSize.add(archive.name);
+                total -= archive.size;
+            }
+        }
+    }
+
+    return {
+        policy,
+        archives: archives.map(archive => ({
+            name: archive.name,
+            size: archive.size,
+            createdAt: archive.createdAt.toISOString(),
+            keep: reasons.get(archive.name).length > 0,
+            reasons: reasons.get(archive.name).length > 0
+                ? reasons.get(archive.name)
+                : [overSize.has(archive.name) ? 'over maxTotalSizeMb' : 'not kept by any rule']
+        }))
+    };
+}
+
+/**
+ * Deletes the archives a bucket's policy doesn't keep. Locks are checked again right before each
+ * delete, since an archive may have been picked up since the evaluation.
+ * @param {string} id - The archive bucket.
+ * @returns {Promise<string[]>} The names of the deleted archives.
+ */
+async function applyRetention(id) {
+    const { policy, archives } = await evaluateRetention(id);
+    if (!policy) return [];
+
+    const deleted = [];
+    for (const archive of archives.filter(archive => !archive.keep)) {
+        if (isArchiveLocked(id, archive.name) || getPinned(id).includes(archive.name)) continue;
+        try {
+            await deleteArchive(id, archive.name);
+            deleted.push(archive.name);
+        } catch (err) {
+            if (err.statusCode !== 404) throw err;
+        }
+    }
+
+    // Pins of archives that no longer exist are dropped
+    const remaining = new Set(archives.map(archive => archive.name).filter(name => !deleted.includes(name)));
+    const pinned = getPinned(id);
+    if (pinned.some(name => !remaining.has(name))) {
+        retention[id].pinned = pinned.filter(name => remaining.has(name));
+        await saveRetention();
+    }
+
+    if (deleted.length > 0) {
+        log.info(`Retention pruned ${deleted.length} archive(s) of ${id}`);
+    }
+    return deleted;
+}
+
+async function pruneAll() {
+    for (const { id } of await listAllBuckets()) {
+        try {
+            await applyRetention(id);
+        } catch (err) {
+            log.error(`Error applying retention to ${id}: ${err.message}`);
+        }
+    }
+}
+
+/**
+ * Starts the background pruner, every `retention.intervalMinutes` (60 by default).
+ */
+function startRetentionPruner() {
+    setInterval(() => pruneAll().catch(err => log.error('Retention pruner failed:', err.message)),
+        (retentionConfig.intervalMinutes || 60) * 60 * 1000);
+}
+
+loadRetention();
+
+module.exports = {
+    validatePolicy,
+    getPolicy,
+    setPolicy,
+    getPinned,
+    setPinned,
+    evaluateRetention,
+    applyRetention,
+    startRetentionPruner
+};
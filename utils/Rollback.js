@@ -0,0 +1,243 @@
+/**
+ * @fileoverview Rolls a volume back to an archive without ever leaving it half-restored. The archive
+ * (downloaded to tmp/ first if it lives on a remote destination) is opened and checked against the disk
+ * quota before anything is touched; then the instance is stopped, a pre-rollback archive is taken, and
+ * the archive is extracted into a staging directory and verified (sizes, and CRCs for zips) before being
+ * swapped in. The instance is started again if it was running, including when the rollback fails.
+ *
+ * Selected files or directories can also be restored on their own, into the volume or a subfolder of
+ * it. They go through the same staging and verification, and only the selected paths are replaced.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Docker = require('dockerode');
+const CatLoggr = require('cat-loggr');
+const { getContainerId } = require('./States');
+const { runPowerAction } = require('./Power');
+const { getDiskUsage, assertDiskSpace, refreshDiskUsage } = require('./DiskQuota');
+const { createArchive, lockArchive, isEncryptionRequired } = require('./Archives');
+const { withLocalArchive } = require('./ArchiveStorage');
+const { createStagingDirectory, swapVolume } = require('./VolumeSwap');
+const { formatOf, listEntries, extractArchive, verifyArchiveFile } = require('./ArchiveFormats');
+const { resolveInVolume } = require('./SafePath');
+
+const log = new CatLoggr();
+const volumesPath = path.join(__dirname, '../volumes');
+const docker = new Docker({ socketPath: process.env.dockerSocket });
+
+// Archives their bucket or sidecar says are encrypted are refused if they aren't
+async function withArchive(id, archiveName, fn) {
+    return withLocalArchive(id, archiveName, fn, { requireEncrypted: await isEncryptionRequired(id, archiveName) });
+}
+
+async function isRunning(containerId) {
+    try {
+        const { State } = await docker.getContainer(containerId).inspect();
+        return State.Running;
+    } catch (err) {
+        if (err.statusCode === 404) return false;
+        throw err;
+    }
+}
+
+/**
+ * Rolls a volume back to an archive.
+ * @param {string} id - The archive bucket.
+ * @param {string} volumeId - The volume to roll back.
+ * @param {string} archiveName - The archive to roll back to.
+ * @returns {Promise<{preRollbackArchive: string, restarted: boolean, skipped: string[]}>} The name of
+ * the archive taken of the volume just before the rollback, whether the instance was started again, and
+ * the symlinks that were left out because they point outside of the volume.
+ * @throws {Error} With statusCode 404 if the archive doesn't exist, 507 if it wouldn't fit in the quota.
+ */
+async function rollbackVolume(id, volumeId, archiveName) {
+    const release = lockArchive(id, archiveName);
+    try {
+        return await withArchive(id, archiveName, archivePath => rollbackFromFile(id, volumeId, archiveName, archivePath));
+    } finally {
+        release();
+    }
+}
+
+async function rollbackFromFile(id, volumeId, archiveName, archivePath) {
+    let stagingPath = null;
+    let wasRunning = false;
+    let containerId;
+
+    try {
+        const format = formatOf(archiveName);
+        let entries;
+        try {
+            entries = await listEntries(archivePath, format);
+        } catch (err) {
+            throw new Error(`Archive is unreadable: ${err.message}`);
+        }
+
+        const extractedSize = entries.reduce((total, entry) => total + entry.size, 0);
+        const { used } = await getDiskUsage(volumeId);
+        await assertDiskSpace(volumeId, extractedSize - used);
+
+        containerId = await getContainerId(volumeId);
+        wasRunning = await isRunning(containerId);
+        if (wasRunning) {
+            log.info(`Stopping ${volumeId} for rollback`);
+            await runPowerAction(containerId, 'stop');
+        }
+
+        const preRollbackArchive = await createArchive(id, volumeId, { format, label: 'pre-rollback' });
+
+        stagingPath = await createStagingDirectory(volumeId, 'rollback');
+        const { skipped } = await extractArchive(archivePath, format, stagingPath, { maxBytes: extractedSize });
+        await swapVolume(volumeId, stagingPath);
+        stagingPath = null;
+        refreshDiskUsage(volumeId).catch(() => {});
+
+        log.info(`Volume ${volumeId} rolled back to ${archiveName}`);
+        return { preRollbackArchive, restarted: wasRunning, skipped };
+    } finally {
+        if (stagingPath) {
+            await fs.promises.rm(stagingPath, { recursive: true, force: true });
+        }
+        if (wasRunning) {
+            await runPowerAction(containerId, 'start').catch(err => {
+                log.error(`Failed to restart ${volumeId} after rollback: ${err.message}`);
+            });
+        }
+    }
+}
+
+/**
+ * Lists the contents of an archive.
+ * @param {string} id - The archive bucket.
+ * @param {string} archiveName - The archive to list.
+ * @returns {Promise<Object[]>} The entries with their path, type, size and modification time.
+ * @throws {Error} With statusCode 404 if the archive doesn't exist.
+ */
+async function listArchiveContents(id, archiveName) {
+    const format = formatOf(archiveName);
+    const release = lockArchive(id, archiveName);
+    try {
+        return await withArchive(id, archiveName, archivePath => listEntries(archivePath, format));
+    } finally {
+        release();
+    }
+}
+
+function normalizeEntryPath(entryPath) {
+    return path.posix.normalize(String(entryPath).replace(/\\/g, '/')).replace(/^(\.?\/)+/, '').replace(/\/+$/, '');
+}
+
+/**
+ * Restores selected files or directories from an archive. Each selected path replaces whatever is at
+ * the same place in the volume, or under `target` when a subfolder is given; nothing else is touched.
+ * @param {string} id - The archive bucket.
+ * @param {string} volumeId - The volume to restore into.
+ * @param {string} archiveName - The archive to restore from.
+ * @param {Object} options - Restore options.
+ * @param {string[]} options.paths - Archive paths to restore; a directory restores everything under it.
+ * @param {string} [options.target] - A subfolder of the volume to restore into instead of its root.
+ * @returns {Promise<{restored: string[], target: string, skipped: string[]}>} The restored paths, where
+ * they went, and the symlinks that were left out because they point outside of the volume.
+ * @throws {Error} With statusCode 400 if a path isn't in the archive, 404 if the archive doesn't exist,
+ * 507 if the files wouldn't fit in the quota.
+ */
+async function restorePaths(id, volumeId, archiveName, { paths, target = '' }) {
+    const format = formatOf(archiveName);
+    const selected = [...new Set(paths.map(normalizeEntryPath))];
+    const invalid = selected.filter(selectedPath => !selectedPath || selectedPath === '.' || selectedPath.split('/')[0] === '..');
+    if (invalid.length > 0) {
+        throw Object.assign(new Error(`Invalid paths: ${invalid.join(', ')}`), { statusCode: 400 });
+    }
+
+    const volumePath = path.join(volumesPath, volumeId);
+    const realVolumePath = await fs.promises.realpath(volumePath);
+    // Resolved through symlinks, so a link in the volume can't send the restore outside of it
+    const resolve = async (relativePath, options) => {
+        try {
+            return await resolveInVolume(realVolumePath, relativePath, options);
+        } catch (err) {
+            if (err.code) throw err;
+            throw Object.assign(err, { statusCode: 400 });
+        }
+    };
+    const targetPath = await resolve(target);
+
+    const release = lockArchive(id, archiveName);
+    let stagingPath = null;
+    let replacedPath = null;
+    try {
+        return await withArchive(id, archiveName, async (archivePath) => {
+            const isSelected = entryPath => selected.some(selectedPath => entryPath === selectedPath || entryPath.startsWith(`${selectedPath}/`));
+            const entries = (await listEntries(archivePath, format)).filter(entry => isSelected(entry.path));
+
+            const missing = selected.filter(selectedPath => !entries.some(entry => entry.path === selectedPath || entry.path.startsWith(`${selectedPath}/`)));
+            if (missing.length > 0) {
+                throw Object.assign(new Error(`Not found in the archive: ${missing.join(', ')}`), { statusCode: 400 });
+            }
+
+            const extractedSize = entries.reduce((total, entry) => total + entry.size, 0);
+            await assertDiskSpace(volumeId, extractedSize);
+
+            stagingPath = await createStagingDirectory(volumeId, 'restore');
+            const { skipped } = await extractArchive(archivePath, format, stagingPath, { select: isSelected, maxBytes: extractedSize });
+
+            // Only the outermost selected paths are moved; nested ones came along with their parent
+            const roots = selected.filter(selectedPath => !selected.some(other => other !== selectedPath && selectedPath.startsWith(`${other}/`)));
+            replacedPath = `${stagingPath}-replaced`;
+            await fs.promises.mkdir(replacedPath);
+            for (const [index, root] of roots.entries()) {
+                const relativePath = path.join(path.relative(realVolumePath, targetPath), root);
+                await fs.promises.mkdir(path.dirname(await resolve(relativePath, { followLink: false })), { recursive: true });
+                // Again now that its parents exist; a link is replaced, not followed
+                const destination = await resolve(relativePath, { followLink: false });
+
+                // The old entry is moved aside rather than deleted first, so it can be put back if the
+                // new one can't be moved in
+                const previous = path.join(replacedPath, String(index));
+                const existing = await fs.promises.lstat(destination).catch(() => null);
+                if (existing) await fs.promises.rename(destination, previous);
+                try {
+                    await fs.promises.rename(path.join(stagingPath, root), destination);
+                } catch (err) {
+                    if (existing) await fs.promises.rename(previous, destination);
+                    throw err;
+                }
+            }
+            refreshDiskUsage(volumeId).catch(() => {});
+
+            log.info(`Restored ${roots.length} path(s) from ${archiveName} into ${volumeId}`);
+            return { restored: roots, target: path.relative(realVolumePath, targetPath) || '.', skipped };
+        });
+    } finally {
+        if (stagingPath) {
+            await fs.promises.rm(stagingPath, { recursive: true, force: true });
+        }
+        if (replacedPath) {
+            await fs.promises.rm(replacedPath, { recursive: true, force: true });
+        }
+        release();
+    }
+}
+
+/**
+ * Checks an archive without restoring it: decrypts it if needed and reads every entry back against the
+ * size (and, for zips, the CRC) recorded in the archive.
+ * @param {string} id - The archive bucket.
+ * @param {string} archiveName - The archive to check.
+ * @returns {Promise<Object>} The number of entries checked and the ones that failed.
+ */
+async function verifyArchive(id, archiveName) {
+    const release = lockArchive(id, archiveName);
+    try {
+        return await withArchive(id, archiveName, archivePath => verifyArchiveFile(archivePath, formatOf(archiveName)));
+    } catch (err) {
+        // A missing archive is an error; one that can't be downloaded or decrypted is a failed check
+        if (err.statusCode) throw err;
+        return { ok: false, checked: 0, failed: [{ path: null, error: err.message }] };
+    } finally {
+        release();
+    }
+}
+
+module.exports = { rollbackVolume, listArchiveContents, restorePaths, verifyArchive };
@@ -1,3 +1,4 @@
+const fs = require('fs').promises;
 const path = require('path');
 
 /**
@@ -8,11 +9,46 @@ const path = require('path');
  * @throws {Error} If the resolved path attempts to escape the base directory.
  */
 function safePath(base, target) {
-    const fullPath = path.resolve(base, target);
-    if (!fullPath.startsWith(base)) {
+    const root = path.resolve(base);
+    const fullPath = path.resolve(root, target);
+    // Compare whole path segments, so "volumes/abc" doesn't pass for a base of "volumes/ab"
+    if (fullPath !== root && !fullPath.startsWith(root + path.sep)) {
         throw new Error('Attempting to access outside of the volume');
     }
     return fullPath;
 }
 
-module.exports = { safePath };
\ No newline at end of file
+/**
+ * Like safePath, but also resolves symlinks, so that a link inside the volume (or a directory on the way
+ * that is one) can't be used to reach outside of it. Paths that don't exist yet are resolved through
+ * their closest existing parent.
+ * @param {string} volumePath - The volume directory.
+ * @param {string} target - The target path, relative to the volume or absolute.
+ * @param {Object} [options] - { followLink: resolve the target itself when it is a symlink (default
+ * true); when false the link itself is returned, for operations that act on links such as delete }.
+ * @returns {Promise<string>} The real path, confirmed to be within the real volume directory.
+ * @throws {Error} If it resolves outside of the volume, or ENOENT if the volume doesn't exist.
+ */
+async function resolveInVolume(volumePath, target, { followLink = true } = {}) {
+    const root = path.resolve(volumePath);
+    const fullPath = safePath(root, target);
+    const realVolumePath = await fs.realpath(root);
+
+    let existing = followLink || fullPath === root ? fullPath : path.dirname(fullPath);
+    let realPath;
+    while (!realPath) {
+        try {
+            realPath = path.join(await fs.realpath(existing), path.relative(existing, fullPath));
+        } catch (err) {
+            if (err.code !== 'ENOENT' || existing === root) throw err;
+            existing = path.dirname(existing);
+        }
+    }
+
+    if (realPath !== realVolumePath && !realPath.startsWith(realVolumePath + path.sep)) {
+        throw new Error('Attempting to access outside of the volume');
+    }
+    return realPath;
+}
+
+module.exports = { safePath, resolveInVolume };
\ No newline at end of file
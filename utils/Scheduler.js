@@ -0,0 +1,317 @@
+/**
+ * @fileoverview Per-instance scheduled tasks. Each instance can have any number of schedules, each with a
+ * cron expression and an ordered list of actions: console commands, power actions and backups (an
+ * archive in the given `format`, filtered by `include`/`exclude` globs, or an incremental snapshot when
+ * `snapshot` is set), each optionally preceded by a delay.
+ * Schedules and their last-run status are persisted in storage/schedules.json; runs missed while the
+ * daemon was down are skipped rather than replayed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const cronParser = require('cron-parser');
+const Docker = require('dockerode');
+const CatLoggr = require('cat-loggr');
+const { getContainerId } = require('./States');
+const { sendCommand } = require('./Console');
+const { powerActions, runPowerAction } = require('./Power');
+const { createArchive } = require('./Archives');
+const { formats, validateFilters } = require('./ArchiveFormats');
+const { createSnapshot } = require('./BackupStore');
+
+const log = new CatLoggr();
+const docker = new Docker({ socketPath: process.env.dockerSocket });
+
+const schedulesFilePath = path.join(__dirname, '../storage/schedules.json');
+const tickInterval = 10000;
+const maxDelaySeconds = 3600;
+
+let schedules = {};
+const runningSchedules = new Set();
+let writeChain = Promise.resolve();
+
+function loadSchedules() {
+    try {
+        if (fs.existsSync(schedulesFilePath)) {
+            const data = fs.readFileSync(schedulesFilePath, 'utf8');
+            schedules = data.trim() ? JSON.parse(data) : {};
+        }
+    } catch (err) {
+        log.error('Error reading schedules from JSON file:', err);
+        schedules = {};
+    }
+}
+
+function saveSchedules() {
+    writeChain = writeChain.catch(() => {}).then(() => {
+        return fs.promises.writeFile(schedulesFilePath, JSON.stringify(schedules, null, 2));
+    }).catch(err => {
+        log.error('Error saving schedules to JSON file:', err);
+    });
+    return writeChain;
+}
+
+/**
+ * Computes the next time a cron expression fires.
+ * @param {string} cron - A five or six field cron expression.
+ * @param {Date} [from] - The time to start from.
+ * @returns {string} The next run as an ISO string.
+ */
+function getNextRun(cron, from = new Date()) {
+    return cronParser.parseExpression(cron, { currentDate: from }).next().toDate().toISOString();
+}
+
+/**
+ * Validates a schedule definition.
+ * @param {Object} schedule - The schedule as received from the API.
+ * @returns {string[]} A list of validation errors, empty if the schedule is valid.
+ */
+function validateSchedule(schedule) {
+    const errors = [];
+
+    try {
+        cronParser.parseExpression(String(schedule.cron));
+    } catch (err) {
+        errors.push(`Invalid cron expression: ${err.message}`);
+    }
+
+    if (!Array.isArray(schedule.actions) || schedule.actions.length === 0) {
+        errors.push('A schedule needs at least one action');
+        return errors;
+    }
+
+    schedule.actions.forEach((action, index) => {
+        const delay = action.delay === undefined ? 0 : action.delay;
+        if (!(typeof delay === 'number' && delay >= 0 && delay <= maxDelaySeconds)) {
+            errors.push(`Action ${index}: delay must be between 0 and ${maxDelaySeconds} seconds`);
+        }
+
+        switch (action.type) {
+            case 'command':
+                if (typeof action.command !== 'string' || !action.command.trim()) {
+                    errors.push(`Action ${index}: command is required`);
+                }
+                break;
+            case 'power':
+                if (!powerActions.includes(action.action)) {
+                    errors.push(`Action ${index}: power action must be one of ${powerActions.join(', ')}`);
+                }
+                break;
+            case 'backup':
+                if (action.format !== undefined && !formats.includes(action.format)) {
+                    errors.push(`Action ${index}: format must be one of ${formats.join(', ')}`);
+                }
+                validateFilters(action).forEach(error => errors.push(`Action ${index}: ${error}`));
+                break;
+            default:
+                errors.push(`Action ${index}: unknown action type ${action.type}`);
+        }
+    });
+
+    return errors;
+}
+
+async function runAction(volumeId, action) {
+    const containerId = await getContainerId(volumeId);
+
+    switch (action.type) {
+        case 'command':
+            await sendCommand(docker.getContainer(containerId), action.command);
+            break;
+        case 'power':
+            try {
+                await runPowerAction(containerId, action.action);
+            } catch (err) {
+                // 304: the container was already in the requested state
+                if (err.statusCode !== 304) throw err;
+            }
+            break;
+        case 'backup':
+            if (action.snapshot) {
+                await createSnapshot(action.archiveId || volumeId, volumeId);
+            } else {
+                await createArchive(action.archiveId || volumeId, volumeId, {
+                    format: action.format,
+                    include: action.include,
+                    exclude: action.exclude
+                });
+            }
+            break;
+    }
+}
+
+/**
+ * Runs the actions of a schedule in order, waiting out each action's delay first, and records the outcome.
+ * A failing action stops the run.
+ * @param {string} volumeId - The volume identifier.
+ * @param {string} scheduleId - The schedule identifier.
+ * @returns {Promise<Object>} The schedule after the run.
+ */
+async function runSchedule(volumeId, scheduleId) {
+    const schedule = getSchedule(volumeId, scheduleId);
+    if (!schedule) {
+        throw Object.assign(new Error('Schedule not found'), { statusCode: 404 });
+    }
+    if (runningSchedules.has(scheduleId)) {
+        throw Object.assign(new Error('Schedule is already running'), { statusCode: 409 });
+    }
+
+    runningSchedules.add(scheduleId);
+    schedule.lastRunAt = new Date().toISOString();
+    schedule.lastRunStatus = 'running';
+    schedule.lastRunError = null;
+    await saveSchedules();
+
+    try {
+        for (const action of schedule.actions) {
+            if (action.delay) {
+                await new Promise(resolve => setTimeout(resolve, action.delay * 1000));
+            }
+            await runAction(volumeId, action);
+        }
+        schedule.lastRunStatus = 'completed';
+        log.info(`Schedule ${schedule.name} of ${volumeId} completed`);
+    } catch (err) {
+        schedule.lastRunStatus = 'failed';
+        schedule.lastRunError = err.message;
+        log.error(`Schedule ${schedule.name} of ${volumeId} failed: ${err.message}`);
+    } finally {
+        runningSchedules.delete(scheduleId);
+        schedule.lastRunFinishedAt = new Date().toISOString();
+        await saveSchedules();
+    }
+
+    return toPublicSchedule(schedule);
+}
+
+function toPublicSchedule(schedule) {
+    return { ...schedule, running: runningSchedules.has(schedule.id) };
+}
+
+function getSchedule(volumeId, scheduleId) {
+    return (schedules[volumeId] || []).find(schedule => schedule.id === scheduleId) || null;
+}
+
+/**
+ * @param {string} volumeId - The volume identifier.
+ * @returns {Object[]} The schedules of the instance, with their last-run and next-run status.
+ */
+function listSchedules(volumeId) {
+    return (schedules[volumeId] || []).map(toPublicSchedule);
+}
+
+/**
+ * Creates a schedule for an instance.
+ * @param {string} volumeId - The volume identifier.
+ * @param {Object} definition - { name, cron, enabled, actions }.
+ * @returns {Promise<Object>} The created schedule.
+ */
+async function createSchedule(volumeId, definition) {
+    const schedule = {
+        id: crypto.randomUUID(),
+        name: definition.name || 'Unnamed schedule',
+        cron: definition.cron,
+        enabled: definition.enabled !== false,
+        actions: definition.actions,
+        createdAt: new Date().toISOString(),
+        lastRunAt: null,
+        lastRunFinishedAt: null,
+        lastRunStatus: null,
+        lastRunError: null,
+        nextRunAt: null
+    };
+    schedule.nextRunAt = schedule.enabled ? getNextRun(schedule.cron) : null;
+
+    (schedules[volumeId] = schedules[volumeId] || []).push(schedule);
+    await saveSchedules();
+    return toPublicSchedule(schedule);
+}
+
+/**
+ * Updates a schedule. Only name, cron, enabled and actions can be changed.
+ * @param {string} volumeId - The volume identifier.
+ * @param {string} scheduleId - The schedule identifier.
+ * @param {Object} changes - The fields to change.
+ * @returns {Promise<Object|null>} The updated schedule, or null if it doesn't exist.
+ */
+async function updateSchedule(volumeId, scheduleId, changes) {
+    const schedule = getSchedule(volumeId, scheduleId);
+    if (!schedule) return null;
+
+    ['name', 'cron', 'enabled', 'actions'].forEach(key => {
+        if (changes[key] !== undefined) schedule[key] = changes[key];
+    });
+    schedule.nextRunAt = schedule.enabled ? getNextRun(schedule.cron) : null;
+
+    await saveSchedules();
+    return toPublicSchedule(schedule);
+}
+
+/**
+ * Deletes a schedule.
+ * @param {string} volumeId - The volume identifier.
+ * @param {string} scheduleId - The schedule identifier.
+ * @returns {Promise<boolean>} Whether the schedule existed.
+ */
+async function deleteSchedule(volumeId, scheduleId) {
+    const list = schedules[volumeId] || [];
+    const index = list.findIndex(schedule => schedule.id === scheduleId);
+    if (index === -1) return false;
+
+    list.splice(index, 1);
+    if (list.length === 0) delete schedules[volumeId];
+    await saveSchedules();
+    return true;
+}
+
+/**
+ * Runs every enabled schedule whose next run is due, then works out its following run.
+ */
+async function tick() {
+    const now = new Date();
+
+    for (const [volumeId, list] of Object.entries(schedules)) {
+        for (const schedule of list) {
+            if (!schedule.enabled || !schedule.nextRunAt || new Date(schedule.nextRunAt) > now) continue;
+
+            schedule.nextRunAt = getNextRun(schedule.cron, now);
+            if (runningSchedules.has(schedule.id)) {
+                log.warn(`Schedule ${schedule.name} of ${volumeId} is still running, skipping this run`);
+                continue;
+            }
+            runSchedule(volumeId, schedule.id).catch(err => log.error(`Schedule ${schedule.id} failed: ${err.message}`));
+        }
+    }
+}
+
+/**
+ * Starts the scheduler. Next runs are recomputed from now so runs missed while the daemon was down are skipped.
+ */
+function startScheduler() {
+    const now = new Date();
+    for (const list of Object.values(schedules)) {
+        for (const schedule of list) {
+            if (schedule.lastRunStatus === 'running') {
+                schedule.lastRunStatus = 'failed';
+                schedule.lastRunError = 'Interrupted by daemon restart';
+            }
+            schedule.nextRunAt = schedule.enabled ? getNextRun(schedule.cron, now) : null;
+        }
+    }
+    saveSchedules();
+    setInterval(() => tick().catch(err => log.error('Scheduler tick failed:', err.message)), tickInterval);
+}
+
+loadSchedules();
+
+module.exports = {
+    validateSchedule,
+    listSchedules,
+    getSchedule,
+    createSchedule,
+    updateSchedule,
+    deleteSchedule,
+    runSchedule,
+    startScheduler
+};
@@ -0,0 +1,223 @@
+/**
+ * @fileoverview Searches a volume by file name (globs) and by content (plain text or regular
+ * expressions, in text files only). Results are yielded as they are found so they can be streamed, and
+ * a search stops at its result limit, its time limit, or when the caller aborts it.
+ *
+ * The walk never leaves the volume: the directory searched is resolved within it, symlinked directories
+ * are not descended into, and symlinked files are only read when they point at a file inside the volume.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { minimatch } = require('minimatch');
+const config = require('../config.json');
+const { resolveInVolume } = require('./SafePath');
+const { detectFileType } = require('./FileType');
+const { createRegexMatcher } = require('./RegexMatcher');
+
+const searchConfig = config.search || {};
+const MB = 1024 * 1024;
+const maxResults = searchConfig.maxResults || 5000;
+const defaultTimeout = (searchConfig.timeoutSeconds || 30) * 1000;
+const maxFileSize = (searchConfig.maxFileSizeMb || 10) * MB;
+const maxLineLength = 1000;
+const batchSize = 500;
+
+function badRequest(message) {
+    return Object.assign(new Error(message), { statusCode: 400 });
+}
+
+/**
+ * Validates search options and builds the matchers.
+ * @param {Object} options - { name, query, regex, caseSensitive, limit, path }.
+ * @returns {Object} The normalized options.
+ * @throws {Error} With statusCode 400 for invalid options.
+ */
+function parseSearch({ name, query, regex = false, caseSensitive = false, limit = 500, path: subPath = '' }) {
+    if (!name && !query) {
+        throw badRequest('A file name pattern (name) or a search text (query) is required');
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > maxResults) {
+        throw badRequest(`limit must be between 1 and ${maxResults}`);
+    }
+
+    // Lines are matched in batches, as regular expressions run in a worker (see RegexMatcher.js)
+    let lineMatcher = null;
+    if (query) {
+        if (regex) {
+            lineMatcher = createRegexMatcher(query, { caseSensitive });
+        } else {
+            const needle = caseSensitive ? query : query.toLowerCase();
+            lineMatcher = {
+                match: async lines => lines.map(line => (caseSensitive ? line : line.toLowerCase()).indexOf(needle)),
+                close() {}
+            };
+        }
+    }
+
+    // Patterns without a slash match the file name anywhere, like `find -name`
+    const matchName = name
+        ? relative => minimatch(name.includes('/') ? relative : path.posix.basename(relative), name, { dot: true, nocase: !caseSensitive })
+        : null;
+
+    return { matchName, lineMatcher, limit, subPath };
+}
+
+async function* walk(root, relative, signal) {
+    let entries;
+    try {
+        entries = await fs.promises.readdir(path.join(root, relative), { withFileTypes: true });
+    } catch (err) {
+        // Removed or unreadable while walking
+        return;
+    }
+
+    for (const entry of entries) {
+        if (signal.aborted) return;
+        const entryPath = relative ? `${relative}/${entry.name}` : entry.name;
+        yield { path: entryPath, entry };
+        if (entry.isDirectory()) {
+            yield* walk(root, entryPath, signal);
+        }
+    }
+}
+
+// Resolves a symlinked file to its target if that is a regular file inside the volume
+async function readableTarget(volumePath, fullPath, entry) {
+    if (entry.isFile()) return fullPath;
+    if (!entry.isSymbolicLink()) return null;
+
+    try {
+        const realPath = await fs.promises.realpath(fullPath);
+        const realVolumePath = await fs.promises.realpath(volumePath);
+        if (!realPath.startsWith(realVolumePath + path.sep)) return null;
+        return (await fs.promises.stat(realPath)).isFile() ? realPath : null;
+    } catch (err) {
+        return null;
+    }
+}
+
+const streamEncodings = { 'utf-8': 'utf8', 'utf-16le': 'utf16le', 'latin1': 'latin1' };
+
+async function* matchBatch(texts, firstLine, lineMatcher, signal) {
+    if (!texts.length) return;
+    const columns = await lineMatcher.match(texts, signal);
+    for (const [index, column] of columns.entries()) {
+        if (column !== -1) {
+            yield { line: firstLine + index + 1, column: column + 1, text: texts[index] };
+        }
+    }
+}
+
+async function* grepFile(filePath, encoding, lineMatcher, signal) {
+    const stream = fs.createReadStream(filePath, { encoding: streamEncodings[encoding] });
+    const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+    let lineNumber = 0;
+    let batch = [];
+
+    try {
+        for await (const line of lines) {
+            if (signal.aborted) return;
+            // Very long lines (minified files, data blobs) are only searched up to a point
+            batch.push(line.length > maxLineLength ? line.slice(0, maxLineLength) : line);
+            if (batch.length >= batchSize) {
+                yield* matchBatch(batch, lineNumber, lineMatcher, signal);
+                lineNumber += batch.length;
+                batch = [];
+            }
+        }
+        yield* matchBatch(batch, lineNumber, lineMatcher, signal);
+    } finally {
+        lines.close();
+        stream.destroy();
+    }
+}
+
+/**
+ * Searches a volume. Yields { type: 'file', path } for files whose name matches and
+ * { type: 'match', path, line, column, text } for matching lines, then a final { type: 'done', ... }
+ * summary saying how many entries were scanned and whether the search was cut short (with an `error`
+ * if a regular expression took too long).
+ * @param {string} volumeId - The volume identifier.
+ * @param {Object} options - The result of parseSearch.
+ * @param {AbortSignal} signal - Aborts the search, e.g. when the client disconnects.
+ * @param {number} [timeout] - Stop after this many milliseconds.
+ */
+async function* searchVolume(volumeId, { matchName, lineMatcher, limit, subPath }, signal, timeout = defaultTimeout) {
+    try {
+        yield* runSearch(volumeId, { matchName, lineMatcher, limit, subPath }, signal, timeout);
+    } finally {
+        if (lineMatcher) lineMatcher.close();
+    }
+}
+
+async function* runSearch(volumeId, { matchName, lineMatcher, limit, subPath }, signal, timeout) {
+    const volumePath = path.join(__dirname, '../volumes', volumeId);
+    // The directory searched may itself be a symlink, which has to stay inside the volume too
+    const root = await resolveInVolume(volumePath, subPath);
+    await fs.promises.access(root);
+
+    const timer = AbortSignal.timeout(timeout);
+    const stop = AbortSignal.any([signal, timer]);
+    let results = 0;
+    let scanned = 0;
+    let truncated = false;
+    let error = null;
+
+    for await (const { path: relative, entry } of walk(root, '', stop)) {
+        if (stop.aborted) break;
+        scanned++;
+        if (matchName && !matchName(relative)) continue;
+
+        if (!lineMatcher) {
+            yield { type: 'file', path: relative, isDirectory: entry.isDirectory() };
+            if (++results >= limit) {
+                truncated = true;
+                break;
+            }
+            continue;
+        }
+
+        const filePath = await readableTarget(volumePath, path.join(root, relative), entry);
+        if (!filePath) continue;
+
+        let type;
+        try {
+            type = await detectFileType(filePath);
+        } catch (err) {
+            continue;
+        }
+        if (!type.isText || !streamEncodings[type.encoding] || type.size > maxFileSize) continue;
+
+        try {
+            for await (const match of grepFile(filePath, type.encoding, lineMatcher, stop)) {
+                yield { type: 'match', path: relative, ...match };
+                if (++results >= limit) break;
+            }
+        } catch (err) {
+            if (err.name === 'AbortError') break;
+            // A regular expression that ran too long ends the search
+            if (err.statusCode !== 400) throw err;
+            error = err.message;
+            truncated = true;
+            break;
+        }
+        if (results >= limit) {
+            truncated = true;
+            break;
+        }
+    }
+
+    yield {
+        type: 'done',
+        results,
+        scanned,
+        truncated,
+        timedOut: timer.aborted,
+        aborted: signal.aborted,
+        ...(error && { error })
+    };
+}
+
+module.exports = { parseSearch, searchVolume };
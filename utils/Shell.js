@@ -0,0 +1,232 @@
+/**
+ * @fileoverview Interactive shells for operators: the /shell/:containerId WebSocket runs a shell in the
+ * container through `docker exec` with a TTY, unlike /exec/ which only talks to the main process.
+ *
+ * The socket has to authenticate with a token carrying the admin scope (see Tokens.js); the node key is
+ * not accepted here, so every session can be traced back to a person. Sessions are closed after
+ * `shell.idleTimeoutMinutes` without input or resizes from the client; output alone (a `tail -f`, say)
+ * doesn't keep a session open. Opening, refusing and closing a session, and everything typed into it, is
+ * appended to storage/audit/shell.log as JSON lines.
+ *
+ * Client messages are JSON: { event: "auth", args: [token] } first, then { event: "input", data } and
+ * { event: "resize", cols, rows }. The shell's output is sent back as plain text.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { StringDecoder } = require('string_decoder');
+const Docker = require('dockerode');
+const WebSocket = require('ws');
+const CatLoggr = require('cat-loggr');
+const config = require('../config.json');
+const { verifyToken } = require('./Tokens');
+
+const log = new CatLoggr();
+const docker = new Docker({ socketPath: process.env.dockerSocket });
+
+const shellConfig = config.shell || {};
+const defaultShell = shellConfig.command || '/bin/sh';
+const allowedShells = shellConfig.allowed || [defaultShell];
+const idleTimeout = (shellConfig.idleTimeoutMinutes || 15) * 60 * 1000;
+const authTimeout = 10 * 1000;
+const auditPath = path.join(__dirname, '../storage/audit/shell.log');
+
+let auditChain = Promise.resolve();
+
+function audit(entry) {
+    const line = JSON.stringify({ time: new Date().toISOString(), ...entry }) + '\n';
+    auditChain = auditChain.then(async () => {
+        await fs.promises.mkdir(path.dirname(auditPath), { recursive: true });
+        await fs.promises.appendFile(auditPath, line);
+    }).catch(err => log.error('Failed to write the shell audit log:', err.message));
+    return auditChain;
+}
+
+function notice(text) {
+    return `\r\n\u001b[33m[skyportd] \x1b[0m${text}\r\n`;
+}
+
+function terminalSize(cols, rows) {
+    const w = Number(cols);
+    const h = Number(rows);
+    return Number.isInteger(w) && Number.isInteger(h) && w > 0 && h > 0 && w <= 1000 && h <= 1000 ? { w, h } : null;
+}
+
+/**
+ * Handles a connection to /shell/:containerId[?shell=/bin/bash&cols=80&rows=24].
+ * @param {WebSocket} ws - The client socket.
+ * @param {http.IncomingMessage} req - The upgrade request.
+ */
+function handleShellConnection(ws, req) {
+    const [pathname, search] = req.url.split('?');
+    const containerId = decodeURIComponent(pathname.split('/')[2] || '');
+    const query = new URLSearchParams(search || '');
+    const shell = query.get('shell') || defaultShell;
+    const address = req.socket.remoteAddress;
+    const sessionId = crypto.randomBytes(8).toString('hex');
+
+    let session = null;
+    let closeReason = 'client disconnected';
+
+    const refuse = (code, reason, details = {}) => {
+        audit({ event: 'refused', session: sessionId, containerId, address, reason, ...details });
+        ws.send(reason);
+        ws.close(code, reason);
+    };
+
+    if (!containerId) {
+        ws.close(1008, 'Container ID not specified');
+        return;
+    }
+    if (!allowedShells.includes(shell)) {
+        refuse(1008, `Shell not allowed, use one of: ${allowedShells.join(', ')}`, { shell });
+        return;
+    }
+
+    const authTimer = setTimeout(() => refuse(1008, 'Authentication timed out'), authTimeout);
+
+    ws.on('message', async (message) => {
+        let msg;
+        try {
+            msg = JSON.parse(message);
+        } catch (err) {
+            ws.send('Invalid JSON');
+            return;
+        }
+
+        if (!session) {
+            if (msg.event !== 'auth' || !Array.isArray(msg.args) || session === false) return;
+            clearTimeout(authTimer);
+            session = false;
+            try {
+                session = await openShell(msg.args[0]);
+                if (ws.readyState !== WebSocket.OPEN) session.close(closeReason);
+            } catch (err) {
+                session = null;
+                log.warn(`Shell refused for ${containerId}: ${err.message}`);
+                refuse(1008, err.message);
+            }
+            return;
+        }
+
+        if (msg.event === 'input' && typeof msg.data === 'string') {
+            session.input(msg.data);
+        } else if (msg.event === 'resize') {
+            session.resize(msg.cols, msg.rows);
+        } else {
+            ws.send('Unsupported event');
+        }
+    });
+
+    ws.on('close', () => {
+        clearTimeout(authTimer);
+        if (session) session.close(closeReason);
+    });
+
+    async function openShell(token) {
+        const container = docker.getContainer(containerId);
+        let info;
+        try {
+            info = await container.inspect();
+        } catch (err) {
+            throw Object.assign(new Error('Container not found'), { statusCode: 404 });
+        }
+
+        const claims = verifyToken(token, {
+            scope: 'admin',
+            containerId: info.Id,
+            containerNames: [info.Name.replace(/^\//, ''), containerId]
+        });
+        if (!info.State.Running) {
+            throw Object.assign(new Error('Container is not running'), { statusCode: 409 });
+        }
+
+        const exec = await container.exec({
+            Cmd: [shell],
+            AttachStdin: true,
+            AttachStdout: true,
+            AttachStderr: true,
+            Tty: true,
+            Env: ['TERM=xterm-256color'],
+            ...(shellConfig.user && { User: shellConfig.user })
+        });
+        const stream = await exec.start({ hijack: true, stdin: true, Tty: true });
+        const startedAt = Date.now();
+        const user = claims.sub;
+
+        audit({ event: 'open', session: sessionId, user, containerId: info.Id, shell, address });
+        log.info(`Shell ${sessionId} opened by ${user} in ${info.Id}`);
+
+        // Typed input is audited a line at a time rather than a keystroke at a time
+        let typed = '';
+        const flushInput = () => {
+            if (!typed) return;
+            audit({ event: 'input', session: sessionId, user, data: typed });
+            typed = '';
+        };
+        const inputTimer = setInterval(flushInput, 2000);
+
+        let idleTimer;
+        const touch = () => {
+            clearTimeout(idleTimer);
+            idleTimer = setTimeout(() => {
+                closeReason = 'idle timeout';
+                if (ws.readyState === WebSocket.OPEN) ws.send(notice('shell closed after being idle'));
+                ws.close(1000, 'Idle timeout');
+            }, idleTimeout);
+        };
+        touch();
+
+        const decoder = new StringDecoder('utf8');
+        stream.on('data', (data) => {
+            if (ws.readyState === WebSocket.OPEN) ws.send(decoder.write(data));
+        });
+        stream.on('error', err => log.error(`Shell ${sessionId} stream error:`, err.message));
+        stream.on('end', async () => {
+            if (ws.readyState !== WebSocket.OPEN) return;
+            const { ExitCode } = await exec.inspect().catch(() => ({}));
+            closeReason = `shell exited with code ${ExitCode}`;
+            ws.send(notice(closeReason));
+            ws.close(1000, 'Shell exited');
+        });
+
+        const initialSize = terminalSize(query.get('cols'), query.get('rows'));
+        if (initialSize) await exec.resize(initialSize).catch(() => {});
+
+        let closed = false;
+        return {
+            input(data) {
+                touch();
+                typed += data;
+                if (/[\r\n]/.test(data)) flushInput();
+                stream.write(data);
+            },
+            resize(cols, rows) {
+                touch();
+                const size = terminalSize(cols, rows);
+                if (size) exec.resize(size).catch(err => log.warn(`Shell ${sessionId} resize failed: ${err.message}`));
+            },
+            close(reason) {
+                if (closed) return;
+                closed = true;
+                clearTimeout(idleTimer);
+                clearInterval(inputTimer);
+                flushInput();
+                // Hanging up the TTY ends the shell
+                stream.destroy();
+                audit({
+                    event: 'close',
+                    session: sessionId,
+                    user,
+                    containerId: info.Id,
+                    reason,
+                    durationSeconds: Math.round((Date.now() - startedAt) / 1000)
+                });
+                log.info(`Shell ${sessionId} closed (${reason})`);
+            }
+        };
+    }
+}
+
+module.exports = { handleShellConnection };
@@ -0,0 +1,74 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const statesFilePath = path.join(__dirname, '../storage/states.json');
+
+// Serialises read-modify-write cycles so concurrent jobs don't overwrite each other's state
+let writeChain = Promise.resolve();
+
+/**
+ * Reads the instance states from storage/states.json.
+ * @returns {Promise<Object>} Map of volume IDs to their state entry.
+ */
+const readStates = async () => {
+    try {
+        const data = await fs.readFile(statesFilePath, 'utf8');
+        return data.trim() ? JSON.parse(data) : {};
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return {};
+        }
+        throw error;
+    }
+};
+
+/**
+ * Writes the instance states back to storage/states.json.
+ * @param {Object} states - Map of volume IDs to their state entry.
+ */
+const writeStates = async (states) => {
+    await fs.writeFile(statesFilePath, JSON.stringify(states, null, 2));
+};
+
+/**
+ * Replaces the state entry of a volume.
+ * @param {string} volumeId - The volume identifier.
+ * @param {string} state - The new state (INSTALLING, READY, FAILED...).
+ * @param {string|null} [containerId] - The container backing the volume, if any.
+ * @param {Object} [extra] - Additional fields to store alongside the state.
+ */
+const updateState = (volumeId, state, containerId = null, extra = {}) => {
+    writeChain = writeChain.catch(() => {}).then(async () => {
+        const states = await readStates();
+        states[volumeId] = { state, containerId, ...extra };
+        await writeStates(states);
+    });
+    return writeChain;
+};
+
+/**
+ * Merges fields into the state entry of a volume, keeping the rest of the entry.
+ * @param {string} volumeId - The volume identifier.
+ * @param {Object} fields - The fields to set.
+ */
+const patchState = (volumeId, fields) => {
+    writeChain = writeChain.catch(() => {}).then(async () => {
+        const states = await readStates();
+        states[volumeId] = { ...(states[volumeId] || { state: 'UNKNOWN', containerId: null }), ...fields };
+        await writeStates(states);
+    });
+    return writeChain;
+};
+
+/**
+ * Resolves the container backing a volume. Falls back to the volume ID itself, which is the name
+ * deployed containers are given.
+ * @param {string} volumeId - The volume identifier.
+ * @returns {Promise<string>} A container ID or name usable with docker.getContainer().
+ */
+const getContainerId = async (volumeId) => {
+    const states = await readStates();
+    return (states[volumeId] && states[volumeId].containerId) || volumeId;
+};
+
+module.exports = { readStates, writeStates, updateState, patchState, getContainerId };
@@ -0,0 +1,96 @@
+/**
+ * @fileoverview Short-lived access tokens. The panel holds the node key and can do anything; when it
+ * needs to hand a narrower capability to a browser (such as opening a shell in one container), it asks
+ * the daemon to issue a token carrying only the scopes it grants. Tokens are HMAC-SHA256 signed with a
+ * key derived from the node key, so they can be verified without storing them, and expire on their own.
+ */
+
+const crypto = require('crypto');
+const config = require('../config.json');
+
+const signingKey = crypto.createHmac('sha256', config.key).update('skyportd-access-tokens').digest();
+const maxTtl = 60 * 60;
+const knownScopes = ['admin'];
+
+function httpError(statusCode, message) {
+    return Object.assign(new Error(message), { statusCode });
+}
+
+function sign(payload) {
+    return crypto.createHmac('sha256', signingKey).update(payload).digest('base64url');
+}
+
+/**
+ * Issues a token.
+ * @param {Object} options - The token's contents.
+ * @param {string} options.subject - Who the token is for (the panel user), recorded in audit logs.
+ * @param {string[]} options.scopes - What the token allows, e.g. ["admin"].
+ * @param {string} [options.containerId] - Restricts the token to one container.
+ * @param {number} [options.ttlSeconds] - How long the token is valid (default 60, at most an hour).
+ * @returns {Object} { token, expiresAt }.
+ * @throws {Error} With statusCode 400 for invalid options.
+ */
+function issueToken({ subject, scopes, containerId, ttlSeconds = 60 }) {
+    if (typeof subject !== 'string' || !subject.trim()) {
+        throw httpError(400, 'subject must name who the token is for');
+    }
+    if (!Array.isArray(scopes) || !scopes.length || scopes.some(scope => !knownScopes.includes(scope))) {
+        throw httpError(400, `scopes must be a list of: ${knownScopes.join(', ')}`);
+    }
+    if (containerId !== undefined && (typeof containerId !== 'string' || !containerId)) {
+        throw httpError(400, 'containerId must be a container ID');
+    }
+    if (!Number.isInteger(ttlSeconds) || ttlSeconds < 1 || ttlSeconds > maxTtl) {
+        throw httpError(400, `ttlSeconds must be between 1 and ${maxTtl}`);
+    }
+
+    const expiresAt = Date.now() + ttlSeconds * 1000;
+    const payload = Buffer.from(JSON.stringify({
+        sub: subject,
+        scopes,
+        ...(containerId && { containerId }),
+        exp: expiresAt,
+        jti: crypto.randomBytes(8).toString('hex')
+    })).toString('base64url');
+
+    return { token: `${payload}.${sign(payload)}`, expiresAt: new Date(expiresAt).toISOString() };
+}
+
+/**
+ * Checks a token.
+ * @param {string} token - The token.
+ * @param {Object} requirements - What the token must allow.
+ * @param {string} requirements.scope - A scope the token must carry.
+ * @param {string} [requirements.containerId] - The container it is used for; tokens restricted to another
+ * container are refused. Compared against both the ID and the name the token was issued for.
+ * @param {string[]} [requirements.containerNames] - Other names of that container.
+ * @returns {Object} The token's claims ({ sub, scopes, containerId, exp, jti }).
+ * @throws {Error} With statusCode 401 for invalid or expired tokens, 403 if the token doesn't allow it.
+ */
+function verifyToken(token, { scope, containerId, containerNames = [] }) {
+    const [payload, signature, ...rest] = typeof token === 'string' ? token.split('.') : [];
+    if (!payload || !signature || rest.length) throw httpError(401, 'Invalid token');
+
+    const expected = Buffer.from(sign(payload));
+    const given = Buffer.from(signature);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+        throw httpError(401, 'Invalid token');
+    }
+
+    let claims;
+    try {
+        claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (err) {
+        throw httpError(401, 'Invalid token');
+    }
+    if (!Number.isFinite(claims.exp) || claims.exp < Date.now()) throw httpError(401, 'Token expired');
+    if (!Array.isArray(claims.scopes) || !claims.scopes.includes(scope)) {
+        throw httpError(403, `Token lacks the ${scope} scope`);
+    }
+    if (claims.containerId && containerId && claims.containerId !== containerId && !containerNames.includes(claims.containerId)) {
+        throw httpError(403, 'Token is for another container');
+    }
+    return claims;
+}
+
+module.exports = { issueToken, verifyToken };
@@ -0,0 +1,367 @@
+/**
+ * @fileoverview Resumable uploads. An upload session is created with the file's name, destination and
+ * size; chunks are then written at explicit offsets, so after a dropped connection the client asks for
+ * the current offset and carries on from there instead of starting over. Finalizing checks the size and
+ * SHA-256 checksum and moves the file into the volume.
+ *
+ * Sessions are staged per volume under tmp/uploads/<volumeId>/<uploadId>/, as a data file and a
+ * session.json, so they survive a daemon restart. The data file's length is the upload's offset.
+ * Sessions that see no activity for `uploads.sessionTtlHours` are removed by a background sweep.
+ *
+ * The declared sizes of a volume's open sessions count against its disk quota when another upload is
+ * started, and a volume can have at most `uploads.maxSessionsPerVolume` sessions open at once.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const { Transform } = require('stream');
+const CatLoggr = require('cat-loggr');
+const config = require('../config.json');
+const { safePath, resolveInVolume } = require('./SafePath');
+const { assertDiskSpace, recordDiskWrite } = require('./DiskQuota');
+
+const log = new CatLoggr();
+
+const uploadsPath = path.join(__dirname, '../tmp/uploads');
+const volumesPath = path.join(__dirname, '../volumes');
+const uploadsConfig = config.uploads || {};
+const MB = 1024 * 1024;
+const maxFileSize = (uploadsConfig.maxFileSizeMb || 10240) * MB;
+const maxChunkSize = (uploadsConfig.maxChunkSizeMb || 64) * MB;
+const sessionTtl = (uploadsConfig.sessionTtlHours || 24) * 60 * 60 * 1000;
+const maxSessions = uploadsConfig.maxSessionsPerVolume || 10;
+
+// Uploads with a chunk being written right now; a second concurrent chunk is refused
+const writing = new Set();
+// Session creation per volume, one at a time so that concurrent uploads can't all claim the same space
+const creating = new Map();
+
+function httpError(statusCode, message, extra = {}) {
+    return Object.assign(new Error(message), { statusCode }, extra);
+}
+
+function sessionPath(volumeId, uploadId) {
+    if (!/^[a-f0-9]{32}$/.test(uploadId)) {
+        throw httpError(404, 'Upload not found');
+    }
+    return path.join(safePath(uploadsPath, volumeId), uploadId);
+}
+
+async function readSession(volumeId, uploadId) {
+    const directory = sessionPath(volumeId, uploadId);
+    let session;
+    try {
+        session = JSON.parse(await fs.promises.readFile(path.join(directory, 'session.json'), 'utf8'));
+    } catch (err) {
+        if (err.code === 'ENOENT') throw httpError(404, 'Upload not found');
+        throw err;
+    }
+
+    const { size } = await fs.promises.stat(path.join(directory, 'data'));
+    return { ...session, offset: size, directory };
+}
+
+function describe({ directory, ...session }) {
+    return session;
+}
+
+/**
+ * Moves a file, falling back to copy-and-delete when the source and destination are on different
+ * filesystems (EXDEV), where rename can't work.
+ * @param {string} source - The file to move.
+ * @param {string} destination - Where to move it.
+ */
+async function moveFile(source, destination) {
+    try {
+        await fs.promises.rename(source, destination);
+    } catch (err) {
+        if (err.code !== 'EXDEV') throw err;
+        const temp = `${destination}.${crypto.randomBytes(4).toString('hex')}.partial`;
+        try {
+            await fs.promises.copyFile(source, temp);
+            await fs.promises.rename(temp, destination);
+        } catch (copyErr) {
+            await fs.promises.rm(temp, { force: true });
+            throw copyErr;
+        }
+        await fs.promises.rm(source, { force: true });
+    }
+}
+
+/**
+ * Resolves where an uploaded file goes, through symlinks, so that neither a linked directory on the way
+ * nor a link in place of the file itself can get it written outside of the volume.
+ * @param {string} volumePath - The volume directory.
+ * @param {string} relativePath - The file's path within the volume.
+ * @returns {Promise<string>} The real path of the file.
+ * @throws {Error} With statusCode 400 if it is outside of the volume or already exists as a symlink.
+ */
+async function resolveUploadTarget(volumePath, relativePath) {
+    let targetPath;
+    try {
+        targetPath = await resolveInVolume(volumePath, relativePath, { followLink: false });
+    } catch (err) {
+        if (err.code) throw err;
+        throw httpError(400, err.message);
+    }
+
+    const stats = await fs.promises.lstat(targetPath).catch((err) => {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+    });
+    if (stats && stats.isSymbolicLink()) {
+        throw httpError(400, `${relativePath} is a symlink, an upload can't replace it`);
+    }
+    return targetPath;
+}
+
+// The declared sizes of the open sessions of a volume
+async function openSessionSizes(volumeId) {
+    const directory = safePath(uploadsPath, volumeId);
+    const uploadIds = await fs.promises.readdir(directory).catch((err) => {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+    });
+
+    const sizes = [];
+    for (const uploadId of uploadIds) {
+        try {
+            sizes.push(JSON.parse(await fs.promises.readFile(path.join(directory, uploadId, 'session.json'), 'utf8')).size || 0);
+        } catch (err) {
+            // Aborted or completed in the meantime
+            if (err.code !== 'ENOENT') throw err;
+        }
+    }
+    return sizes;
+}
+
+/**
+ * Starts an upload.
+ * @param {string} volumeId - The volume to upload into.
+ * @param {Object} options - The upload.
+ * @param {string} options.filename - The file name.
+ * @param {number} options.size - The file size in bytes.
+ * @param {string} [options.path] - The directory within the volume to upload into.
+ * @returns {Promise<Object>} The session, including its uploadId and the maximum chunk size.
+ * @throws {Error} With statusCode 400 for invalid options, 413 if the file is too large, 429 if the volume
+ * has too many uploads open, 507 if it wouldn't fit in the volume's disk quota next to those uploads.
+ */
+async function createUpload(volumeId, options) {
+    const previous = creating.get(volumeId) || Promise.resolve();
+    const current = previous.catch(() => {}).then(() => startUpload(volumeId, options));
+    creating.set(volumeId, current);
+    try {
+        return await current;
+    } finally {
+        if (creating.get(volumeId) === current) creating.delete(volumeId);
+    }
+}
+
+async function startUpload(volumeId, { filename, size, path: subPath = '' }) {
+    if (typeof filename !== 'string' || !filename.trim() || path.basename(filename) !== filename) {
+        throw httpError(400, 'filename must be a file name without directories');
+    }
+    if (!Number.isInteger(size) || size < 0) {
+        throw httpError(400, 'size must be the file size in bytes');
+    }
+    if (size > maxFileSize) {
+        throw httpError(413, `Files larger than ${maxFileSize / MB} MB can't be uploaded`);
+    }
+
+    const volumePath = path.join(volumesPath, volumeId);
+    await resolveUploadTarget(volumePath, path.join(String(subPath), filename));
+
+    const openSizes = await openSessionSizes(volumeId);
+    if (openSizes.length >= maxSessions) {
+        throw httpError(429, `A volume can have at most ${maxSessions} uploads open at once`);
+    }
+    await assertDiskSpace(volumeId, size + openSizes.reduce((total, openSize) => total + openSize, 0));
+
+    const uploadId = crypto.randomBytes(16).toString('hex');
+    const directory = sessionPath(volumeId, uploadId);
+    const now = new Date().toISOString();
+    const session = { uploadId, volumeId, filename, path: String(subPath), size, maxChunkSize, createdAt: now, updatedAt: now };
+
+    await fs.promises.mkdir(directory, { recursive: true });
+    await fs.promises.writeFile(path.join(directory, 'data'), '');
+    await fs.promises.writeFile(path.join(directory, 'session.json'), JSON.stringify(session, null, 2));
+
+    log.info(`Upload ${uploadId} of ${filename} (${size} bytes) started for ${volumeId}`);
+    return { ...session, offset: 0 };
+}
+
+/**
+ * @param {string} volumeId - The volume identifier.
+ * @param {string} uploadId - The upload identifier.
+ * @returns {Promise<Object>} The session, with the offset the next chunk has to start at.
+ */
+async function getUpload(volumeId, uploadId) {
+    return describe(await readSession(volumeId, uploadId));
+}
+
+/**
+ * Appends a chunk to an upload. Whatever part of the chunk arrives before the connection drops is kept,
+ * so the client can resume from the offset returned by getUpload.
+ * @param {string} volumeId - The volume identifier.
+ * @param {string} uploadId - The upload identifier.
+ * @param {number} offset - Where the chunk starts; must be the upload's current offset.
+ * @param {Readable} stream - The chunk.
+ * @returns {Promise<Object>} The session, with its new offset.
+ * @throws {Error} With statusCode 409 (and the current `offset`) if the offset is wrong or another chunk
+ * is being written, 413 if the chunk is too large or goes past the declared size.
+ */
+async function writeChunk(volumeId, uploadId, offset, stream) {
+    const session = await readSession(volumeId, uploadId);
+    const key = `${volumeId}/${uploadId}`;
+
+    if (writing.has(key)) {
+        throw httpError(409, 'Another chunk of this upload is being written', { offset: session.offset });
+    }
+    if (offset !== session.offset) {
+        throw httpError(409, `Chunk must start at offset ${session.offset}`, { offset: session.offset });
+    }
+
+    const limit = Math.min(maxChunkSize, session.size - session.offset);
+    let received = 0;
+    const guard = new Transform({
+        transform(data, encoding, callback) {
+            received += data.length;
+            if (received > limit) {
+                return callback(httpError(413, received > maxChunkSize
+                    ? `Chunks can be at most ${maxChunkSize / MB} MB`
+                    : 'Chunk goes past the declared file size'));
+            }
+            callback(null, data);
+        }
+    });
+
+    // The request isn't part of the pipeline so that refusing a chunk doesn't destroy the connection
+    // before the error can be sent; a dropped connection still ends the write
+    stream.on('close', () => {
+        if (!stream.readableEnded) guard.destroy(new Error('Connection closed before the chunk was complete'));
+    });
+    stream.pipe(guard);
+
+    writing.add(key);
+    const dataPath = path.join(session.directory, 'data');
+    try {
+        await pipeline(guard, fs.createWriteStream(dataPath, { flags: 'r+', start: offset }));
+    } catch (err) {
+        // Keep what was written up to the limit; a chunk that overflowed is cut back to the declared size
+        const { size } = await fs.promises.stat(dataPath);
+        if (size > session.size) await fs.promises.truncate(dataPath, session.size);
+        throw err;
+    } finally {
+        writing.delete(key);
+        await touchSession(session);
+    }
+
+    return getUpload(volumeId, uploadId);
+}
+
+async function touchSession(session) {
+    const { directory, offset, ...stored } = session;
+    stored.updatedAt = new Date().toISOString();
+    await fs.promises.writeFile(path.join(directory, 'session.json'), JSON.stringify(stored, null, 2)).catch(() => {});
+}
+
+/**
+ * Finishes an upload: checks that it is complete and matches the checksum, then moves the file into the
+ * volume, replacing a file with the same name.
+ * @param {string} volumeId - The volume identifier.
+ * @param {string} uploadId - The upload identifier.
+ * @param {string} checksum - The SHA-256 of the whole file, hex encoded.
+ * @returns {Promise<Object>} The uploaded file's path within the volume and size.
+ * @throws {Error} With statusCode 409 if the upload is incomplete, 422 if the checksum doesn't match (the
+ * upload is discarded), 507 if the file no longer fits in the disk quota.
+ */
+async function completeUpload(volumeId, uploadId, checksum) {
+    const session = await readSession(volumeId, uploadId);
+    const key = `${volumeId}/${uploadId}`;
+
+    if (typeof checksum !== 'string' || !/^[a-f0-9]{64}$/i.test(checksum)) {
+        throw httpError(400, 'checksum must be the SHA-256 of the file, hex encoded');
+    }
+    if (writing.has(key) || session.offset !== session.size) {
+        throw httpError(409, `Upload is incomplete (${session.offset} of ${session.size} bytes)`, { offset: session.offset });
+    }
+
+    const dataPath = path.join(session.directory, 'data');
+    const hash = crypto.createHash('sha256');
+    await pipeline(fs.createReadStream(dataPath), hash);
+    if (hash.digest('hex') !== checksum.toLowerCase()) {
+        await abortUpload(volumeId, uploadId);
+        throw httpError(422, 'Checksum mismatch, the upload was discarded');
+    }
+
+    // Resolved again, as the volume may have changed since the upload started
+    const volumePath = path.join(volumesPath, volumeId);
+    const relativePath = path.join(session.path, session.filename);
+    let targetPath = await resolveUploadTarget(volumePath, relativePath);
+    const oldSize = await fs.promises.lstat(targetPath).then(stats => stats.size, () => 0);
+    await assertDiskSpace(volumeId, session.size - oldSize);
+
+    await fs.promises.mkdir(path.dirname(targetPath), { recursive: true });
+    targetPath = await resolveUploadTarget(volumePath, relativePath);
+    await moveFile(dataPath, targetPath);
+    recordDiskWrite(volumeId, session.size - oldSize);
+    await fs.promises.rm(session.directory, { recursive: true, force: true });
+
+    log.info(`Upload ${uploadId} completed into ${volumeId}`);
+    return { path: path.relative(await fs.promises.realpath(volumePath), targetPath), size: session.size };
+}
+
+/**
+ * Discards an upload and its data.
+ * @param {string} volumeId - The volume identifier.
+ * @param {string} uploadId - The upload identifier.
+ */
+async function abortUpload(volumeId, uploadId) {
+    const directory = sessionPath(volumeId, uploadId);
+    await fs.promises.rm(directory, { recursive: true, force: true });
+}
+
+async function sweepExpiredUploads() {
+    let volumes;
+    try {
+        volumes = await fs.promises.readdir(uploadsPath);
+    } catch (err) {
+        if (err.code === 'ENOENT') return;
+        throw err;
+    }
+
+    for (const volumeId of volumes) {
+        for (const uploadId of await fs.promises.readdir(path.join(uploadsPath, volumeId)).catch(() => [])) {
+            if (writing.has(`${volumeId}/${uploadId}`)) continue;
+            const directory = path.join(uploadsPath, volumeId, uploadId);
+            const { mtimeMs } = await fs.promises.stat(path.join(directory, 'session.json'))
+                .catch(() => fs.promises.stat(directory));
+            if (Date.now() - mtimeMs > sessionTtl) {
+                await fs.promises.rm(directory, { recursive: true, force: true });
+                log.info(`Removed expired upload ${uploadId} of ${volumeId}`);
+            }
+        }
+    }
+}
+
+/**
+ * Starts the background sweep that removes abandoned uploads.
+ */
+function startUploadSweeper() {
+    setInterval(() => sweepExpiredUploads().catch(err => log.error('Upload sweep failed:', err.message)), 60 * 60 * 1000);
+}
+
+module.exports = {
+    uploadsPath,
+    maxFileSize,
+    moveFile,
+    resolveUploadTarget,
+    createUpload,
+    getUpload,
+    writeChunk,
+    completeUpload,
+    abortUpload,
+    startUploadSweeper
+};
@@ -0,0 +1,53 @@
+/**
+ * @fileoverview Replaces a volume directory with one prepared in a staging directory under tmp/. The
+ * staging directory lives on the same filesystem as volumes/, so the swap is two renames and the volume
+ * is never half-written: it is either the old tree or the new one.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const volumesPath = path.join(__dirname, '../volumes');
+const tmpPath = path.join(__dirname, '../tmp');
+
+/**
+ * Creates an empty staging directory for a volume.
+ * @param {string} volumeId - The volume identifier.
+ * @param {string} purpose - A short label used in the directory name, e.g. "restore".
+ * @returns {Promise<string>} The path of the staging directory.
+ */
+async function createStagingDirectory(volumeId, purpose) {
+    const stagingPath = path.join(tmpPath, `${purpose}-${volumeId}-${Date.now()}`);
+    await fs.promises.mkdir(stagingPath, { recursive: true });
+    return stagingPath;
+}
+
+/**
+ * Swaps a staging directory in as the volume and removes the old tree. If the swap fails, the old
+ * tree is put back and the staging directory is removed.
+ * @param {string} volumeId - The volume identifier.
+ * @param {string} stagingPath - The fully prepared staging directory.
+ */
+async function swapVolume(volumeId, stagingPath) {
+    const volumePath = path.join(volumesPath, volumeId);
+    const previousPath = `${stagingPath}-replaced`;
+
+    try {
+        await fs.promises.rename(volumePath, previousPath);
+    } catch (err) {
+        await fs.promises.rm(stagingPath, { recursive: true, force: true });
+        throw err;
+    }
+
+    try {
+        await fs.promises.rename(stagingPath, volumePath);
+    } catch (err) {
+        await fs.promises.rename(previousPath, volumePath);
+        await fs.promises.rm(stagingPath, { recursive: true, force: true });
+        throw err;
+    }
+
+    await fs.promises.rm(previousPath, { recursive: true, force: true });
+}
+
+module.exports = { createStagingDirectory, swapVolume };